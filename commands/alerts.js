@@ -0,0 +1,434 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+const loanConfig = require('../data/loan_contracts.json');
+const lpConfig = require('../data/lp_contracts.json');
+
+const { listAlertSettings, setAlertSetting, clearAlertSetting } = require('../db/alertSettings');
+const { getPositionForUser, listSharedPositions, setPositionShared } = require('../db/positions');
+const {
+  SETTING_NAMES,
+  DEFAULT_THRESHOLDS,
+  parseSettingValue,
+  checkThresholdOrdering,
+  positionScope,
+  getEffectiveThresholds,
+} = require('../monitoring/alertThresholds');
+const {
+  ALERT_TYPES,
+  isNotificationEnabled,
+  setNotificationEnabled,
+  isPositionMuted,
+  setPositionMuted,
+} = require('../monitoring/alertPreferences');
+const {
+  DEFAULT_TZ,
+  parseClock,
+  isValidTimeZone,
+  getQuietHours,
+  setQuietHours,
+  clearQuietHours,
+} = require('../monitoring/quietHours');
+const { isSharedChannelConfigured } = require('../monitoring/sharedAlerts');
+
+// Every protocol from the loan + LP configs, for the per-position scope option
+function listProtocols() {
+  const out = new Set();
+  for (const cfg of [loanConfig, lpConfig]) {
+    for (const chainCfg of Object.values(cfg.chains || {})) {
+      for (const c of chainCfg.contracts || []) {
+        if (c.protocol) out.add(c.protocol);
+      }
+    }
+  }
+  return [...out];
+}
+
+const settingChoices = SETTING_NAMES.map((name) => ({ name, value: name }));
+const protocolChoices = listProtocols().map((p) => ({ name: p, value: p }));
+const alertTypeChoices = ALERT_TYPES.map((t) => ({ name: t, value: t }));
+
+/**
+ * Resolve the optional protocol + position options to a scope.
+ * Returns { scope, label[, protocol, positionId] } or { error }.
+ */
+function resolveScope(interaction) {
+  const protocol = interaction.options.getString('protocol');
+  const positionId = interaction.options.getString('position');
+
+  if (!protocol && !positionId) return { scope: '', label: 'all your positions' };
+  if (!protocol || !positionId) {
+    return { error: 'Pass both `protocol` and `position` to target a single position.' };
+  }
+
+  const pos = getPositionForUser(interaction.user.id, protocol, positionId.trim());
+  if (!pos) {
+    return { error: `${protocol} #${positionId} is not held by any of your wallets.` };
+  }
+
+  return {
+    scope: positionScope(pos.protocol, pos.tokenId),
+    label: `${pos.protocol} #${pos.tokenId}`,
+    protocol: pos.protocol,
+    positionId: pos.tokenId,
+  };
+}
+
+async function handleConfig(interaction) {
+  const setting = interaction.options.getString('setting', true);
+  const rawValue = interaction.options.getString('value');
+
+  const target = resolveScope(interaction);
+  if (target.error) {
+    await interaction.reply({ content: target.error, flags: 64 });
+    return;
+  }
+
+  // No value (or "default") → drop the override
+  if (rawValue == null || rawValue.trim().toLowerCase() === 'default') {
+    const removed = clearAlertSetting(interaction.user.id, target.scope, setting);
+    await interaction.reply({
+      content: removed
+        ? `Reset **${setting}** for ${target.label}.`
+        : `**${setting}** had no override for ${target.label}.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  const parsed = parseSettingValue(setting, rawValue);
+  if (parsed.error) {
+    await interaction.reply({ content: parsed.error, flags: 64 });
+    return;
+  }
+
+  // Reject overrides that would leave the tiers out of order (e.g. CRIT above HIGH)
+  const current = getEffectiveThresholds(interaction.user.id, {
+    protocol: target.protocol,
+    positionId: target.positionId,
+  });
+  const problems = checkThresholdOrdering({ ...current, [setting]: parsed.value });
+  if (problems.length) {
+    await interaction.reply({
+      content: ['Not saved; thresholds would be inconsistent:', ...problems.map((p) => `• ${p}`)].join('\n'),
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  setAlertSetting(interaction.user.id, target.scope, setting, parsed.value);
+  console.log(`[Alerts] ${interaction.user.id} set ${setting}=${parsed.value} (${target.label})`);
+
+  await interaction.reply({
+    content: `Set **${setting}** = \`${parsed.value}\` for ${target.label} (default \`${DEFAULT_THRESHOLDS[setting]}\`).`,
+    flags: 64, // EPHEMERAL
+  });
+}
+
+async function handleShow(interaction) {
+  const target = resolveScope(interaction);
+  if (target.error) {
+    await interaction.reply({ content: target.error, flags: 64 });
+    return;
+  }
+
+  const effective = getEffectiveThresholds(interaction.user.id, {
+    protocol: target.protocol,
+    positionId: target.positionId,
+  });
+
+  const overrides = listAlertSettings(interaction.user.id);
+  const userKeys = new Set(overrides.filter((r) => r.scope === '').map((r) => r.setting));
+  const posKeys = new Set(
+    overrides.filter((r) => target.scope && r.scope === target.scope).map((r) => r.setting)
+  );
+
+  const lines = [`**Alert thresholds for ${target.label}**`];
+  for (const name of SETTING_NAMES) {
+    let source = 'default';
+    if (posKeys.has(name)) source = 'position';
+    else if (userKeys.has(name)) source = 'you';
+    lines.push(`• \`${name}\` = \`${effective[name]}\` (${source})`);
+  }
+
+  const positionScopes = [
+    ...new Set(
+      overrides.filter((r) => r.scope && SETTING_NAMES.includes(r.setting)).map((r) => r.scope)
+    ),
+  ];
+  if (!target.scope && positionScopes.length) {
+    lines.push('', `Per-position overrides exist for: ${positionScopes.join(', ')}`);
+  }
+
+  const mutedScopes = overrides.filter((r) => r.setting === 'MUTED' && r.value === '1').map((r) => r.scope);
+  if (mutedScopes.length) {
+    lines.push('', `🔕 Muted positions: ${mutedScopes.join(', ')}`);
+  }
+
+  const sharedScopes = listSharedPositions()
+    .filter((p) => getPositionForUser(interaction.user.id, p.protocol, p.tokenId))
+    .map((p) => positionScope(p.protocol, p.tokenId));
+  if (sharedScopes.length) {
+    lines.push('', `👥 Shared positions (alert the shared channel, default thresholds): ${sharedScopes.join(', ')}`);
+  }
+
+  await interaction.reply({ content: lines.join('\n'), flags: 64 });
+}
+
+async function handleNotify(interaction) {
+  const type = interaction.options.getString('type');
+  const resolved = interaction.options.getBoolean('resolved');
+  const deescalation = interaction.options.getBoolean('deescalation');
+  const userId = interaction.user.id;
+
+  if (resolved != null || deescalation != null) {
+    if (!type) {
+      await interaction.reply({ content: 'Pick the alert `type` to change.', flags: 64 });
+      return;
+    }
+    if (resolved != null) setNotificationEnabled(userId, type, 'RESOLVED', resolved);
+    if (deescalation != null) setNotificationEnabled(userId, type, 'DEESCALATED', deescalation);
+    console.log(`[Alerts] ${userId} notify ${type}: resolved=${resolved} deescalation=${deescalation}`);
+  }
+
+  const onOff = (v) => (v ? 'on' : 'off');
+  const lines = ['**Optional notifications**'];
+  for (const t of type ? [type] : ALERT_TYPES) {
+    lines.push(
+      `• \`${t}\`: resolved ${onOff(isNotificationEnabled(userId, t, 'RESOLVED'))}, ` +
+        `de-escalation (UPDATED ↓) ${onOff(isNotificationEnabled(userId, t, 'DEESCALATED'))}`
+    );
+  }
+
+  await interaction.reply({ content: lines.join('\n'), flags: 64 });
+}
+
+async function handleUnmute(interaction) {
+  const target = resolveScope(interaction);
+  if (target.error || !target.scope) {
+    await interaction.reply({
+      content: target.error || 'Pass `protocol` and `position` of the position to unmute.',
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  if (!isPositionMuted(interaction.user.id, target.protocol, target.positionId)) {
+    await interaction.reply({ content: `${target.label} is not muted.`, flags: 64 });
+    return;
+  }
+
+  setPositionMuted(interaction.user.id, target.protocol, target.positionId, false);
+  console.log(`[Alerts] ${interaction.user.id} unmuted ${target.scope}`);
+  await interaction.reply({ content: `🔔 Alerts for ${target.label} are back on.`, flags: 64 });
+}
+
+// Only holders of the position with a verified wallet may move its alerts to the team channel
+async function handleShare(interaction) {
+  const shared = interaction.options.getBoolean('shared', true);
+
+  const target = resolveScope(interaction);
+  if (target.error) {
+    await interaction.reply({ content: target.error, flags: 64 });
+    return;
+  }
+
+  const pos = getPositionForUser(interaction.user.id, target.protocol, target.positionId);
+  if (!pos.verifiedAt) {
+    await interaction.reply({
+      content: `Verify the wallet holding ${target.label} first with \`/wallet verify\`.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  if (shared && !isSharedChannelConfigured()) {
+    await interaction.reply({
+      content: 'No shared alert channel is configured on this bot (`SHARED_ALERT_CHANNEL_ID`).',
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  if (pos.shared === shared) {
+    await interaction.reply({
+      content: `${target.label} is already ${shared ? 'shared' : 'personal'}.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  setPositionShared(pos.protocol, pos.tokenId, shared);
+  console.log(`[Alerts] ${interaction.user.id} set ${target.scope} shared=${shared}`);
+
+  await interaction.reply({
+    content: shared
+      ? `👥 ${target.label} is now shared: its alerts go to the shared alert channel instead of DMs.`
+      : `👤 ${target.label} is personal again: its alerts are DMed to everyone watching the wallet.`,
+    flags: 64, // EPHEMERAL
+  });
+}
+
+async function handleQuiet(interaction) {
+  const userId = interaction.user.id;
+  const off = interaction.options.getBoolean('off');
+  const start = interaction.options.getString('start');
+  const end = interaction.options.getString('end');
+  const timeZone = interaction.options.getString('timezone');
+
+  if (off) {
+    clearQuietHours(userId);
+    console.log(`[Alerts] ${userId} turned quiet hours off`);
+    await interaction.reply({ content: '🔔 Quiet hours are off.', flags: 64 });
+    return;
+  }
+
+  if (start || end || timeZone) {
+    if (parseClock(start) == null || parseClock(end) == null) {
+      await interaction.reply({
+        content: 'Give both `start` and `end` as 24h `HH:MM`, e.g. `22:00` and `07:00`.',
+        flags: 64, // EPHEMERAL
+      });
+      return;
+    }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      await interaction.reply({
+        content: `\`${timeZone}\` is not a valid IANA timezone (e.g. \`America/Los_Angeles\`).`,
+        flags: 64, // EPHEMERAL
+      });
+      return;
+    }
+
+    setQuietHours(userId, { start: start.trim(), end: end.trim(), timeZone });
+    console.log(`[Alerts] ${userId} set quiet hours ${start}-${end} ${timeZone || DEFAULT_TZ}`);
+  }
+
+  const qh = getQuietHours(userId);
+  await interaction.reply({
+    content: qh
+      ? `🌙 Quiet hours: **${qh.start}–${qh.end}** (${qh.timeZone}). Only CRITICAL liquidation alerts ` +
+        'break through; everything else arrives as one DM when quiet hours end.'
+      : 'No quiet hours set. Use `/alerts quiet start:22:00 end:07:00` to add them.',
+    flags: 64, // EPHEMERAL
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('alerts')
+    .setDescription('Configure your alerts.')
+    .addSubcommand((sub) =>
+      sub
+        .setName('config')
+        .setDescription('Override an alert threshold for you or for one position.')
+        .addStringOption((o) =>
+          o
+            .setName('setting')
+            .setDescription('Threshold to change')
+            .setRequired(true)
+            .addChoices(...settingChoices)
+        )
+        .addStringOption((o) =>
+          o.setName('value').setDescription('New value; leave empty or "default" to reset')
+        )
+        .addStringOption((o) =>
+          o
+            .setName('protocol')
+            .setDescription('Only for this position: protocol')
+            .addChoices(...protocolChoices)
+        )
+        .addStringOption((o) =>
+          o.setName('position').setDescription('Only for this position: trove / token ID')
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('show')
+        .setDescription('Show your effective alert thresholds.')
+        .addStringOption((o) =>
+          o
+            .setName('protocol')
+            .setDescription('Show for this position: protocol')
+            .addChoices(...protocolChoices)
+        )
+        .addStringOption((o) =>
+          o.setName('position').setDescription('Show for this position: trove / token ID')
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('notify')
+        .setDescription('Opt in to resolution and de-escalation DMs per alert type.')
+        .addStringOption((o) =>
+          o.setName('type').setDescription('Alert type').addChoices(...alertTypeChoices)
+        )
+        .addBooleanOption((o) =>
+          o.setName('resolved').setDescription('DM when the alert clears')
+        )
+        .addBooleanOption((o) =>
+          o.setName('deescalation').setDescription('DM when the tier drops but the alert is still active')
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('quiet')
+        .setDescription('Set quiet hours: only CRITICAL liquidation alerts DM, the rest is batched.')
+        .addStringOption((o) => o.setName('start').setDescription('Start, 24h HH:MM (e.g. 22:00)'))
+        .addStringOption((o) => o.setName('end').setDescription('End, 24h HH:MM (e.g. 07:00)'))
+        .addStringOption((o) =>
+          o.setName('timezone').setDescription(`IANA timezone (default ${DEFAULT_TZ})`)
+        )
+        .addBooleanOption((o) => o.setName('off').setDescription('Turn quiet hours off'))
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('share')
+        .setDescription('Post alerts of a team treasury position to the shared alert channel instead of DMs.')
+        .addStringOption((o) =>
+          o
+            .setName('protocol')
+            .setDescription('Protocol of the position')
+            .setRequired(true)
+            .addChoices(...protocolChoices)
+        )
+        .addStringOption((o) =>
+          o.setName('position').setDescription('Trove / token ID').setRequired(true)
+        )
+        .addBooleanOption((o) =>
+          o.setName('shared').setDescription('true = shared channel, false = back to DMs').setRequired(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('unmute')
+        .setDescription('Turn alerts back on for a position muted from an alert DM.')
+        .addStringOption((o) =>
+          o
+            .setName('protocol')
+            .setDescription('Protocol of the muted position')
+            .setRequired(true)
+            .addChoices(...protocolChoices)
+        )
+        .addStringOption((o) =>
+          o.setName('position').setDescription('Trove / token ID').setRequired(true)
+        )
+    ),
+  async execute(interaction) {
+    try {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'config') return await handleConfig(interaction);
+      if (sub === 'show') return await handleShow(interaction);
+      if (sub === 'notify') return await handleNotify(interaction);
+      if (sub === 'unmute') return await handleUnmute(interaction);
+      if (sub === 'quiet') return await handleQuiet(interaction);
+      if (sub === 'share') return await handleShare(interaction);
+    } catch (error) {
+      console.error('Error in /alerts:', error);
+      const content = 'An error occurred while processing `/alerts`.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(content);
+      } else {
+        await interaction.reply({ content, flags: 64 });
+      }
+    }
+  },
+};
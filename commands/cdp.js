@@ -0,0 +1,82 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const client = require('../index');
+const { getCdpPrice, classifyCdpRedemptionState } = require('../monitoring/loanMonitor');
+const { formatDuration } = require('../monitoring/alertEngine');
+const {
+  CDP_PEG_MEDIUM,
+  CDP_PEG_HIGH,
+  CDP_PEG_CRIT,
+  CDP_PEG_PREMIUM,
+  classifyCdpPeg,
+  getCdpPegContext,
+} = require('../monitoring/cdpPeg');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('cdp')
+    .setDescription('Show the CDP price, its peg state and the last 24h range.'),
+  async execute(interaction) {
+    try {
+      await interaction.deferReply();
+
+      const cdpPrice = await getCdpPrice();
+      const redemption = classifyCdpRedemptionState(cdpPrice);
+      const peg = classifyCdpPeg(cdpPrice);
+      const { pegState, range } = getCdpPegContext();
+
+      const descLines = [];
+      if (cdpPrice == null) {
+        descLines.push('CDP price: *(unknown; CDP price source unavailable)*');
+      } else {
+        descLines.push(`CDP: **${cdpPrice.toFixed(4)} USD**, peg state **${peg.state}** (tier **${peg.tier}**)`);
+
+        // Duration comes from the monitor's last run; only meaningful while the state still matches
+        if (pegState && pegState.state === peg.state) {
+          const since = `<t:${Math.floor(Date.parse(pegState.sinceAt) / 1000)}:R>`;
+          descLines.push(`In this state for **${formatDuration(Date.now() - Date.parse(pegState.sinceAt))}** (since ${since})`);
+        } else {
+          descLines.push('In this state since: *(not recorded yet; tracked from the next monitor run)*');
+        }
+      }
+
+      const redemptionText =
+        cdpPrice == null
+          ? `trigger **${redemption.trigger.toFixed(4)}**`
+          : `**${redemption.state}** (trigger **${redemption.trigger.toFixed(4)}**, ${redemption.label})`;
+
+      // Monitor samples plus the live price
+      let rangeText = '*(no samples yet; recorded by each monitor run)*';
+      if (range.count > 0) {
+        const min = cdpPrice != null ? Math.min(range.min, cdpPrice) : range.min;
+        const max = cdpPrice != null ? Math.max(range.max, cdpPrice) : range.max;
+        rangeText = `Min **${min.toFixed(4)}** · Max **${max.toFixed(4)}** (${range.count} samples)`;
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor('DarkBlue')
+        .setTitle('CDP Peg')
+        .setDescription(descLines.join('\n'))
+        .setThumbnail(client.user.avatarURL())
+        .addFields(
+          { name: 'Redemptions', value: redemptionText },
+          { name: 'Last 24h', value: rangeText },
+          {
+            name: 'Peg tiers',
+            value:
+              `MEDIUM below ${CDP_PEG_MEDIUM} or above ${CDP_PEG_PREMIUM} · ` +
+              `HIGH below ${CDP_PEG_HIGH} · CRITICAL below ${CDP_PEG_CRIT}`,
+          }
+        )
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error('Error in /cdp:', error);
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply('An error occurred while processing `/cdp`.');
+      } else {
+        await interaction.reply('An error occurred while processing `/cdp`.');
+      }
+    }
+  },
+};
@@ -0,0 +1,102 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const client = require('../index');
+const { getLoanSummaries, getCdpPrice, isTroveOpen } = require('../monitoring/loanMonitor');
+const { computeInterestCosts, costRatePct } = require('../monitoring/loanCosts');
+
+// "12.3456 CDP (≈ $12.34)" or just the CDP amount without a CDP price
+function formatCost(cdp, usd) {
+  const usdText = typeof usd === 'number' ? ` (≈ $${usd.toFixed(2)})` : '';
+  return `${cdp.toFixed(4)} CDP${usdText}`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('loan-costs')
+    .setDescription('Show the interest cost of your monitored loans.'),
+  async execute(interaction) {
+    try {
+      await interaction.deferReply();
+
+      // Only the caller's own wallets, without the redemption queue (unused here);
+      // closed troves cost nothing, zombie troves still accrue
+      const summaries = (await getLoanSummaries({ discordId: interaction.user.id, withQueue: false })).filter((s) =>
+        isTroveOpen(s.status)
+      );
+
+      if (summaries.length === 0) {
+        await interaction.editReply('No active loan positions are currently being monitored for your wallets.');
+        return;
+      }
+
+      // Most expensive first (batched troves also pay the batch management fee)
+      summaries.sort((a, b) => b.debtAmount * costRatePct(b) - a.debtAmount * costRatePct(a));
+
+      const cdpPrice = await getCdpPrice();
+
+      let totalDaily = 0;
+      let totalMonthly = 0;
+
+      const fields = summaries.map((s) => {
+        const costs = computeInterestCosts(s.debtAmount, costRatePct(s), cdpPrice);
+        totalDaily += costs.daily;
+        totalMonthly += costs.monthly;
+
+        const valueLines = [
+          `Debt: **${formatCost(s.debtAmount, cdpPrice != null ? s.debtAmount * cdpPrice : null)}** at **${s.interestPct.toFixed(2)}% p.a.**`,
+          `Daily: **${formatCost(costs.daily, costs.dailyUsd)}**`,
+          `Monthly: **${formatCost(costs.monthly, costs.monthlyUsd)}**`,
+          `Projected: ${costs.projected
+            .map((p) => `${p.days}d **${formatCost(p.cost, p.costUsd)}**`)
+            .join(' · ')}`,
+        ];
+        if (s.batchManager) {
+          valueLines.splice(1, 0, `Batch management fee: **${s.batchFeePct.toFixed(2)}% p.a.** (included below)`);
+        }
+
+        if (typeof s.interestCharged === 'number') {
+          const since = s.interestTrackedSince ? `<t:${Math.floor(Date.parse(s.interestTrackedSince) / 1000)}:d>` : 'n/a';
+          const usd = cdpPrice != null ? s.interestCharged * cdpPrice : null;
+          const label = s.interestSinceOpened ? `Interest since opened (${since})` : `Interest since ${since}`;
+          valueLines.push(`${label}: **${formatCost(s.interestCharged, usd)}**`);
+        } else {
+          valueLines.push('Interest so far: *(not tracked yet; recorded from the next monitor run)*');
+        }
+
+        return {
+          name: `${s.protocol} #${s.troveId} (${s.chainId})`,
+          value: valueLines.join('\n'),
+        };
+      });
+
+      const toUsd = (v) => (cdpPrice != null ? v * cdpPrice : null);
+      const descLines = [
+        'Interest cost at each trove\'s current rate (simple interest, as troves accrue it).',
+        `Total: **${formatCost(totalDaily, toUsd(totalDaily))}** per day, **${formatCost(totalMonthly, toUsd(totalMonthly))}** per month.`,
+      ];
+      if (cdpPrice == null) {
+        descLines.push('*USD values unavailable (no CDP price).*');
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor('DarkBlue')
+        .setTitle('Loan Costs')
+        .setDescription(descLines.join('\n'))
+        .setThumbnail(client.user.avatarURL())
+        .addFields(fields.slice(0, 25))
+        .setFooter({
+          text:
+            'Interest so far counts from when each trove was opened once its history is rebuilt; until then, from when the bot started tracking it.',
+        })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error('Error in /loan-costs:', error);
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply('An error occurred while processing `/loan-costs`.');
+      } else {
+        await interaction.reply('An error occurred while processing `/loan-costs`.');
+      }
+    }
+  },
+};
@@ -0,0 +1,124 @@
+const { SlashCommandBuilder } = require('discord.js');
+const loanConfig = require('../data/loan_contracts.json');
+const { getPositionForUser } = require('../db/positions');
+const { getEffectiveThresholds } = require('../monitoring/alertThresholds');
+const { getRateAdvice, INTEREST_RATE_ADJ_COOLDOWN_DAYS } = require('../monitoring/rateAdvice');
+
+const protocolChoices = Object.values(loanConfig.chains || {})
+  .flatMap((chainCfg) => chainCfg.contracts || [])
+  .filter((c) => c.protocol)
+  .map((c) => ({ name: c.protocol, value: c.protocol }));
+
+// Discord relative timestamp, e.g. "in 3 days"
+const relTime = (iso) => `<t:${Math.floor(Date.parse(iso) / 1000)}:R>`;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('loan-rate-advice')
+    .setDescription('Suggest an interest rate that protects a trove from redemptions.')
+    .addStringOption((o) =>
+      o.setName('protocol').setDescription('Loan protocol').setRequired(true).addChoices(...protocolChoices)
+    )
+    .addStringOption((o) => o.setName('position').setDescription('Trove ID').setRequired(true))
+    .addNumberOption((o) =>
+      o
+        .setName('target_debt')
+        .setDescription('Debt to keep ahead of you in the redemption queue (default: your MEDIUM threshold)')
+        .setMinValue(0)
+    )
+    .addNumberOption((o) =>
+      o.setName('premium').setDescription('Instead: percentage points above the branch average (global IR)')
+    ),
+  async execute(interaction) {
+    try {
+      const protocol = interaction.options.getString('protocol', true);
+      const positionId = interaction.options.getString('position', true).trim();
+      const targetDebtOpt = interaction.options.getNumber('target_debt');
+      const premiumPp = interaction.options.getNumber('premium');
+
+      if (targetDebtOpt != null && premiumPp != null) {
+        await interaction.reply({
+          content: 'Pass either `target_debt` or `premium`, not both.',
+          flags: 64, // EPHEMERAL
+        });
+        return;
+      }
+
+      const pos = getPositionForUser(interaction.user.id, protocol, positionId);
+      if (!pos || pos.kind !== 'LOAN') {
+        await interaction.reply({
+          content: `${protocol} #${positionId} is not a trove held by any of your wallets.`,
+          flags: 64, // EPHEMERAL
+        });
+        return;
+      }
+
+      await interaction.deferReply();
+
+      // Default target: enough debt ahead to leave the MEDIUM redemption tier
+      const targetDebt =
+        premiumPp == null
+          ? targetDebtOpt ??
+            getEffectiveThresholds(interaction.user.id, { protocol, positionId }).REDEMP_DEBT_AHEAD_MED
+          : null;
+
+      const advice = await getRateAdvice(pos, { targetDebt, premiumPp });
+      if (advice.error) {
+        await interaction.editReply(advice.error);
+        return;
+      }
+
+      const lines = [`**Rate advice for ${protocol} #${positionId}**`];
+      lines.push(`Current rate: **${advice.currentRatePct.toFixed(2)}%** on **${advice.debt.toFixed(2)}** debt`);
+      if (advice.globalIrPct != null) {
+        lines.push(`Branch average (global IR): **${advice.globalIrPct.toFixed(2)}%**`);
+      }
+      if (advice.batchManager) {
+        lines.push(
+          `⚠️ This trove is in an interest batch: its rate is set by the batch manager \`${advice.batchManager}\`. ` +
+            'To use the rate below, leave the batch first.'
+        );
+      }
+      lines.push('');
+
+      if (targetDebt != null) {
+        lines.push(
+          advice.reached
+            ? `To keep **${targetDebt.toFixed(2)}** of debt ahead of you, set at least **${advice.targetRatePct.toFixed(2)}%** ` +
+                `(**${advice.debtAhead.toFixed(2)}** would sit at lower rates).`
+            : `The whole branch holds only **${advice.debtAhead.toFixed(2)}** of other debt; ` +
+                `**${advice.targetRatePct.toFixed(2)}%** puts all of it ahead of you.`
+        );
+      } else {
+        lines.push(
+          `Global IR ${premiumPp >= 0 ? '+' : ''}${premiumPp.toFixed(2)} pp: **${advice.targetRatePct.toFixed(2)}%**.`
+        );
+      }
+
+      if (advice.targetRatePct <= advice.currentRatePct) {
+        lines.push('✅ Your current rate already meets this target; no change needed.');
+      } else {
+        lines.push(`Extra interest: **${advice.extraAnnualCost.toFixed(2)}** per year at your current debt.`);
+
+        if (advice.upfrontFee > 0) {
+          lines.push(
+            `⚠️ Your rate was last changed ${relTime(advice.lastAdjustedAt)}: changing it again before ` +
+              `${relTime(advice.cooldownEndsAt)} (${INTEREST_RATE_ADJ_COOLDOWN_DAYS}-day window) charges an upfront fee of ` +
+              `about **${advice.upfrontFee.toFixed(2)}**.`
+          );
+        } else {
+          lines.push('No upfront fee: your last rate change is outside the adjustment window.');
+        }
+      }
+
+      await interaction.editReply(lines.join('\n'));
+    } catch (error) {
+      console.error('Error in /loan-rate-advice:', error);
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply('An error occurred while processing `/loan-rate-advice`.');
+      } else {
+        await interaction.reply('An error occurred while processing `/loan-rate-advice`.');
+      }
+    }
+  },
+};
@@ -0,0 +1,124 @@
+const { SlashCommandBuilder } = require('discord.js');
+const loanConfig = require('../data/loan_contracts.json');
+const { getLoanSummaries, isTroveOpen } = require('../monitoring/loanMonitor');
+const { getEffectiveThresholds } = require('../monitoring/alertThresholds');
+const { simulateLoan } = require('../monitoring/loanWhatIf');
+
+const protocolChoices = Object.values(loanConfig.chains || {})
+  .flatMap((chainCfg) => chainCfg.contracts || [])
+  .filter((c) => c.protocol)
+  .map((c) => ({ name: c.protocol, value: c.protocol }));
+
+const fmtPct = (frac) => `${(frac * 100).toFixed(2)}%`;
+
+// "LTV 61.20% · liq 0.01234 · buffer 38.80% (LOW)"
+function formatState(st) {
+  const buffer = st.bufferFrac != null ? fmtPct(st.bufferFrac) : 'n/a';
+  return `LTV **${st.ltvPct.toFixed(2)}%** · liq. price **${st.liquidationPrice.toFixed(5)}** · buffer **${buffer}** (tier **${st.tier}**)`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('loan-whatif')
+    .setDescription('Simulate a price move, collateral top-up or repayment on one of your troves.')
+    .addStringOption((o) =>
+      o.setName('protocol').setDescription('Loan protocol').setRequired(true).addChoices(...protocolChoices)
+    )
+    .addStringOption((o) => o.setName('position').setDescription('Trove ID').setRequired(true))
+    .addNumberOption((o) =>
+      o.setName('price').setDescription('Hypothetical collateral price (default: current oracle price)').setMinValue(0)
+    )
+    .addNumberOption((o) =>
+      o.setName('add_collateral').setDescription('Collateral to add, in collateral token units').setMinValue(0)
+    )
+    .addNumberOption((o) => o.setName('repay').setDescription('Debt to repay, in loan token units').setMinValue(0)),
+  async execute(interaction) {
+    try {
+      const protocol = interaction.options.getString('protocol', true);
+      const positionId = interaction.options.getString('position', true).trim();
+      const price = interaction.options.getNumber('price');
+      const addColl = interaction.options.getNumber('add_collateral');
+      const repayDebt = interaction.options.getNumber('repay');
+
+      if (price === 0) {
+        await interaction.reply({
+          content: '`price` must be above 0.',
+          flags: 64, // EPHEMERAL
+        });
+        return;
+      }
+
+      await interaction.deferReply();
+
+      // Only the caller's own wallets, without the redemption queue (unused here)
+      const summaries = await getLoanSummaries({ discordId: interaction.user.id, withQueue: false });
+      const s = summaries.find((x) => x.protocol === protocol && String(x.troveId) === positionId);
+
+      if (!s) {
+        await interaction.editReply(`${protocol} #${positionId} is not a trove held by any of your wallets.`);
+        return;
+      }
+      if (!isTroveOpen(s.status)) {
+        await interaction.editReply(`${protocol} #${positionId} is ${s.status}; there is nothing to simulate.`);
+        return;
+      }
+      if (!s.hasPrice) {
+        await interaction.editReply(`No oracle price (or MCR) is available for ${protocol} right now; try again later.`);
+        return;
+      }
+
+      const thresholds = getEffectiveThresholds(interaction.user.id, { protocol, positionId });
+      const sim = simulateLoan(
+        { coll: s.collAmount, debt: s.debtAmount, price: s.price, mcr: s.mcr },
+        { price, addColl, repayDebt },
+        thresholds
+      );
+      if (sim.error) {
+        await interaction.editReply(sim.error);
+        return;
+      }
+
+      const scenario = [];
+      if (price != null) {
+        const move = (price - s.price) / s.price;
+        scenario.push(`price **${price.toFixed(5)}** (${move >= 0 ? '+' : ''}${fmtPct(move)} vs oracle)`);
+      }
+      if (addColl) scenario.push(`+**${addColl.toFixed(4)} ${s.collSymbol}**`);
+      if (repayDebt) scenario.push(`repay **${repayDebt.toFixed(4)}**`);
+
+      const lines = [`**What-if for ${protocol} #${positionId}**`];
+      lines.push(
+        `Now: ${sim.current.coll.toFixed(4)} ${s.collSymbol} / ${sim.current.debt.toFixed(4)} debt at ${s.price.toFixed(5)}`
+      );
+      lines.push(`  ${formatState(sim.current)}`);
+
+      if (scenario.length > 0) {
+        lines.push(`Scenario: ${scenario.join(', ')}`);
+        lines.push(`  ${formatState(sim.simulated)}`);
+      }
+
+      lines.push('');
+      lines.push(`**Tier boundaries** (MCR ${fmtPct(s.mcr)}${scenario.length > 0 ? ', from the scenario' : ''}):`);
+      for (const b of sim.boundaries) {
+        const name = b.from === 'LIQUIDATION' ? 'Liquidation' : `${b.from} → ${b.to} (buffer ${fmtPct(b.bufferFrac)})`;
+        if (b.crossed) {
+          lines.push(`✅ ${name}: price can fall to **${b.price.toFixed(5)}** (−${fmtPct(b.dropFrac)}) before crossing`);
+        } else {
+          lines.push(
+            `⚠️ ${name}: add **${b.topUp.toFixed(4)} ${s.collSymbol}** or repay **${b.repay.toFixed(4)}** ` +
+              `(or a price above **${b.price.toFixed(5)}**)`
+          );
+        }
+      }
+
+      await interaction.editReply(lines.join('\n'));
+    } catch (error) {
+      console.error('Error in /loan-whatif:', error);
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply('An error occurred while processing `/loan-whatif`.');
+      } else {
+        await interaction.reply('An error occurred while processing `/loan-whatif`.');
+      }
+    }
+  },
+};
@@ -9,16 +9,17 @@ const {
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('my-loans')
-    .setDescription('Show current monitored loan positions.'),
+    .setDescription('Show your monitored loan positions.'),
   async execute(interaction) {
     try {
       await interaction.deferReply();
 
-      const summaries = await getLoanSummaries();
+      // Only the caller's own wallets
+      const summaries = await getLoanSummaries({ discordId: interaction.user.id });
 
       if (!summaries || summaries.length === 0) {
         await interaction.editReply(
-          'No loan positions are currently being monitored.'
+          'No loan positions are currently being monitored for your wallets.'
         );
         return;
       }
@@ -51,7 +52,8 @@ module.exports = {
       }
 
       const fields = summaries.map((s) => {
-        const header = `${s.protocol} (${s.chainId})`;
+        const badge = s.walletVerified === false ? ' · ⚠️ unverified wallet' : '';
+        const header = `${s.protocol} (${s.chainId})${badge}`;
 
         const valueLines = [];
 
@@ -107,9 +109,29 @@ module.exports = {
 
           valueLines.push(irLine);
 
+          if (s.batchManager) {
+            valueLines.push(
+              `Batch manager: \`${s.batchManager}\` (rate **${s.batchRatePct.toFixed(
+                2
+              )}%** + fee **${s.batchFeePct.toFixed(2)}% p.a.**)`
+            );
+          }
+
+          if (typeof s.debtAhead === 'number') {
+            const shareText =
+              typeof s.branchDebt === 'number' && s.branchDebt > 0
+                ? ` (${((s.debtAhead / s.branchDebt) * 100).toFixed(2)}% of branch debt)`
+                : '';
+            valueLines.push(
+              `Debt ahead in redemption queue: **${s.debtAhead.toFixed(2)}**${shareText}`
+            );
+          }
+
           if (s.redemptionTier) {
+            const basisText =
+              s.redemptionBasis === 'DEBT_AHEAD' ? 'debt ahead' : 'IR-based';
             valueLines.push(
-              `Redemption tier (IR-based): **${
+              `Redemption tier (${basisText}): **${
                 s.redemptionTier
               }**${
                 typeof s.redemptionDiffPct === 'number'
@@ -136,6 +158,12 @@ module.exports = {
         .addFields(fields)
         .setTimestamp();
 
+      if (summaries.some((s) => s.walletVerified === false)) {
+        embed.setFooter({
+          text: '⚠️ Unverified wallet: monitored read-only until you prove ownership with /wallet verify',
+        });
+      }
+
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       console.error('Error in /my-loans:', error);
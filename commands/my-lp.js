@@ -1,10 +1,11 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { TIER_EMOJI } = require('../monitoring/alertEmbeds');
 // const client = require('../index');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('my-lp')
-    .setDescription('Show current monitored LP positions.'),
+    .setDescription('Show your monitored LP positions.'),
   async execute(interaction) {
     try {
       await interaction.deferReply();
@@ -12,11 +13,12 @@ module.exports = {
       // Lazy-load to avoid circular dependency issues
       const { getLpSummaries } = require('../monitoring/lpMonitor');
 
-      const summaries = await getLpSummaries();
+      // Only the caller's own wallets
+      const summaries = await getLpSummaries({ discordId: interaction.user.id });
 
       if (!summaries || summaries.length === 0) {
         await interaction.editReply(
-          'No LP positions are currently being monitored.'
+          'No LP positions are currently being monitored for your wallets.'
         );
         return;
       }
@@ -45,16 +47,9 @@ module.exports = {
         '_Range status is based on the current pool tick vs your position bounds._',
       ];
 
-      const tierColorEmoji = {
-        LOW: '🟩',      // green
-        MEDIUM: '🟨',   // yellow
-        HIGH: '🟧',     // orange
-        CRITICAL: '🟥', // red
-        UNKNOWN: '⬜',
-      };
-
       const fields = summaries.map((s) => {
-        const header = `${s.protocol} (${s.chainId})`;
+        const badge = s.walletVerified === false ? ' · ⚠️ unverified wallet' : '';
+        const header = `${s.protocol} (${s.chainId})${badge}`;
 
         const valueLines = [];
 
@@ -64,7 +59,7 @@ module.exports = {
         // Range tier (highlighted in a code block with a color emoji)
         if (s.lpRangeTier) {
           const labelText = s.lpRangeLabel ? ` – ${s.lpRangeLabel}` : '';
-          const emoji = tierColorEmoji[s.lpRangeTier] || '⬜';
+          const emoji = TIER_EMOJI[s.lpRangeTier] || TIER_EMOJI.UNKNOWN;
 
           valueLines.push(
             '```' + `${emoji} Range tier: ${s.lpRangeTier}${labelText}` + '```'
@@ -133,6 +128,12 @@ module.exports = {
         .addFields(fields)
         .setTimestamp();
 
+      if (summaries.some((s) => s.walletVerified === false)) {
+        embed.setFooter({
+          text: '⚠️ Unverified wallet: monitored read-only until you prove ownership with /wallet verify',
+        });
+      }
+
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       console.error('Error in /my-lp:', error);
@@ -0,0 +1,202 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+const { listNotifiers, getNotifier, addNotifier, removeNotifier } = require('../db/notifiers');
+const {
+  SINKS,
+  NOTIFIER_KINDS,
+  SEVERITY_LEVELS,
+  getUserNotifiers,
+  sendVia,
+  describeNotifier,
+} = require('../monitoring/notifiers');
+
+const kindChoices = NOTIFIER_KINDS.map((k) => ({ name: SINKS[k].label, value: k }));
+const severityChoices = SEVERITY_LEVELS.map((t) => ({ name: `${t} and above`, value: t }));
+
+async function handleAdd(interaction) {
+  const userId = interaction.user.id;
+  const kind = interaction.options.getString('kind', true);
+  const minTier = interaction.options.getString('min_tier') || 'LOW';
+  const sink = SINKS[kind];
+
+  const unavailable = sink.isAvailable();
+  if (unavailable) {
+    await interaction.reply({ content: unavailable, flags: 64 });
+    return;
+  }
+
+  const rawTarget = interaction.options.getString('target');
+  if (sink.targetHint && !rawTarget) {
+    await interaction.reply({ content: `${sink.label} needs a \`target\` (${sink.targetHint}).`, flags: 64 });
+    return;
+  }
+
+  const validated = await sink.validateTarget(rawTarget, { interaction });
+  if (validated.error) {
+    await interaction.reply({ content: validated.error, flags: 64 });
+    return;
+  }
+
+  // Only one DM notifier: adding it again just changes its minimum severity
+  if (kind === 'DISCORD_DM') {
+    for (const n of listNotifiers(userId).filter((x) => x.kind === 'DISCORD_DM')) {
+      removeNotifier(userId, n.id);
+    }
+  }
+
+  const id = addNotifier(userId, {
+    kind,
+    target: validated.target,
+    secret: validated.secret || null,
+    minTier,
+  });
+  const notifier = getNotifier(userId, id);
+  console.log(`[Notifiers] ${userId} added ${kind} #${id} (min ${minTier})`);
+
+  const lines = [`✅ Added notifier **#${id}**: ${describeNotifier(notifier)} for **${minTier}** and above.`];
+  if (validated.secret) {
+    lines.push(
+      '',
+      'Requests are signed; verify them with this secret (shown only once):',
+      `\`${validated.secret}\``,
+      '`X-Alert-Signature` = `sha256=` + hex HMAC-SHA256 of `<X-Alert-Timestamp>.<raw body>`.'
+    );
+  }
+  lines.push('', 'Send a test with `/notifiers test`.');
+
+  await interaction.reply({ content: lines.join('\n'), flags: 64 }); // EPHEMERAL
+}
+
+async function handleRemove(interaction) {
+  const userId = interaction.user.id;
+  const id = interaction.options.getInteger('id', true);
+
+  const notifier = getNotifier(userId, id);
+  if (!notifier || !removeNotifier(userId, id)) {
+    await interaction.reply({ content: `You have no notifier #${id}.`, flags: 64 });
+    return;
+  }
+
+  console.log(`[Notifiers] ${userId} removed ${notifier.kind} #${id}`);
+  const note =
+    notifier.kind === 'DISCORD_DM' && !listNotifiers(userId).some((n) => n.kind === 'DISCORD_DM')
+      ? '\nDiscord DMs are back to the default (every alert).'
+      : '';
+  await interaction.reply({ content: `🗑️ Removed notifier #${id}: ${describeNotifier(notifier)}.${note}`, flags: 64 });
+}
+
+async function handleList(interaction) {
+  const notifiers = getUserNotifiers(interaction.user.id);
+
+  const lines = ['**Where your alerts go**'];
+  for (const n of notifiers) {
+    const id = n.id ? `#${n.id}` : '(default)';
+    const unavailable = SINKS[n.kind] ? SINKS[n.kind].isAvailable() : 'unknown kind';
+    lines.push(
+      `• ${id} ${describeNotifier(n)}: **${n.minTier}** and above${unavailable ? ` ⚠️ ${unavailable}` : ''}`
+    );
+  }
+  lines.push('', 'Quiet hours (`/alerts quiet`) only hold back Discord DMs.');
+
+  await interaction.reply({ content: lines.join('\n'), flags: 64 }); // EPHEMERAL
+}
+
+async function handleTest(interaction) {
+  const userId = interaction.user.id;
+  const id = interaction.options.getInteger('id');
+
+  const notifier = id == null
+    ? getUserNotifiers(userId).find((n) => n.kind === 'DISCORD_DM')
+    : getNotifier(userId, id);
+  if (!notifier) {
+    await interaction.reply({ content: `You have no notifier #${id}.`, flags: 64 });
+    return;
+  }
+
+  await interaction.deferReply({ flags: 64 });
+
+  const message = 'Test notification from /notifiers test. No action needed.';
+  try {
+    await sendVia(notifier, {
+      userId,
+      phase: 'TEST',
+      alertType: 'TEST',
+      tier: 'LOW',
+      logPrefix: '[Notifiers]',
+      message,
+      meta: {},
+      key: null,
+      text: `[Notifiers] TEST ALERT\n${message}`,
+    });
+    await interaction.editReply(`✅ Test sent via ${describeNotifier(notifier)}.`);
+  } catch (err) {
+    console.error(`[Notifiers] Test of ${notifier.kind} #${notifier.id} failed for ${userId}:`, err.message);
+    await interaction.editReply(`❌ Test via ${describeNotifier(notifier)} failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('notifiers')
+    .setDescription('Choose where your alerts are delivered.')
+    .addSubcommand((sub) =>
+      sub
+        .setName('add')
+        .setDescription('Deliver alerts to a Discord channel, webhook, email or Telegram (or tune DMs).')
+        .addStringOption((o) =>
+          o
+            .setName('kind')
+            .setDescription('Where to deliver')
+            .setRequired(true)
+            .addChoices(...kindChoices)
+        )
+        .addStringOption((o) =>
+          o
+            .setName('target')
+            .setDescription('Channel, URL, email address or Telegram chat ID (not needed for DMs)')
+        )
+        .addStringOption((o) =>
+          o
+            .setName('min_tier')
+            .setDescription('Only alerts at this severity or above (default LOW = all)')
+            .addChoices(...severityChoices)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('remove')
+        .setDescription('Remove a notifier.')
+        .addIntegerOption((o) =>
+          o.setName('id').setDescription('Notifier # from /notifiers list').setRequired(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName('list').setDescription('List where your alerts are delivered.')
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('test')
+        .setDescription('Send a test notification.')
+        .addIntegerOption((o) =>
+          o.setName('id').setDescription('Notifier # from /notifiers list (default: Discord DM)')
+        )
+    ),
+
+  async execute(interaction) {
+    try {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'add') return await handleAdd(interaction);
+      if (sub === 'remove') return await handleRemove(interaction);
+      if (sub === 'list') return await handleList(interaction);
+      if (sub === 'test') return await handleTest(interaction);
+    } catch (error) {
+      console.error('Error in /notifiers:', error);
+      const content = 'An error occurred while processing `/notifiers`.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(content);
+      } else {
+        await interaction.reply({ content, flags: 64 });
+      }
+    }
+  },
+};
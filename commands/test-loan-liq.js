@@ -25,6 +25,7 @@ module.exports = {
     });
 
     const base = {
+      userId: interaction.user.id,
       protocol: 'TEST_LIQ_PROTOCOL',
       wallet: '0xTEST_WALLET',
       positionId: 'TEST_LIQ_POSITION',
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const { SlashCommandBuilder } = require('discord.js');
+const { ethers } = require('ethers');
+
+const { addWallet, getWallet, markWalletDiscovered, deleteWalletIfUnwatched } = require('../db/wallets');
+const {
+  linkUserWallet,
+  unlinkUserWallet,
+  listUserWallets,
+  getUserWalletLink,
+  setVerifyNonce,
+  markWalletVerified,
+} = require('../db/users');
+const { listPositionsForOwner } = require('../db/positions');
+const { deleteAlertRecordsForUserWallet } = require('../db/alertState');
+const {
+  discoverPositionsForWallet,
+  listDiscoveryChains,
+} = require('../monitoring/positionDiscovery');
+
+// Wallet scans currently running, keyed by `${chain}:${address}`
+const runningDiscoveries = new Set();
+
+// How long a /wallet verify challenge stays valid
+const VERIFY_NONCE_TTL_MS = 30 * 60 * 1000;
+
+// The exact (single-line) message the user signs with their wallet (EIP-191 personal_sign)
+function buildVerifyMessage(discordId, chain, address, nonce) {
+  return `loan-lp-alert-bot: I own ${address} on ${chain} and link it to Discord user ${discordId}. Nonce: ${nonce}`;
+}
+
+/**
+ * Accepts either a bare 65-byte hex signature or a pasted EIP-191 signed-message
+ * blob such as {"address":"0x…","msg":"…","sig":"0x…"} (MyEtherWallet / Etherscan).
+ * Returns { signature, message } where message is null when not included.
+ */
+function parseSignatureInput(raw) {
+  const text = raw.trim();
+
+  if (text.startsWith('{')) {
+    try {
+      const json = JSON.parse(text);
+      return {
+        signature: json.sig || json.signature || null,
+        message: json.msg || json.message || null,
+      };
+    } catch {
+      // fall through to the hex scan below
+    }
+  }
+
+  const m = text.match(/0x[0-9a-fA-F]{130}/);
+  return { signature: m ? m[0] : null, message: null };
+}
+
+function parseAddressOption(interaction) {
+  const rawAddress = interaction.options.getString('address', true).trim();
+  try {
+    return { address: ethers.getAddress(rawAddress), rawAddress };
+  } catch {
+    return { address: null, rawAddress };
+  }
+}
+
+function formatPositionLines(rows) {
+  return rows.map((r) => `• ${r.protocol} #${r.tokenId}`);
+}
+
+// Runs in the background after /wallet add replies; all feedback goes by DM.
+// DMs are best-effort (the user may have them closed): the scan runs regardless.
+async function runDiscovery(user, chain, address) {
+  const notify = (text) =>
+    user.send(text).catch((err) => console.warn(`[Wallet] DM to ${user.id} failed:`, err.message));
+
+  const runKey = `${chain}:${address}`;
+  if (runningDiscoveries.has(runKey)) {
+    await notify(`⏳ Discovery for \`${address}\` on ${chain} is already running.`);
+    return;
+  }
+  runningDiscoveries.add(runKey);
+
+  const t0 = Date.now();
+  console.log(`[Wallet] Discovery start for ${address} on ${chain} (requested by ${user.id})`);
+
+  try {
+    await notify(`🔎 Starting position discovery for \`${address}\` on ${chain}. This can take a while.`);
+
+    const { loans, lps } = await discoverPositionsForWallet({
+      chain,
+      address,
+      onProgress: notify,
+    });
+    markWalletDiscovered(chain, address);
+
+    const lines = [
+      `✅ Discovery finished for \`${address}\` on ${chain}.`,
+      `Found **${loans.length}** loan(s) and **${lps.length}** LP position(s).`,
+    ];
+    if (loans.length) lines.push('', '**Loans**', ...formatPositionLines(loans));
+    if (lps.length) lines.push('', '**LP Positions**', ...formatPositionLines(lps));
+    lines.push('', 'They are now monitored; use `/my-loans` and `/my-lp` to view them.');
+
+    await notify(lines.join('\n'));
+  } catch (err) {
+    console.error(`[Wallet] Discovery failed for ${address} on ${chain}:`, err);
+    await notify(`❌ Discovery for \`${address}\` on ${chain} failed: ${err.message}. Run \`/wallet add\` again to retry.`);
+  } finally {
+    runningDiscoveries.delete(runKey);
+    console.log(`[Wallet] Discovery end for ${address} on ${chain} (elapsed ${Date.now() - t0} ms)`);
+  }
+}
+
+async function handleAdd(interaction) {
+  const chain = interaction.options.getString('chain', true).toUpperCase();
+  const { address, rawAddress } = parseAddressOption(interaction);
+
+  if (!address) {
+    await interaction.reply({
+      content: `\`${rawAddress}\` is not a valid EVM address.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  // A wallet someone already registered and scanned reuses its positions; one whose scan never
+  // completed (failed, crashed, or imported from addresses.csv) is scanned again
+  const existing = getWallet(chain, address);
+  const wallet = existing || addWallet(chain, address);
+  linkUserWallet(interaction.user.id, wallet.id);
+
+  if (existing && existing.discoveredAt) {
+    const known = listPositionsForOwner(chain, address);
+    const lines = [`Wallet \`${address}\` on ${chain} is now linked to you.`];
+    if (known.length) {
+      lines.push(`Already-known positions (${known.length}):`, ...formatPositionLines(known));
+    } else {
+      lines.push('No positions are currently known for it.');
+    }
+    await interaction.reply({ content: lines.join('\n'), flags: 64 });
+    return;
+  }
+
+  await interaction.reply({
+    content:
+      (existing
+        ? `Linked \`${address}\` on ${chain}. Its earlier scan never completed, so it is scanned again`
+        : `Registered \`${address}\` on ${chain}. Discovering loans and LPs`) +
+      ' in the background — progress will arrive by DM.\n' +
+      'The wallet is **unverified** (read-only) until you prove ownership with `/wallet verify`.',
+    flags: 64, // EPHEMERAL
+  });
+
+  runDiscovery(interaction.user, chain, address).catch((err) =>
+    console.error('[Wallet] Background discovery crashed:', err)
+  );
+}
+
+async function handleRemove(interaction) {
+  const chain = interaction.options.getString('chain', true).toUpperCase();
+  const { address, rawAddress } = parseAddressOption(interaction);
+
+  if (!address) {
+    await interaction.reply({
+      content: `\`${rawAddress}\` is not a valid EVM address.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  const wallet = getWallet(chain, address);
+  if (!wallet || !unlinkUserWallet(interaction.user.id, wallet.id)) {
+    await interaction.reply({
+      content: `\`${address}\` on ${chain} is not one of your wallets.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  deleteAlertRecordsForUserWallet(interaction.user.id, address);
+  const deleted = deleteWalletIfUnwatched(chain, address);
+
+  await interaction.reply({
+    content: `Removed \`${address}\` on ${chain} from your wallets.${
+      deleted ? ' No one else watches it, so its positions are no longer monitored.' : ''
+    }`,
+    flags: 64, // EPHEMERAL
+  });
+}
+
+async function handleVerify(interaction) {
+  const chain = interaction.options.getString('chain', true).toUpperCase();
+  const signatureInput = interaction.options.getString('signature');
+  const { address, rawAddress } = parseAddressOption(interaction);
+
+  if (!address) {
+    await interaction.reply({
+      content: `\`${rawAddress}\` is not a valid EVM address.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  const wallet = getWallet(chain, address);
+  const link = wallet ? getUserWalletLink(interaction.user.id, wallet.id) : null;
+  if (!link) {
+    await interaction.reply({
+      content: `\`${address}\` on ${chain} is not one of your wallets. Add it first with \`/wallet add\`.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  if (link.verifiedAt) {
+    await interaction.reply({
+      content: `✅ \`${address}\` on ${chain} is already verified (since ${link.verifiedAt}).`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  const nonceFresh =
+    link.verifyNonce &&
+    link.verifyNonceAt &&
+    Date.now() - Date.parse(link.verifyNonceAt) < VERIFY_NONCE_TTL_MS;
+
+  // Step 1: no signature yet (or challenge expired) → issue a fresh challenge
+  if (!signatureInput || !nonceFresh) {
+    const nonce = crypto.randomBytes(12).toString('hex');
+    setVerifyNonce(interaction.user.id, wallet.id, nonce);
+
+    const message = buildVerifyMessage(interaction.user.id, chain, address, nonce);
+    const lines = [];
+    if (signatureInput) {
+      lines.push(
+        link.verifyNonce
+          ? 'Your previous challenge expired, here is a new one.'
+          : 'Request a challenge first; here it is.',
+        ''
+      );
+    }
+    lines.push(
+      `Sign this exact message with \`${address}\` (personal_sign / "Sign message"):`,
+      '```',
+      message,
+      '```',
+      `Then run \`/wallet verify\` again with the same address and paste the signature (or the full signed-message JSON) into \`signature\`. The challenge expires in ${Math.round(
+        VERIFY_NONCE_TTL_MS / 60000
+      )} minutes.`
+    );
+
+    await interaction.reply({ content: lines.join('\n'), flags: 64 });
+    return;
+  }
+
+  // Step 2: recover the signer and compare
+  const expectedMessage = buildVerifyMessage(interaction.user.id, chain, address, link.verifyNonce);
+  const { signature, message } = parseSignatureInput(signatureInput);
+
+  if (!signature) {
+    await interaction.reply({
+      content: 'Could not find a signature in what you pasted. Expected a 0x… hex signature or signed-message JSON.',
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  if (message && message !== expectedMessage) {
+    await interaction.reply({
+      content: 'The signed message does not match the current challenge. Run `/wallet verify` without a signature for a fresh one.',
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(expectedMessage, signature);
+  } catch (err) {
+    await interaction.reply({
+      content: `Invalid signature: ${err.shortMessage || err.message}`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  if (signer !== address) {
+    console.warn(`[Wallet] Verify failed for ${address} on ${chain} (user ${interaction.user.id}): signer ${signer}`);
+    await interaction.reply({
+      content: `❌ Signature was made by \`${signer}\`, not \`${address}\`. The wallet stays unverified.`,
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  markWalletVerified(interaction.user.id, wallet.id);
+  console.log(`[Wallet] Verified ${address} on ${chain} for user ${interaction.user.id}`);
+
+  await interaction.reply({
+    content: `✅ Ownership of \`${address}\` on ${chain} verified.`,
+    flags: 64, // EPHEMERAL
+  });
+}
+
+async function handleList(interaction) {
+  const wallets = listUserWallets(interaction.user.id);
+
+  if (wallets.length === 0) {
+    await interaction.reply({
+      content: 'You have no registered wallets. Add one with `/wallet add`.',
+      flags: 64, // EPHEMERAL
+    });
+    return;
+  }
+
+  const lines = ['**Your wallets**'];
+  for (const w of wallets) {
+    const positions = listPositionsForOwner(w.chain, w.address);
+    const loans = positions.filter((p) => p.kind === 'LOAN').length;
+    const lps = positions.filter((p) => p.kind === 'LP').length;
+    const badge = w.verifiedAt ? '✅' : '⚠️ unverified';
+    lines.push(`• \`${w.address}\` (${w.chain}) ${badge} — ${loans} loan(s), ${lps} LP(s)`);
+  }
+
+  await interaction.reply({ content: lines.join('\n'), flags: 64 });
+}
+
+const chainChoices = listDiscoveryChains().map((c) => ({ name: c, value: c }));
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('wallet')
+    .setDescription('Manage the wallets monitored for you.')
+    .addSubcommand((sub) =>
+      sub
+        .setName('add')
+        .setDescription('Register a wallet and discover its loans and LPs.')
+        .addStringOption((o) =>
+          o.setName('address').setDescription('Wallet address (0x...)').setRequired(true)
+        )
+        .addStringOption((o) =>
+          o
+            .setName('chain')
+            .setDescription('Chain the wallet is on')
+            .setRequired(true)
+            .addChoices(...chainChoices)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('remove')
+        .setDescription('Stop monitoring one of your wallets.')
+        .addStringOption((o) =>
+          o.setName('address').setDescription('Wallet address (0x...)').setRequired(true)
+        )
+        .addStringOption((o) =>
+          o
+            .setName('chain')
+            .setDescription('Chain the wallet is on')
+            .setRequired(true)
+            .addChoices(...chainChoices)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('verify')
+        .setDescription('Prove you own a wallet by signing a challenge message.')
+        .addStringOption((o) =>
+          o.setName('address').setDescription('Wallet address (0x...)').setRequired(true)
+        )
+        .addStringOption((o) =>
+          o
+            .setName('chain')
+            .setDescription('Chain the wallet is on')
+            .setRequired(true)
+            .addChoices(...chainChoices)
+        )
+        .addStringOption((o) =>
+          o
+            .setName('signature')
+            .setDescription('Signature of the challenge (leave empty to get a challenge)')
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName('list').setDescription('List your registered wallets.')
+    ),
+  async execute(interaction) {
+    try {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'add') return await handleAdd(interaction);
+      if (sub === 'remove') return await handleRemove(interaction);
+      if (sub === 'verify') return await handleVerify(interaction);
+      if (sub === 'list') return await handleList(interaction);
+    } catch (error) {
+      console.error('Error in /wallet:', error);
+      const content = 'An error occurred while processing `/wallet`.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(content);
+      } else {
+        await interaction.reply({ content, flags: 64 });
+      }
+    }
+  },
+};
@@ -0,0 +1,65 @@
+// db/alertSettings.js
+// Per-user (and per-position) alert settings: threshold overrides and notification preferences
+const { getDb, nowIso } = require('./index');
+const { getOrCreateUser } = require('./users');
+
+/**
+ * Every override a user has stored.
+ * Returns [{ scope, setting, value }] where scope '' is the user-wide default.
+ */
+function listAlertSettings(discordId) {
+  return getDb()
+    .prepare(`
+      SELECT s.scope, s.setting, s.value
+      FROM alert_settings s
+      JOIN users u ON u.id = s.user_id
+      WHERE u.discord_id = ?
+      ORDER BY s.scope, s.setting
+    `)
+    .all(String(discordId));
+}
+
+// Stored value of one setting (string), or null when not set
+function getAlertSetting(discordId, scope, setting) {
+  const row = getDb()
+    .prepare(`
+      SELECT s.value
+      FROM alert_settings s
+      JOIN users u ON u.id = s.user_id
+      WHERE u.discord_id = ? AND s.scope = ? AND s.setting = ?
+    `)
+    .get(String(discordId), scope, setting);
+  return row ? row.value : null;
+}
+
+function setAlertSetting(discordId, scope, setting, value) {
+  const user = getOrCreateUser(discordId);
+  getDb()
+    .prepare(`
+      INSERT INTO alert_settings (user_id, scope, setting, value, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, scope, setting) DO UPDATE SET
+        value = excluded.value,
+        updated_at = excluded.updated_at
+    `)
+    .run(user.id, scope, setting, String(value), nowIso());
+}
+
+// Returns true when an override was removed
+function clearAlertSetting(discordId, scope, setting) {
+  const res = getDb()
+    .prepare(`
+      DELETE FROM alert_settings
+      WHERE scope = ? AND setting = ?
+        AND user_id = (SELECT id FROM users WHERE discord_id = ?)
+    `)
+    .run(scope, setting, String(discordId));
+  return res.changes > 0;
+}
+
+module.exports = {
+  listAlertSettings,
+  getAlertSetting,
+  setAlertSetting,
+  clearAlertSetting,
+};
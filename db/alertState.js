@@ -0,0 +1,111 @@
+// db/alertState.js
+// Durable alert dedupe state so restarts stay quiet
+const { getDb, nowIso } = require('./index');
+
+function rowToRecord(row) {
+  if (!row) return null;
+  return {
+    isActive: row.is_active === 1,
+    tier: row.tier,
+    signature: row.signature,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at,
+    lastNotifiedAt: row.last_notified_at,
+    remindCount: row.remind_count || 0,
+    ackedAt: row.acked_at,
+    snoozedUntil: row.snoozed_until,
+  };
+}
+
+// -----------------------------
+// Alert records
+// -----------------------------
+
+function getAlertRecord(key) {
+  const row = getDb().prepare('SELECT * FROM alert_state WHERE alert_key = ?').get(key);
+  return rowToRecord(row);
+}
+
+function setAlertRecord(key, record) {
+  getDb()
+    .prepare(`
+      INSERT INTO alert_state (
+        alert_key, is_active, tier, signature, first_seen_at, last_seen_at, last_notified_at, remind_count,
+        acked_at, snoozed_until
+      )
+      VALUES (
+        @key, @isActive, @tier, @signature, @firstSeenAt, @lastSeenAt, @lastNotifiedAt, @remindCount,
+        @ackedAt, @snoozedUntil
+      )
+      ON CONFLICT (alert_key) DO UPDATE SET
+        is_active = excluded.is_active,
+        tier = excluded.tier,
+        signature = excluded.signature,
+        first_seen_at = excluded.first_seen_at,
+        last_seen_at = excluded.last_seen_at,
+        last_notified_at = excluded.last_notified_at,
+        remind_count = excluded.remind_count,
+        acked_at = excluded.acked_at,
+        snoozed_until = excluded.snoozed_until
+    `)
+    .run({
+      key,
+      isActive: record.isActive ? 1 : 0,
+      tier: record.tier ?? null,
+      signature: record.signature ?? null,
+      firstSeenAt: record.firstSeenAt ?? null,
+      lastSeenAt: record.lastSeenAt ?? null,
+      lastNotifiedAt: record.lastNotifiedAt ?? null,
+      remindCount: record.remindCount ?? 0,
+      ackedAt: record.ackedAt ?? null,
+      snoozedUntil: record.snoozedUntil ?? null,
+    });
+}
+
+function getAllAlertRecords() {
+  return getDb()
+    .prepare('SELECT * FROM alert_state ORDER BY alert_key')
+    .all()
+    .map((row) => [row.alert_key, rowToRecord(row)]);
+}
+
+// Drop a user's alert history for one wallet (keys are TYPE:userId:protocol:wallet:position)
+function deleteAlertRecordsForUserWallet(userId, wallet) {
+  const rows = getDb().prepare('SELECT alert_key FROM alert_state').all();
+  const del = getDb().prepare('DELETE FROM alert_state WHERE alert_key = ?');
+  for (const { alert_key: key } of rows) {
+    const parts = key.split(':');
+    if (parts[1] === String(userId) && parts[3] === wallet) del.run(key);
+  }
+}
+
+// -----------------------------
+// LP previous range status
+// -----------------------------
+
+function getLpPrevStatus(key) {
+  const row = getDb().prepare('SELECT status FROM lp_status WHERE position_key = ?').get(key);
+  return row ? row.status : null;
+}
+
+function setLpPrevStatus(key, status) {
+  getDb()
+    .prepare(`
+      INSERT INTO lp_status (position_key, status, updated_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT (position_key) DO UPDATE SET
+        status = excluded.status,
+        updated_at = excluded.updated_at
+      WHERE lp_status.status <> excluded.status
+    `)
+    .run(key, status, nowIso());
+}
+
+module.exports = {
+  getAlertRecord,
+  setAlertRecord,
+  getAllAlertRecords,
+  deleteAlertRecordsForUserWallet,
+  getLpPrevStatus,
+  setLpPrevStatus,
+};
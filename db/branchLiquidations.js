@@ -0,0 +1,49 @@
+// db/branchLiquidations.js
+// Liquidation events per loan branch (all troves, not only monitored ones)
+const { getDb } = require('./index');
+
+// Rows are { txHash, logIndex, blockNumber, debt, coll, occurredAt }; re-scans never duplicate
+function insertBranchLiquidations(chain, protocol, rows) {
+  if (!rows || rows.length === 0) return;
+
+  const db = getDb();
+  const stmt = db.prepare(`
+    INSERT INTO branch_liquidations (chain, protocol, tx_hash, log_index, block_number, debt, coll, occurred_at)
+    VALUES (@chain, @protocol, @txHash, @logIndex, @blockNumber, @debt, @coll, @occurredAt)
+    ON CONFLICT (tx_hash, log_index) DO NOTHING
+  `);
+
+  const tx = db.transaction((items) => {
+    for (const r of items) {
+      stmt.run({ chain: chain.toUpperCase(), protocol, ...r });
+    }
+  });
+  tx(rows);
+}
+
+/**
+ * Totals since `sinceIso` for one branch.
+ * Returns { debt, coll, count }.
+ */
+function sumBranchLiquidationsSince(chain, protocol, sinceIso) {
+  return getDb()
+    .prepare(`
+      SELECT COALESCE(SUM(debt), 0) AS debt, COALESCE(SUM(coll), 0) AS coll, COUNT(*) AS count
+      FROM branch_liquidations
+      WHERE chain = ? AND protocol = ? AND occurred_at >= ?
+    `)
+    .get(chain.toUpperCase(), protocol, sinceIso);
+}
+
+// Only the recent window is ever read; keep the table small
+function pruneBranchLiquidations(beforeIso) {
+  getDb()
+    .prepare('DELETE FROM branch_liquidations WHERE occurred_at < ?')
+    .run(beforeIso);
+}
+
+module.exports = {
+  insertBranchLiquidations,
+  sumBranchLiquidationsSince,
+  pruneBranchLiquidations,
+};
@@ -0,0 +1,41 @@
+// db/cdpPeg.js
+// Current CDP peg state (single row) and when it was entered
+const { getDb, nowIso } = require('./index');
+
+/**
+ * Record this run's peg state; `since_at` only moves when the state changes.
+ * Returns { state, price, sinceAt, checkedAt }.
+ */
+function recordCdpPegState(state, price) {
+  const db = getDb();
+  const now = nowIso();
+
+  db.prepare(`
+    INSERT INTO cdp_peg_state (id, state, price, since_at, checked_at)
+    VALUES (1, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET
+      since_at = CASE WHEN cdp_peg_state.state <> excluded.state
+                      THEN excluded.since_at ELSE cdp_peg_state.since_at END,
+      state = excluded.state,
+      price = excluded.price,
+      checked_at = excluded.checked_at
+  `).run(state, price, now, now);
+
+  return getCdpPegState();
+}
+
+// Last recorded peg state, or null before the first monitor run
+function getCdpPegState() {
+  return getDb()
+    .prepare(`
+      SELECT state, price, since_at AS sinceAt, checked_at AS checkedAt
+      FROM cdp_peg_state
+      WHERE id = 1
+    `)
+    .get() || null;
+}
+
+module.exports = {
+  recordCdpPegState,
+  getCdpPegState,
+};
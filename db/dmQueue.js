@@ -0,0 +1,50 @@
+// db/dmQueue.js
+// Alert DMs held back during a user's quiet hours, delivered later as one batch
+const { getDb, nowIso } = require('./index');
+
+function enqueueDm(discordId, content) {
+  getDb()
+    .prepare('INSERT INTO dm_queue (discord_id, content, created_at) VALUES (?, ?, ?)')
+    .run(String(discordId), content, nowIso());
+}
+
+// Returns [{ id, content, createdAt, attempts }] oldest first
+function listQueuedDms(discordId) {
+  return getDb()
+    .prepare(`
+      SELECT id, content, created_at AS createdAt, attempts
+      FROM dm_queue
+      WHERE discord_id = ?
+      ORDER BY id
+    `)
+    .all(String(discordId));
+}
+
+function listDiscordIdsWithQueuedDms() {
+  return getDb()
+    .prepare('SELECT DISTINCT discord_id AS discordId FROM dm_queue ORDER BY discord_id')
+    .all()
+    .map((r) => r.discordId);
+}
+
+function deleteQueuedDms(ids) {
+  if (!ids || ids.length === 0) return;
+  const db = getDb();
+  const del = db.prepare('DELETE FROM dm_queue WHERE id = ?');
+  db.transaction((items) => {
+    for (const id of items) del.run(id);
+  })(ids);
+}
+
+// A failed delivery of the user's whole queue
+function recordQueuedDmFailure(discordId) {
+  getDb().prepare('UPDATE dm_queue SET attempts = attempts + 1 WHERE discord_id = ?').run(String(discordId));
+}
+
+module.exports = {
+  enqueueDm,
+  listQueuedDms,
+  listDiscordIdsWithQueuedDms,
+  deleteQueuedDms,
+  recordQueuedDmFailure,
+};
@@ -0,0 +1,40 @@
+// db/index.js
+// Embedded SQLite store shared by discovery scripts and the running bot
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const { runMigrations } = require('./migrations');
+
+const DB_PATH = path.join(__dirname, '..', 'data', 'bot.db');
+
+let db = null;
+
+/**
+ * Open (once) and return the shared database handle.
+ * Pending migrations are applied on first open.
+ */
+function getDb() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  runMigrations(db);
+
+  return db;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+module.exports = {
+  getDb,
+  nowIso,
+  DB_PATH,
+};
@@ -0,0 +1,229 @@
+// db/legacyImport.js
+// One-way import of the pre-database CSV / JSON files into SQLite.
+// Safe to run repeatedly: every write is an upsert, so duplicates collapse.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { parse } = require('csv-parse/sync');
+
+const { readCsvRows } = require('../utils/csv');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function normalizeAddress(addr) {
+  try {
+    return ethers.getAddress(String(addr).trim());
+  } catch {
+    return null;
+  }
+}
+
+function readJsonIfExists(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.error(`[DB] Could not parse ${filePath}, skipping:`, err.message);
+    return null;
+  }
+}
+
+// addresses.csv has no header: "<address>,<chain>[,<discordId>]"
+// Wallets are linked to the given Discord user, or MY_DISCORD_ID when omitted
+// (only once the users table exists, i.e. on re-import).
+function importAddresses(db, nowIso) {
+  const csvPath = path.join(DATA_DIR, 'addresses.csv');
+  if (!fs.existsSync(csvPath)) return 0;
+
+  const rows = parse(fs.readFileSync(csvPath, 'utf8'), {
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+  });
+
+  const insert = db.prepare(`
+    INSERT INTO wallets (chain, address, created_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT (chain, address) DO NOTHING
+  `);
+
+  const hasUsers = !!db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'users'")
+    .get();
+  const insertUser = hasUsers
+    ? db.prepare(`
+        INSERT INTO users (discord_id, created_at)
+        VALUES (?, ?)
+        ON CONFLICT (discord_id) DO NOTHING
+      `)
+    : null;
+  const linkUser = hasUsers
+    ? db.prepare(`
+        INSERT INTO user_wallets (user_id, wallet_id, created_at)
+        SELECT u.id, w.id, ?
+        FROM users u, wallets w
+        WHERE u.discord_id = ? AND w.chain = ? AND w.address = ?
+        ON CONFLICT (user_id, wallet_id) DO NOTHING
+      `)
+    : null;
+
+  let n = 0;
+  for (const [addressRaw, chainRaw, discordIdRaw] of rows) {
+    const address = normalizeAddress(addressRaw);
+    if (!address || !chainRaw) {
+      console.warn(`[DB] Skipping invalid address row in addresses.csv: ${addressRaw}`);
+      continue;
+    }
+    const chain = chainRaw.trim().toUpperCase();
+    n += insert.run(chain, address, nowIso).changes;
+
+    const discordId = (discordIdRaw || process.env.MY_DISCORD_ID || '').trim();
+    if (hasUsers && discordId) {
+      insertUser.run(discordId, nowIso);
+      linkUser.run(nowIso, discordId, chain, address);
+    }
+  }
+  return n;
+}
+
+function importPositionCsvs(db, kind, config, idColumn, nowIso) {
+  const upsert = db.prepare(`
+    INSERT INTO positions (kind, chain, protocol, contract, token_id, owner, first_seen_at, last_seen_at)
+    VALUES (@kind, @chain, @protocol, @contract, @tokenId, @owner, @now, @now)
+    ON CONFLICT (chain, contract, token_id) DO UPDATE SET
+      owner = excluded.owner,
+      protocol = excluded.protocol
+  `);
+
+  let n = 0;
+  for (const chainCfg of Object.values(config.chains || {})) {
+    for (const c of chainCfg.contracts || []) {
+      if (!c.csvFile) continue;
+
+      const rows = readCsvRows(path.join(DATA_DIR, c.csvFile));
+      for (const row of rows) {
+        const contract = normalizeAddress(row.contract);
+        const owner = normalizeAddress(row.owner);
+        const tokenId = row[idColumn];
+        if (!row.chain || !contract || !owner || !tokenId) {
+          console.warn(`[DB] Skipping incomplete row in ${c.csvFile}:`, row);
+          continue;
+        }
+
+        upsert.run({
+          kind,
+          chain: row.chain.toUpperCase(),
+          protocol: row.protocol || c.protocol,
+          contract,
+          tokenId: String(BigInt(tokenId)),
+          owner,
+          now: nowIso,
+        });
+        n++;
+      }
+    }
+  }
+  return n;
+}
+
+// { [chain]: { [protocol]: { lastScannedBlock } } }
+function importScanState(db, kind, fileName, nowIso) {
+  const state = readJsonIfExists(path.join(DATA_DIR, fileName));
+  if (!state) return 0;
+
+  const upsert = db.prepare(`
+    INSERT INTO scan_cursors (kind, chain, protocol, last_scanned_block, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (kind, chain, protocol) DO UPDATE SET
+      last_scanned_block = MAX(last_scanned_block, excluded.last_scanned_block),
+      updated_at = excluded.updated_at
+  `);
+
+  let n = 0;
+  for (const [chain, byProtocol] of Object.entries(state)) {
+    for (const [protocol, v] of Object.entries(byProtocol || {})) {
+      if (!v || typeof v.lastScannedBlock !== 'number') continue;
+      upsert.run(kind, chain.toUpperCase(), protocol, v.lastScannedBlock, nowIso);
+      n++;
+    }
+  }
+  return n;
+}
+
+// { [protocol]: { tokenIds: ["123", ...] } }
+function importLpIgnores(db, nowIso) {
+  const cfg = readJsonIfExists(path.join(DATA_DIR, 'lp_ignore.json'));
+  if (!cfg) return 0;
+
+  const insert = db.prepare(`
+    INSERT INTO position_ignores (protocol, token_id, created_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT (protocol, token_id) DO NOTHING
+  `);
+
+  let n = 0;
+  for (const [protocol, v] of Object.entries(cfg)) {
+    for (const tokenId of (v && v.tokenIds) || []) {
+      n += insert.run(protocol, String(tokenId), nowIso).changes;
+    }
+  }
+  return n;
+}
+
+// alert_state.json written by the previous JSON-journal store
+function importAlertState(db, nowIso) {
+  const state = readJsonIfExists(path.join(DATA_DIR, 'alert_state.json'));
+  if (!state) return 0;
+
+  const insertAlert = db.prepare(`
+    INSERT INTO alert_state (alert_key, is_active, tier, signature, first_seen_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (alert_key) DO NOTHING
+  `);
+  const insertLp = db.prepare(`
+    INSERT INTO lp_status (position_key, status, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT (position_key) DO NOTHING
+  `);
+
+  let n = 0;
+  for (const [key, r] of Object.entries(state.alerts || {})) {
+    n += insertAlert.run(
+      key,
+      r.isActive ? 1 : 0,
+      r.tier || null,
+      r.signature || null,
+      r.firstSeenAt || null,
+      r.lastSeenAt || null
+    ).changes;
+  }
+  for (const [key, status] of Object.entries(state.lpStatus || {})) {
+    n += insertLp.run(key, status, nowIso).changes;
+  }
+  return n;
+}
+
+function importLegacyFiles(db) {
+  const nowIso = new Date().toISOString();
+  const loanConfig = require('../data/loan_contracts.json');
+  const lpConfig = require('../data/lp_contracts.json');
+
+  const counts = {
+    wallets: importAddresses(db, nowIso),
+    loanPositions: importPositionCsvs(db, 'LOAN', loanConfig, 'troveId', nowIso),
+    lpPositions: importPositionCsvs(db, 'LP', lpConfig, 'tokenId', nowIso),
+    loanCursors: importScanState(db, 'LOAN', 'loan_scan_state.json', nowIso),
+    lpCursors: importScanState(db, 'LP', 'lp_scan_state.json', nowIso),
+    ignores: importLpIgnores(db, nowIso),
+    alertState: importAlertState(db, nowIso),
+  };
+
+  console.log('[DB] Legacy import:', counts);
+  return counts;
+}
+
+module.exports = {
+  importLegacyFiles,
+  importAddresses,
+};
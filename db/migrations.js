@@ -0,0 +1,432 @@
+// db/migrations.js
+// Ordered schema migrations, tracked with PRAGMA user_version
+
+const { importLegacyFiles, importAddresses } = require('./legacyImport');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE wallets (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          chain       TEXT NOT NULL,
+          address     TEXT NOT NULL,
+          created_at  TEXT NOT NULL,
+          UNIQUE (chain, address)
+        );
+
+        CREATE TABLE positions (
+          id             INTEGER PRIMARY KEY AUTOINCREMENT,
+          kind           TEXT NOT NULL CHECK (kind IN ('LOAN', 'LP')),
+          chain          TEXT NOT NULL,
+          protocol       TEXT NOT NULL,
+          contract       TEXT NOT NULL,
+          token_id       TEXT NOT NULL,
+          owner          TEXT NOT NULL,
+          first_seen_at  TEXT NOT NULL,
+          last_seen_at   TEXT NOT NULL,
+          UNIQUE (chain, contract, token_id)
+        );
+        CREATE INDEX idx_positions_kind_chain_protocol
+          ON positions (kind, chain, protocol);
+
+        CREATE TABLE position_ignores (
+          protocol    TEXT NOT NULL,
+          token_id    TEXT NOT NULL,
+          created_at  TEXT NOT NULL,
+          PRIMARY KEY (protocol, token_id)
+        );
+
+        CREATE TABLE scan_cursors (
+          kind                TEXT NOT NULL CHECK (kind IN ('LOAN', 'LP')),
+          chain               TEXT NOT NULL,
+          protocol            TEXT NOT NULL,
+          last_scanned_block  INTEGER NOT NULL,
+          updated_at          TEXT NOT NULL,
+          PRIMARY KEY (kind, chain, protocol)
+        );
+
+        CREATE TABLE alert_state (
+          alert_key      TEXT PRIMARY KEY,
+          is_active      INTEGER NOT NULL DEFAULT 0,
+          tier           TEXT,
+          signature      TEXT,
+          first_seen_at  TEXT,
+          last_seen_at   TEXT
+        );
+
+        CREATE TABLE lp_status (
+          position_key  TEXT PRIMARY KEY,
+          status        TEXT NOT NULL,
+          updated_at    TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'import legacy CSV / JSON files',
+    up(db) {
+      importLegacyFiles(db);
+    },
+  },
+  {
+    version: 3,
+    name: 'users and per-user wallets',
+    up(db) {
+      db.exec(`
+        CREATE TABLE users (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          discord_id  TEXT NOT NULL UNIQUE,
+          created_at  TEXT NOT NULL
+        );
+
+        CREATE TABLE user_wallets (
+          user_id     INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+          wallet_id   INTEGER NOT NULL REFERENCES wallets (id) ON DELETE CASCADE,
+          created_at  TEXT NOT NULL,
+          PRIMARY KEY (user_id, wallet_id)
+        );
+        CREATE INDEX idx_user_wallets_wallet ON user_wallets (wallet_id);
+      `);
+
+      const nowIso = new Date().toISOString();
+
+      // Link addresses.csv wallets to their Discord user (3rd column or MY_DISCORD_ID)
+      importAddresses(db, nowIso);
+
+      // Single-user installs: hand every remaining wallet (and its alert state)
+      // to MY_DISCORD_ID so nothing re-fires after the upgrade.
+      const ownerId = process.env.MY_DISCORD_ID;
+      if (!ownerId) return;
+
+      db.prepare(`
+        INSERT INTO users (discord_id, created_at)
+        VALUES (?, ?)
+        ON CONFLICT (discord_id) DO NOTHING
+      `).run(ownerId, nowIso);
+      db.prepare(`
+        INSERT INTO user_wallets (user_id, wallet_id, created_at)
+        SELECT u.id, w.id, ?
+        FROM users u, wallets w
+        WHERE u.discord_id = ?
+          AND NOT EXISTS (SELECT 1 FROM user_wallets uw WHERE uw.wallet_id = w.id)
+      `).run(nowIso, ownerId);
+
+      // TYPE:protocol:wallet:position → TYPE:discordId:protocol:wallet:position
+      const rows = db.prepare('SELECT alert_key FROM alert_state').all();
+      const rekey = db.prepare('UPDATE alert_state SET alert_key = ? WHERE alert_key = ?');
+      for (const { alert_key: key } of rows) {
+        const parts = key.split(':');
+        if (parts.length !== 4) continue;
+        rekey.run([parts[0], ownerId, ...parts.slice(1)].join(':'), key);
+      }
+    },
+  },
+  {
+    version: 4,
+    name: 'wallet ownership verification',
+    up(db) {
+      db.exec(`
+        ALTER TABLE user_wallets ADD COLUMN verify_nonce TEXT;
+        ALTER TABLE user_wallets ADD COLUMN verify_nonce_at TEXT;
+        ALTER TABLE user_wallets ADD COLUMN verified_at TEXT;
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'per-user alert settings',
+    up(db) {
+      // scope '' = the user's defaults, otherwise a position scope "<protocol>:<positionId>"
+      db.exec(`
+        CREATE TABLE alert_settings (
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          scope TEXT NOT NULL DEFAULT '',
+          setting TEXT NOT NULL,
+          value TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, scope, setting)
+        );
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'alert reminders',
+    up(db) {
+      // last_notified_at: last DM for this alert (NEW / UPDATED / REMINDER), drives re-notify
+      db.exec(`
+        ALTER TABLE alert_state ADD COLUMN last_notified_at TEXT;
+        ALTER TABLE alert_state ADD COLUMN remind_count INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'alert acknowledge / snooze',
+    up(db) {
+      db.exec(`
+        ALTER TABLE alert_state ADD COLUMN acked_at TEXT;
+        ALTER TABLE alert_state ADD COLUMN snoozed_until TEXT;
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'quiet hours DM queue',
+    up(db) {
+      db.exec(`
+        CREATE TABLE dm_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          discord_id TEXT NOT NULL,
+          content TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_dm_queue_discord_id ON dm_queue (discord_id);
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'per-user notifiers',
+    up(db) {
+      // kind: DISCORD_DM | DISCORD_CHANNEL | WEBHOOK | EMAIL | TELEGRAM
+      // target: channel ID / URL / email / chat ID ('' for DISCORD_DM); secret: webhook HMAC key
+      db.exec(`
+        CREATE TABLE user_notifiers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          kind TEXT NOT NULL,
+          target TEXT NOT NULL,
+          secret TEXT,
+          min_tier TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_user_notifiers_user_id ON user_notifiers (user_id);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'shared positions',
+    up(db) {
+      // Shared (team treasury) positions alert into SHARED_ALERT_CHANNEL_ID instead of DMs
+      db.exec(`
+        ALTER TABLE positions ADD COLUMN shared INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'trove snapshots',
+    up(db) {
+      // Last known state per trove; debt / coll are kept from the last ACTIVE read
+      // so a closed trove can still report its final values
+      db.exec(`
+        CREATE TABLE trove_snapshots (
+          chain TEXT NOT NULL,
+          contract TEXT NOT NULL,
+          trove_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          debt REAL,
+          coll REAL,
+          coll_symbol TEXT,
+          interest_pct REAL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (chain, contract, trove_id)
+        );
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'event scan cursors',
+    up(db) {
+      // Event scanners keep their own cursors (e.g. REDEMPTION_EVENTS); drop the LOAN / LP check
+      db.exec(`
+        CREATE TABLE scan_cursors_new (
+          kind                TEXT NOT NULL,
+          chain               TEXT NOT NULL,
+          protocol            TEXT NOT NULL,
+          last_scanned_block  INTEGER NOT NULL,
+          updated_at          TEXT NOT NULL,
+          PRIMARY KEY (kind, chain, protocol)
+        );
+        INSERT INTO scan_cursors_new SELECT kind, chain, protocol, last_scanned_block, updated_at FROM scan_cursors;
+        DROP TABLE scan_cursors;
+        ALTER TABLE scan_cursors_new RENAME TO scan_cursors;
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'branch liquidations',
+    up(db) {
+      // Every Liquidation event per loan branch (any trove), for the hourly cascade alert
+      db.exec(`
+        CREATE TABLE branch_liquidations (
+          chain TEXT NOT NULL,
+          protocol TEXT NOT NULL,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number INTEGER NOT NULL,
+          debt REAL NOT NULL,
+          coll REAL NOT NULL,
+          occurred_at TEXT NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        );
+        CREATE INDEX idx_branch_liquidations_branch_time
+          ON branch_liquidations (chain, protocol, occurred_at);
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'oracle prices',
+    up(db) {
+      // Last oracle price per loan branch and when it last moved, for staleness alerts
+      db.exec(`
+        CREATE TABLE oracle_prices (
+          chain TEXT NOT NULL,
+          protocol TEXT NOT NULL,
+          price TEXT NOT NULL,
+          source TEXT,
+          changed_at TEXT NOT NULL,
+          checked_at TEXT NOT NULL,
+          PRIMARY KEY (chain, protocol)
+        );
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'trove interest',
+    up(db) {
+      // Running interest total per trove, plus the last cycle's debt / accrued interest / rate
+      db.exec(`
+        CREATE TABLE trove_interest (
+          chain TEXT NOT NULL,
+          contract TEXT NOT NULL,
+          trove_id TEXT NOT NULL,
+          interest_total REAL NOT NULL,
+          last_debt REAL NOT NULL,
+          last_accrued REAL NOT NULL,
+          last_interest_pct REAL NOT NULL,
+          tracked_since TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (chain, contract, trove_id)
+        );
+      `);
+    },
+  },
+  {
+    version: 16,
+    name: 'trove batch snapshot',
+    up(db) {
+      // Interest batch of each trove at the last cycle, to spot batch rate / fee changes
+      db.exec(`
+        ALTER TABLE trove_snapshots ADD COLUMN batch_manager TEXT;
+        ALTER TABLE trove_snapshots ADD COLUMN batch_rate_pct REAL;
+        ALTER TABLE trove_snapshots ADD COLUMN batch_fee_pct REAL;
+      `);
+    },
+  },
+  {
+    version: 17,
+    name: 'price history',
+    up(db) {
+      // Rolling price samples per series (branch oracle prices, CDP), for velocity alerts
+      db.exec(`
+        CREATE TABLE price_history (
+          series TEXT NOT NULL,
+          price REAL NOT NULL,
+          recorded_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_price_history_series_time
+          ON price_history (series, recorded_at);
+      `);
+    },
+  },
+  {
+    version: 18,
+    name: 'cdp peg state',
+    up(db) {
+      // Current CDP peg state and since when, for duration-in-state tracking
+      db.exec(`
+        CREATE TABLE cdp_peg_state (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          state TEXT NOT NULL,
+          price REAL NOT NULL,
+          since_at TEXT NOT NULL,
+          checked_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 19,
+    name: 'wallet discovery time',
+    up(db) {
+      // When /wallet add last finished a full discovery scan; null → scan again on the next add.
+      // Wallets that already have positions were scanned before.
+      db.exec(`
+        ALTER TABLE wallets ADD COLUMN discovered_at TEXT;
+        UPDATE wallets SET discovered_at = created_at
+        WHERE EXISTS (
+          SELECT 1 FROM positions p
+          WHERE p.chain = wallets.chain AND lower(p.owner) = lower(wallets.address)
+        );
+      `);
+    },
+  },
+  {
+    version: 20,
+    name: 'dm queue delivery attempts',
+    up(db) {
+      // Failed deliveries of a user's queue; the queue is dropped after too many
+      db.exec(`
+        ALTER TABLE dm_queue ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 21,
+    name: 'trove interest history',
+    up(db) {
+      // Progress of the scan that rebuilds each trove's interest since it was opened:
+      // last block scanned, interest applied by the operations seen so far, recorded
+      // debt after the last one, and the opening time once the openTrove operation is seen.
+      // history_done_at: scan complete (interest_total then counts from opened_at)
+      db.exec(`
+        ALTER TABLE trove_interest ADD COLUMN history_block INTEGER;
+        ALTER TABLE trove_interest ADD COLUMN history_interest REAL NOT NULL DEFAULT 0;
+        ALTER TABLE trove_interest ADD COLUMN history_debt REAL;
+        ALTER TABLE trove_interest ADD COLUMN opened_at TEXT;
+        ALTER TABLE trove_interest ADD COLUMN history_done_at TEXT;
+      `);
+    },
+  },
+];
+
+function runMigrations(db) {
+  const current = db.pragma('user_version', { simple: true });
+
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+
+    const apply = db.transaction(() => {
+      m.up(db);
+      db.pragma(`user_version = ${m.version}`);
+    });
+
+    console.log(`[DB] Applying migration ${m.version}: ${m.name}`);
+    apply();
+  }
+}
+
+module.exports = {
+  runMigrations,
+};
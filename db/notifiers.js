@@ -0,0 +1,62 @@
+// db/notifiers.js
+// Where each user's alerts are delivered (Discord DM, channel, webhook, email, Telegram)
+const { getDb, nowIso } = require('./index');
+const { getOrCreateUser } = require('./users');
+
+const SELECT_COLUMNS = `
+  n.id, n.kind, n.target, n.secret, n.min_tier AS minTier, n.created_at AS createdAt
+`;
+
+// Returns [{ id, kind, target, secret, minTier, createdAt }]
+function listNotifiers(discordId) {
+  return getDb()
+    .prepare(`
+      SELECT ${SELECT_COLUMNS}
+      FROM user_notifiers n
+      JOIN users u ON u.id = n.user_id
+      WHERE u.discord_id = ?
+      ORDER BY n.id
+    `)
+    .all(String(discordId));
+}
+
+function getNotifier(discordId, id) {
+  return getDb()
+    .prepare(`
+      SELECT ${SELECT_COLUMNS}
+      FROM user_notifiers n
+      JOIN users u ON u.id = n.user_id
+      WHERE u.discord_id = ? AND n.id = ?
+    `)
+    .get(String(discordId), id) || null;
+}
+
+// Returns the new notifier id
+function addNotifier(discordId, { kind, target, secret = null, minTier }) {
+  const user = getOrCreateUser(discordId);
+  const res = getDb()
+    .prepare(`
+      INSERT INTO user_notifiers (user_id, kind, target, secret, min_tier, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)
+    .run(user.id, kind, target, secret, minTier, nowIso());
+  return Number(res.lastInsertRowid);
+}
+
+// Returns true when a notifier was removed
+function removeNotifier(discordId, id) {
+  const res = getDb()
+    .prepare(`
+      DELETE FROM user_notifiers
+      WHERE id = ? AND user_id = (SELECT id FROM users WHERE discord_id = ?)
+    `)
+    .run(id, String(discordId));
+  return res.changes > 0;
+}
+
+module.exports = {
+  listNotifiers,
+  getNotifier,
+  addNotifier,
+  removeNotifier,
+};
@@ -0,0 +1,36 @@
+// db/oraclePrices.js
+// Last oracle price per loan branch (for staleness alerts)
+const { getDb, nowIso } = require('./index');
+
+/**
+ * Record this run's raw oracle price (wei string); `changed_at` only moves when
+ * the price differs from the stored one.
+ * Returns { price, source, changedAt, checkedAt }.
+ */
+function recordOraclePrice(chain, protocol, price, source) {
+  const db = getDb();
+  const now = nowIso();
+
+  db.prepare(`
+    INSERT INTO oracle_prices (chain, protocol, price, source, changed_at, checked_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (chain, protocol) DO UPDATE SET
+      changed_at = CASE WHEN oracle_prices.price <> excluded.price
+                        THEN excluded.changed_at ELSE oracle_prices.changed_at END,
+      price = excluded.price,
+      source = excluded.source,
+      checked_at = excluded.checked_at
+  `).run(chain.toUpperCase(), protocol, String(price), source, now, now);
+
+  return db
+    .prepare(`
+      SELECT price, source, changed_at AS changedAt, checked_at AS checkedAt
+      FROM oracle_prices
+      WHERE chain = ? AND protocol = ?
+    `)
+    .get(chain.toUpperCase(), protocol);
+}
+
+module.exports = {
+  recordOraclePrice,
+};
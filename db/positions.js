@@ -0,0 +1,168 @@
+// db/positions.js
+const { getDb, nowIso } = require('./index');
+
+/**
+ * Insert or refresh discovered positions.
+ * Rows are { chain, protocol, contract, owner, tokenId }; the
+ * (chain, contract, tokenId) triple is unique, so re-discovery never duplicates.
+ */
+function upsertPositions(kind, rows) {
+  if (!rows || rows.length === 0) return 0;
+
+  const db = getDb();
+  const stmt = db.prepare(`
+    INSERT INTO positions (kind, chain, protocol, contract, token_id, owner, first_seen_at, last_seen_at)
+    VALUES (@kind, @chain, @protocol, @contract, @tokenId, @owner, @now, @now)
+    ON CONFLICT (chain, contract, token_id) DO UPDATE SET
+      owner = excluded.owner,
+      protocol = excluded.protocol,
+      last_seen_at = excluded.last_seen_at
+  `);
+
+  const now = nowIso();
+  const tx = db.transaction((items) => {
+    for (const r of items) {
+      stmt.run({
+        kind,
+        chain: r.chain.toUpperCase(),
+        protocol: r.protocol,
+        contract: r.contract,
+        tokenId: String(r.tokenId),
+        owner: r.owner,
+        now,
+      });
+    }
+  });
+  tx(rows);
+
+  return rows.length;
+}
+
+/**
+ * Monitored (non-ignored) positions of one kind for a chain + protocol.
+ * Pass `discordId` to restrict to positions owned by that user's wallets;
+ * rows then also carry `verifiedAt` (null while the wallet is unverified).
+ * Returns [{ id, chain, protocol, contract, owner, tokenId, shared[, verifiedAt] }].
+ */
+function listPositions(kind, chain, protocol, { discordId = null } = {}) {
+  const userJoin = discordId
+    ? `JOIN wallets w ON w.chain = p.chain AND w.address = p.owner
+       JOIN user_wallets uw ON uw.wallet_id = w.id
+       JOIN users u ON u.id = uw.user_id AND u.discord_id = @discordId`
+    : '';
+
+  const rows = getDb()
+    .prepare(`
+      SELECT p.id, p.chain, p.protocol, p.contract, p.owner, p.token_id AS tokenId, p.shared
+             ${discordId ? ', uw.verified_at AS verifiedAt' : ''}
+      FROM positions p
+      ${userJoin}
+      LEFT JOIN position_ignores i
+        ON i.protocol = p.protocol AND i.token_id = p.token_id
+      WHERE p.kind = @kind AND p.chain = @chain AND p.protocol = @protocol
+        AND i.token_id IS NULL
+      ORDER BY p.id
+    `)
+    .all({
+      kind,
+      chain: chain.toUpperCase(),
+      protocol,
+      ...(discordId ? { discordId: String(discordId) } : {}),
+    });
+  return rows.map((r) => ({ ...r, shared: r.shared === 1 }));
+}
+
+// Loan rows keep the `troveId` field name the loan monitor has always used
+function listLoanPositions(chain, protocol, options = {}) {
+  return listPositions('LOAN', chain, protocol, options).map(({ tokenId, ...rest }) => ({
+    ...rest,
+    troveId: tokenId,
+  }));
+}
+
+function listLpPositions(chain, protocol, options = {}) {
+  return listPositions('LP', chain, protocol, options);
+}
+
+/**
+ * Every known position held by one wallet (any kind / protocol).
+ * Returns [{ kind, chain, protocol, contract, tokenId }].
+ */
+function listPositionsForOwner(chain, owner) {
+  return getDb()
+    .prepare(`
+      SELECT kind, chain, protocol, contract, token_id AS tokenId
+      FROM positions
+      WHERE chain = ? AND owner = ?
+      ORDER BY kind, protocol, id
+    `)
+    .all(chain.toUpperCase(), owner);
+}
+
+/**
+ * A position of `protocol` with `tokenId` held by one of the user's wallets, or null.
+ * Returns { id, kind, chain, protocol, contract, owner, tokenId, shared, verifiedAt }.
+ */
+function getPositionForUser(discordId, protocol, tokenId) {
+  const row = getDb()
+    .prepare(`
+      SELECT p.id, p.kind, p.chain, p.protocol, p.contract, p.owner, p.token_id AS tokenId,
+             p.shared, uw.verified_at AS verifiedAt
+      FROM positions p
+      JOIN wallets w ON w.chain = p.chain AND w.address = p.owner
+      JOIN user_wallets uw ON uw.wallet_id = w.id
+      JOIN users u ON u.id = uw.user_id
+      WHERE u.discord_id = ? AND p.protocol = ? AND p.token_id = ?
+      ORDER BY uw.verified_at IS NULL
+      LIMIT 1
+    `)
+    .get(String(discordId), protocol, String(tokenId));
+  return row ? { ...row, shared: row.shared === 1 } : null;
+}
+
+/**
+ * Every position tagged as shared (team treasury).
+ * Returns [{ kind, chain, protocol, contract, owner, tokenId }].
+ */
+function listSharedPositions() {
+  return getDb()
+    .prepare(`
+      SELECT kind, chain, protocol, contract, owner, token_id AS tokenId
+      FROM positions
+      WHERE shared = 1
+      ORDER BY kind, protocol, id
+    `)
+    .all();
+}
+
+// Tags every chain's position of `protocol` + `tokenId`; returns the number of rows changed
+function setPositionShared(protocol, tokenId, shared) {
+  const res = getDb()
+    .prepare(`
+      UPDATE positions SET shared = ?
+      WHERE protocol = ? AND token_id = ?
+    `)
+    .run(shared ? 1 : 0, protocol, String(tokenId));
+  return res.changes;
+}
+
+function ignorePosition(protocol, tokenId) {
+  getDb()
+    .prepare(`
+      INSERT INTO position_ignores (protocol, token_id, created_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT (protocol, token_id) DO NOTHING
+    `)
+    .run(protocol, String(tokenId), nowIso());
+}
+
+module.exports = {
+  upsertPositions,
+  listLoanPositions,
+  listLpPositions,
+  listPositionsForOwner,
+  getPositionForUser,
+  listSharedPositions,
+  setPositionShared,
+  ignorePosition,
+};
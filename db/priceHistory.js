@@ -0,0 +1,46 @@
+// db/priceHistory.js
+// Rolling price samples per series (e.g. "ORACLE:FLR:<protocol>", "CDP")
+const { getDb, nowIso } = require('./index');
+
+function recordPrice(series, price) {
+  getDb()
+    .prepare('INSERT INTO price_history (series, price, recorded_at) VALUES (?, ?, ?)')
+    .run(series, price, nowIso());
+}
+
+// Samples since `sinceIso`, oldest first: [{ price, recordedAt }]
+function getPriceHistory(series, sinceIso) {
+  return getDb()
+    .prepare(`
+      SELECT price, recorded_at AS recordedAt
+      FROM price_history
+      WHERE series = ? AND recorded_at >= ?
+      ORDER BY recorded_at
+    `)
+    .all(series, sinceIso);
+}
+
+// { min, max, count } since `sinceIso` (min / max null without samples)
+function getPriceRange(series, sinceIso) {
+  return getDb()
+    .prepare(`
+      SELECT MIN(price) AS min, MAX(price) AS max, COUNT(*) AS count
+      FROM price_history
+      WHERE series = ? AND recorded_at >= ?
+    `)
+    .get(series, sinceIso);
+}
+
+// Only the recent window is ever read; keep the table small
+function prunePriceHistory(beforeIso) {
+  getDb()
+    .prepare('DELETE FROM price_history WHERE recorded_at < ?')
+    .run(beforeIso);
+}
+
+module.exports = {
+  recordPrice,
+  getPriceHistory,
+  getPriceRange,
+  prunePriceHistory,
+};
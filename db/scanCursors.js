@@ -0,0 +1,31 @@
+// db/scanCursors.js
+// Last scanned block per (kind, chain, protocol) for incremental discovery
+const { getDb, nowIso } = require('./index');
+
+function getLastScannedBlock(kind, chain, protocol) {
+  const row = getDb()
+    .prepare(`
+      SELECT last_scanned_block AS block
+      FROM scan_cursors
+      WHERE kind = ? AND chain = ? AND protocol = ?
+    `)
+    .get(kind, chain.toUpperCase(), protocol);
+  return row ? row.block : null;
+}
+
+function setLastScannedBlock(kind, chain, protocol, blockNumber) {
+  getDb()
+    .prepare(`
+      INSERT INTO scan_cursors (kind, chain, protocol, last_scanned_block, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (kind, chain, protocol) DO UPDATE SET
+        last_scanned_block = excluded.last_scanned_block,
+        updated_at = excluded.updated_at
+    `)
+    .run(kind, chain.toUpperCase(), protocol, blockNumber, nowIso());
+}
+
+module.exports = {
+  getLastScannedBlock,
+  setLastScannedBlock,
+};
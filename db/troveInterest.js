@@ -0,0 +1,80 @@
+// db/troveInterest.js
+// Interest accrued per trove (cost-of-debt reporting): tracked from each monitor
+// cycle, then rebuilt from the trove's opening once its history scan completes
+const { getDb, nowIso } = require('./index');
+
+/**
+ * Returns { interestTotal, lastDebt, lastAccrued, lastInterestPct, trackedSince, updatedAt,
+ * historyBlock, historyInterest, historyDebt, openedAt, historyDoneAt } or null.
+ */
+function getTroveInterest(chain, contract, troveId) {
+  return getDb()
+    .prepare(`
+      SELECT interest_total AS interestTotal, last_debt AS lastDebt, last_accrued AS lastAccrued,
+             last_interest_pct AS lastInterestPct, tracked_since AS trackedSince, updated_at AS updatedAt,
+             history_block AS historyBlock, history_interest AS historyInterest, history_debt AS historyDebt,
+             opened_at AS openedAt, history_done_at AS historyDoneAt
+      FROM trove_interest
+      WHERE chain = ? AND contract = ? AND trove_id = ?
+    `)
+    .get(chain.toUpperCase(), contract, String(troveId)) || null;
+}
+
+// Upsert this cycle's values; tracked_since is kept from the first row
+function saveTroveInterest(chain, contract, troveId, { interestTotal, debt, accrued, interestPct }) {
+  const now = nowIso();
+  getDb()
+    .prepare(`
+      INSERT INTO trove_interest
+        (chain, contract, trove_id, interest_total, last_debt, last_accrued, last_interest_pct, tracked_since, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (chain, contract, trove_id) DO UPDATE SET
+        interest_total = excluded.interest_total,
+        last_debt = excluded.last_debt,
+        last_accrued = excluded.last_accrued,
+        last_interest_pct = excluded.last_interest_pct,
+        updated_at = excluded.updated_at
+    `)
+    .run(chain.toUpperCase(), contract, String(troveId), interestTotal, debt, accrued, interestPct, now, now);
+}
+
+// Progress of the history scan (see interestHistory.js)
+function saveTroveInterestHistory(chain, contract, troveId, { historyBlock, historyInterest, historyDebt, openedAt }) {
+  getDb()
+    .prepare(`
+      UPDATE trove_interest
+      SET history_block = ?, history_interest = ?, history_debt = ?, opened_at = ?
+      WHERE chain = ? AND contract = ? AND trove_id = ?
+    `)
+    .run(historyBlock, historyInterest, historyDebt, openedAt, chain.toUpperCase(), contract, String(troveId));
+}
+
+/**
+ * The history scan is complete. With `interestTotal` (the trove's interest since
+ * `openedAt`) the running total restarts from it and from `accrued`; without it
+ * (opened before the scan's start block) the tracked total is kept.
+ */
+function completeTroveInterestHistory(chain, contract, troveId, { interestTotal = null, accrued = null, openedAt = null }) {
+  const db = getDb();
+  const key = [chain.toUpperCase(), contract, String(troveId)];
+  db.transaction(() => {
+    if (interestTotal != null) {
+      db.prepare(`
+        UPDATE trove_interest
+        SET interest_total = ?, last_accrued = ?, tracked_since = ?
+        WHERE chain = ? AND contract = ? AND trove_id = ?
+      `).run(interestTotal, accrued, openedAt, ...key);
+    }
+    db.prepare(`
+      UPDATE trove_interest SET history_done_at = ?
+      WHERE chain = ? AND contract = ? AND trove_id = ?
+    `).run(nowIso(), ...key);
+  })();
+}
+
+module.exports = {
+  getTroveInterest,
+  saveTroveInterest,
+  saveTroveInterestHistory,
+  completeTroveInterestHistory,
+};
@@ -0,0 +1,73 @@
+// db/troveSnapshots.js
+// Last known state of each monitored trove (for lifecycle and batch change alerts)
+const { getDb, nowIso } = require('./index');
+
+/**
+ * Returns { status, debt, coll, collSymbol, interestPct, batchManager, batchRatePct, batchFeePct, updatedAt } or null.
+ */
+function getTroveSnapshot(chain, contract, troveId) {
+  return getDb()
+    .prepare(`
+      SELECT status, debt, coll, coll_symbol AS collSymbol, interest_pct AS interestPct,
+             batch_manager AS batchManager, batch_rate_pct AS batchRatePct, batch_fee_pct AS batchFeePct,
+             updated_at AS updatedAt
+      FROM trove_snapshots
+      WHERE chain = ? AND contract = ? AND trove_id = ?
+    `)
+    .get(chain.toUpperCase(), contract, String(troveId)) || null;
+}
+
+// Full snapshot of an ACTIVE trove (`batch` is null unless it is in an interest batch)
+function saveTroveSnapshot(chain, contract, troveId, { status, debt, coll, collSymbol, interestPct, batch = null }) {
+  getDb()
+    .prepare(`
+      INSERT INTO trove_snapshots
+        (chain, contract, trove_id, status, debt, coll, coll_symbol, interest_pct,
+         batch_manager, batch_rate_pct, batch_fee_pct, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (chain, contract, trove_id) DO UPDATE SET
+        status = excluded.status,
+        debt = excluded.debt,
+        coll = excluded.coll,
+        coll_symbol = excluded.coll_symbol,
+        interest_pct = excluded.interest_pct,
+        batch_manager = excluded.batch_manager,
+        batch_rate_pct = excluded.batch_rate_pct,
+        batch_fee_pct = excluded.batch_fee_pct,
+        updated_at = excluded.updated_at
+    `)
+    .run(
+      chain.toUpperCase(),
+      contract,
+      String(troveId),
+      status,
+      debt,
+      coll,
+      collSymbol,
+      interestPct,
+      batch ? batch.manager : null,
+      batch ? batch.ratePct : null,
+      batch ? batch.feePct : null,
+      nowIso()
+    );
+}
+
+// A closed trove reads as zero debt / coll, so only its status is recorded
+function setTroveSnapshotStatus(chain, contract, troveId, status) {
+  getDb()
+    .prepare(`
+      INSERT INTO trove_snapshots (chain, contract, trove_id, status, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (chain, contract, trove_id) DO UPDATE SET
+        status = excluded.status,
+        updated_at = excluded.updated_at
+      WHERE trove_snapshots.status <> excluded.status
+    `)
+    .run(chain.toUpperCase(), contract, String(troveId), status, nowIso());
+}
+
+module.exports = {
+  getTroveSnapshot,
+  saveTroveSnapshot,
+  setTroveSnapshotStatus,
+};
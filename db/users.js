@@ -0,0 +1,138 @@
+// db/users.js
+// Discord users and the wallets they watch (users → wallets → positions)
+const { getDb, nowIso } = require('./index');
+
+function getOrCreateUser(discordId) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO users (discord_id, created_at)
+    VALUES (?, ?)
+    ON CONFLICT (discord_id) DO NOTHING
+  `).run(String(discordId), nowIso());
+
+  return db.prepare('SELECT id, discord_id AS discordId FROM users WHERE discord_id = ?').get(String(discordId));
+}
+
+function linkUserWallet(discordId, walletId) {
+  const user = getOrCreateUser(discordId);
+  getDb()
+    .prepare(`
+      INSERT INTO user_wallets (user_id, wallet_id, created_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT (user_id, wallet_id) DO NOTHING
+    `)
+    .run(user.id, walletId, nowIso());
+  return user;
+}
+
+// Returns true when a link was removed
+function unlinkUserWallet(discordId, walletId) {
+  const res = getDb()
+    .prepare(`
+      DELETE FROM user_wallets
+      WHERE wallet_id = ?
+        AND user_id = (SELECT id FROM users WHERE discord_id = ?)
+    `)
+    .run(walletId, String(discordId));
+  return res.changes > 0;
+}
+
+/**
+ * Wallets watched by a Discord user.
+ * Returns [{ id, chain, address, verifiedAt }].
+ */
+function listUserWallets(discordId) {
+  return getDb()
+    .prepare(`
+      SELECT w.id, w.chain, w.address, uw.verified_at AS verifiedAt
+      FROM wallets w
+      JOIN user_wallets uw ON uw.wallet_id = w.id
+      JOIN users u ON u.id = uw.user_id
+      WHERE u.discord_id = ?
+      ORDER BY w.id
+    `)
+    .all(String(discordId));
+}
+
+// -----------------------------
+// Ownership verification
+// -----------------------------
+
+/**
+ * Link row for (user, wallet) including verification state, or null if not linked.
+ * Returns { userId, walletId, verifyNonce, verifyNonceAt, verifiedAt }.
+ */
+function getUserWalletLink(discordId, walletId) {
+  return getDb()
+    .prepare(`
+      SELECT uw.user_id AS userId, uw.wallet_id AS walletId,
+             uw.verify_nonce AS verifyNonce, uw.verify_nonce_at AS verifyNonceAt,
+             uw.verified_at AS verifiedAt
+      FROM user_wallets uw
+      JOIN users u ON u.id = uw.user_id
+      WHERE u.discord_id = ? AND uw.wallet_id = ?
+    `)
+    .get(String(discordId), walletId) || null;
+}
+
+function setVerifyNonce(discordId, walletId, nonce) {
+  getDb()
+    .prepare(`
+      UPDATE user_wallets
+      SET verify_nonce = ?, verify_nonce_at = ?
+      WHERE wallet_id = ? AND user_id = (SELECT id FROM users WHERE discord_id = ?)
+    `)
+    .run(nonce, nowIso(), walletId, String(discordId));
+}
+
+function markWalletVerified(discordId, walletId) {
+  getDb()
+    .prepare(`
+      UPDATE user_wallets
+      SET verified_at = ?, verify_nonce = NULL, verify_nonce_at = NULL
+      WHERE wallet_id = ? AND user_id = (SELECT id FROM users WHERE discord_id = ?)
+    `)
+    .run(nowIso(), walletId, String(discordId));
+}
+
+/**
+ * Discord IDs of every user watching a given wallet (alert recipients).
+ */
+function listDiscordIdsForWallet(chain, address) {
+  return getDb()
+    .prepare(`
+      SELECT u.discord_id AS discordId
+      FROM users u
+      JOIN user_wallets uw ON uw.user_id = u.id
+      JOIN wallets w ON w.id = uw.wallet_id
+      WHERE w.chain = ? AND w.address = ?
+      ORDER BY u.id
+    `)
+    .all(chain.toUpperCase(), address)
+    .map((r) => r.discordId);
+}
+
+// Users that watch at least one wallet (heartbeat recipients)
+function listUsersWithWallets() {
+  return getDb()
+    .prepare(`
+      SELECT DISTINCT u.discord_id AS discordId
+      FROM users u
+      JOIN user_wallets uw ON uw.user_id = u.id
+      ORDER BY u.id
+    `)
+    .all()
+    .map((r) => r.discordId);
+}
+
+module.exports = {
+  getOrCreateUser,
+  linkUserWallet,
+  unlinkUserWallet,
+  listUserWallets,
+  getUserWalletLink,
+  setVerifyNonce,
+  markWalletVerified,
+  listDiscordIdsForWallet,
+  listUsersWithWallets,
+};
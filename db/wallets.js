@@ -0,0 +1,70 @@
+// db/wallets.js
+const { getDb, nowIso } = require('./index');
+
+function addWallet(chain, address) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO wallets (chain, address, created_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT (chain, address) DO NOTHING
+  `).run(chain.toUpperCase(), address, nowIso());
+
+  return db
+    .prepare('SELECT id, chain, address, discovered_at AS discoveredAt FROM wallets WHERE chain = ? AND address = ?')
+    .get(chain.toUpperCase(), address);
+}
+
+/**
+ * All known wallets, optionally filtered by chain.
+ * Returns [{ id, chain, address }].
+ */
+function listWallets(chain = null) {
+  const db = getDb();
+  if (chain) {
+    return db
+      .prepare('SELECT id, chain, address FROM wallets WHERE chain = ? ORDER BY id')
+      .all(chain.toUpperCase());
+  }
+  return db.prepare('SELECT id, chain, address FROM wallets ORDER BY id').all();
+}
+
+// Returns { id, chain, address, discoveredAt } or null; discoveredAt is null until a discovery scan completes
+function getWallet(chain, address) {
+  return getDb()
+    .prepare('SELECT id, chain, address, discovered_at AS discoveredAt FROM wallets WHERE chain = ? AND address = ?')
+    .get(chain.toUpperCase(), address) || null;
+}
+
+function markWalletDiscovered(chain, address) {
+  getDb()
+    .prepare('UPDATE wallets SET discovered_at = ? WHERE chain = ? AND address = ?')
+    .run(nowIso(), chain.toUpperCase(), address);
+}
+
+/**
+ * Delete a wallet nobody watches any more, along with its discovered positions.
+ * Returns false (and deletes nothing) while any user still watches it.
+ */
+function deleteWalletIfUnwatched(chain, address) {
+  const db = getDb();
+  const wallet = getWallet(chain, address);
+  if (!wallet) return false;
+
+  const watched = db.prepare('SELECT 1 FROM user_wallets WHERE wallet_id = ?').get(wallet.id);
+  if (watched) return false;
+
+  const tx = db.transaction(() => {
+    db.prepare('DELETE FROM positions WHERE chain = ? AND owner = ?').run(wallet.chain, wallet.address);
+    db.prepare('DELETE FROM wallets WHERE id = ?').run(wallet.id);
+  });
+  tx();
+  return true;
+}
+
+module.exports = {
+  addWallet,
+  getWallet,
+  markWalletDiscovered,
+  listWallets,
+  deleteWalletIfUnwatched,
+};
@@ -8,37 +8,26 @@ require("dotenv").config({
 require("log-timestamp");
 
 const fs = require("fs");
-const { parse } = require("csv-parse");
 const { ethers } = require("ethers");
 
+const { listWallets } = require("../db/wallets");
+const { upsertPositions } = require("../db/positions");
+const {
+  getLastScannedBlock,
+  setLastScannedBlock,
+} = require("../db/scanCursors");
+const { discoverTokenIdsForOwner } = require("../monitoring/positionDiscovery");
+
 // ========= PATHS =========
 
-const ADDRESSES_CSV = path.join(__dirname, "..", "data", "addresses.csv");
 const LOAN_CONFIG_PATH = path.join(
   __dirname,
   "..",
   "data",
   "loan_contracts.json"
 );
-const LOAN_STATE_PATH = path.join(
-  __dirname,
-  "..",
-  "data",
-  "loan_scan_state.json"
-);
 
-// Max block window for eth_getLogs (Ankr limit)
-const MAX_LOG_RANGE_BLOCKS = 1000;
-
-// Minimal ABI: only need ownerOf for confirmation
-const ERC721_MIN_ABI = [
-  "function ownerOf(uint256 tokenId) view returns (address)",
-];
-
-// Transfer event topic for ERC721
-const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
-
-// ========= HELPERS: CONFIG & CSV =========
+// ========= HELPERS: CONFIG =========
 
 function loadLoanConfig() {
   if (!fs.existsSync(LOAN_CONFIG_PATH)) {
@@ -65,98 +54,19 @@ function loadLoanConfig() {
   }
 }
 
-function loadAddressesCsv(filePath) {
-  return new Promise((resolve, reject) => {
-    const result = [];
-
-    fs.createReadStream(filePath)
-      .pipe(parse({ delimiter: ",", from_line: 1 }))
-      .on("data", (row) => {
-        const [addressRaw, chainRaw] = row;
-        if (!addressRaw || !chainRaw) return;
-
-        const address = addressRaw.trim();
-        const chain = chainRaw.trim().toUpperCase();
-
-        if (!ethers.isAddress(address)) {
-          console.warn(`Skipping invalid address in CSV: ${addressRaw}`);
-          return;
-        }
-
-        result.push({ address, chain });
-      })
-      .on("end", () => resolve(result))
-      .on("error", (err) => reject(err));
-  });
-}
-
-/**
- * Append rows to a per-source loans CSV, creating it with a header if it doesn't exist.
- * Rows are { chain, protocol, contract, owner, troveId }.
- */
-function appendLoansCsv(outputPath, rows) {
-  if (!rows || rows.length === 0) {
-    console.log(`No new rows for ${outputPath}, skipping append.`);
-    return;
-  }
-
-  const header = "chain,protocol,contract,owner,troveId\n";
-  const body =
-    rows
-      .map(
-        (r) =>
-          `${r.chain},${r.protocol},${r.contract},${r.owner},${r.troveId}`
-      )
-      .join("\n") + "\n";
-
-  const exists = fs.existsSync(outputPath);
-  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-
-  if (!exists) {
-    fs.writeFileSync(outputPath, header + body, "utf8");
-  } else {
-    fs.appendFileSync(outputPath, body, "utf8");
-  }
-}
-
-// ========= LOAN STATE HELPERS =========
-
-function loadLoanState() {
-  if (!fs.existsSync(LOAN_STATE_PATH)) {
-    return {};
-  }
-  try {
-    const raw = fs.readFileSync(LOAN_STATE_PATH, "utf8");
-    return JSON.parse(raw);
-  } catch (err) {
-    console.error(
-      "Error reading loan_scan_state.json, starting fresh:",
-      err.message
-    );
-    return {};
-  }
-}
-
-function saveLoanState(state) {
-  fs.mkdirSync(path.dirname(LOAN_STATE_PATH), { recursive: true });
-  fs.writeFileSync(LOAN_STATE_PATH, JSON.stringify(state, null, 2), "utf8");
-}
+// ========= SCAN CURSOR HELPERS =========
 
 /**
  * Get startBlock for a given chain+protocol.
  * Priority:
- *   1. loan_scan_state.json: chain.protocol.lastScannedBlock
+ *   1. scan_cursors table (db): lastScannedBlock
  *   2. env var: envStartKey
  *   3. 0
  */
-function getStartBlock(loanState, chain, protocol, envStartKey) {
-  const chainState = loanState[chain];
-  if (
-    chainState &&
-    chainState[protocol] &&
-    typeof chainState[protocol].lastScannedBlock === "number"
-  ) {
-    return chainState[protocol].lastScannedBlock;
+function getStartBlock(chain, protocol, envStartKey) {
+  const last = getLastScannedBlock("LOAN", chain, protocol);
+  if (typeof last === "number") {
+    return last;
   }
 
   if (envStartKey && process.env[envStartKey]) {
@@ -166,128 +76,9 @@ function getStartBlock(loanState, chain, protocol, envStartKey) {
   return 0;
 }
 
-/**
- * Update loanState with new lastScannedBlock for chain+protocol.
- */
-function setLastScannedBlock(loanState, chain, protocol, blockNumber) {
-  if (!loanState[chain]) {
-    loanState[chain] = {};
-  }
-  loanState[chain][protocol] = {
-    lastScannedBlock: blockNumber,
-  };
-}
-
-// ========= LOG SCAN HELPERS =========
-
-function topicForAddress(addr) {
-  return ethers.zeroPadValue(addr, 32);
-}
-
-/**
- * Scan ERC721 Transfer logs for tokenIds that were ever sent TO `owner`
- * between `startBlock` and `latestBlock`, in chunks of MAX_LOG_RANGE_BLOCKS.
- * Then confirm which ones are still owned via ownerOf().
- *
- * Returns: array of troveId strings currently owned by `owner`.
- */
-async function discoverTroveIdsForOwner({
-  provider,
-  nftAddress,
-  owner,
-  startBlock,
-  latestBlock,
-}) {
-  const ownerTopic = topicForAddress(owner);
-  const normalizedOwner = ethers.getAddress(owner);
-  const candidateTroveIds = new Set();
-
-  const ownerOfContract = new ethers.Contract(
-    nftAddress,
-    ERC721_MIN_ABI,
-    provider
-  );
-
-  if (startBlock == null || startBlock < 0) startBlock = 0;
-  if (startBlock > latestBlock) {
-    console.log(
-      `  [${nftAddress}] startBlock ${startBlock} > latestBlock ${latestBlock}, skipping ${owner}`
-    );
-    return [];
-  }
-
-  console.log(
-    `  [${nftAddress}] discovering troves for owner ${owner}, blocks ${startBlock} -> ${latestBlock} (step ${MAX_LOG_RANGE_BLOCKS})`
-  );
-
-  for (
-    let fromBlock = startBlock;
-    fromBlock <= latestBlock;
-    fromBlock += MAX_LOG_RANGE_BLOCKS + 1
-  ) {
-    const toBlock = Math.min(fromBlock + MAX_LOG_RANGE_BLOCKS, latestBlock);
-
-    console.log(
-      `    scanning blocks ${fromBlock} -> ${toBlock} for owner ${owner}`
-    );
-
-    try {
-      const logsIn = await provider.getLogs({
-        address: nftAddress,
-        fromBlock,
-        toBlock,
-        topics: [TRANSFER_TOPIC, null, ownerTopic], // Transfer(from, to, tokenId) where to == owner
-      });
-
-      for (const log of logsIn) {
-        if (log.topics.length < 4) continue;
-        const tokenIdHex = log.topics[3];
-        const troveId = BigInt(tokenIdHex).toString();
-
-        if (!candidateTroveIds.has(troveId)) {
-          console.log(
-            `      ↳ Found candidate troveId ${troveId} in Transfer log (to ${owner})`
-          );
-        }
-
-        candidateTroveIds.add(troveId);
-      }
-    } catch (err) {
-      console.error(
-        `      getLogs error for ${nftAddress} [${fromBlock}–${toBlock}] owner ${owner}: ${err.message}`
-      );
-    }
-  }
-
-  // Confirm current ownership (open loans)
-  const ownedNow = [];
-  for (const troveId of candidateTroveIds) {
-    try {
-      const actualOwner = await ownerOfContract.ownerOf(troveId);
-      if (ethers.getAddress(actualOwner) === normalizedOwner) {
-        console.log(
-          `      ✅ troveId ${troveId} is currently owned by ${owner} (OPEN loan)`
-        );
-        ownedNow.push(troveId);
-      } else {
-        console.log(
-          `      ✋ troveId ${troveId} now belongs to ${actualOwner}, not ${owner}`
-        );
-      }
-    } catch (err) {
-      console.error(
-        `      ownerOf(${troveId}) failed on ${nftAddress} (owner ${owner}): ${err.message}`
-      );
-      // closed/burned or invalid, ignore
-    }
-  }
-
-  return ownedNow;
-}
-
 /**
  * For a given loan NFT contract on a given chain, discover all troveIds currently owned
- * by any of the provided addresses, starting from loan_state/env startBlock.
+ * by any of the provided addresses, starting from the db cursor / env startBlock.
  *
  * Returns: array of { chain, protocol, contract, owner, troveId }.
  */
@@ -296,7 +87,6 @@ async function discoverForLoanContract({
   chain,
   loanConfig,
   addressesForChain,
-  loanState,
 }) {
   const { protocol, address: nftAddress, envStartKey } = loanConfig;
 
@@ -306,7 +96,7 @@ async function discoverForLoanContract({
   }
 
   const latestBlock = await provider.getBlockNumber();
-  const startBlock = getStartBlock(loanState, chain, protocol, envStartKey);
+  const startBlock = getStartBlock(chain, protocol, envStartKey);
 
   console.log(
     `\n=== Discovering loans for ${protocol} on ${chain} (${nftAddress}) ===`
@@ -318,7 +108,7 @@ async function discoverForLoanContract({
   const results = [];
 
   for (const { address: owner } of addressesForChain) {
-    const troveIds = await discoverTroveIdsForOwner({
+    const troveIds = await discoverTokenIdsForOwner({
       provider,
       nftAddress,
       owner,
@@ -350,7 +140,7 @@ async function discoverForLoanContract({
     }
   }
 
-  setLastScannedBlock(loanState, chain, protocol, latestBlock);
+  setLastScannedBlock("LOAN", chain, protocol, latestBlock);
 
   console.log(
     `  >>> Total ${results.length} open troves for ${protocol} across ${addressesForChain.length} owner(s) on ${chain}.`
@@ -368,7 +158,7 @@ async function main() {
   // Load config
   const loanConfig = loadLoanConfig();
 
-  // Flatten contracts: [{ chain, rpcEnvKey, key, protocol, address, envStartKey, csvFile }, ...]
+  // Flatten contracts: [{ chain, rpcEnvKey, key, protocol, address, envStartKey }, ...]
   const flatContracts = [];
   for (const [chain, chainCfg] of Object.entries(loanConfig.chains || {})) {
     const rpcEnvKey = chainCfg.rpcEnvKey;
@@ -382,7 +172,6 @@ async function main() {
         protocol: c.protocol,
         address: c.address,
         envStartKey: c.envStartKey,
-        csvFile: c.csvFile,
       });
     }
   }
@@ -410,15 +199,18 @@ async function main() {
 
   console.log("Enabled loan configs:", enabledContracts.map((c) => c.key));
 
-  console.log("Loading addresses CSV:", ADDRESSES_CSV);
-  const allAddresses = await loadAddressesCsv(ADDRESSES_CSV);
+  console.log("Loading wallets from database");
+  const allAddresses = listWallets().map(({ chain, address }) => ({
+    address,
+    chain,
+  }));
 
   if (allAddresses.length === 0) {
-    console.log("No addresses found in CSV. Nothing to do.");
+    console.log("No wallets found in database. Nothing to do.");
     return;
   }
 
-  console.log("Addresses from CSV:");
+  console.log("Wallets from database:");
   console.log(allAddresses);
 
   // Create provider per chain
@@ -437,9 +229,6 @@ async function main() {
     providerByChain[cfg.chain] = new ethers.JsonRpcProvider(rpcUrl);
   }
 
-  // Load existing loan state
-  const loanState = loadLoanState();
-
   for (const cfg of enabledContracts) {
     const provider = providerByChain[cfg.chain];
     if (!provider) {
@@ -454,7 +243,7 @@ async function main() {
     );
     if (addressesForChain.length === 0) {
       console.log(
-        `No addresses for chain ${cfg.chain} in CSV. Skipping ${cfg.protocol}.`
+        `No wallets for chain ${cfg.chain} in database. Skipping ${cfg.protocol}.`
       );
       continue;
     }
@@ -464,23 +253,17 @@ async function main() {
       chain: cfg.chain,
       loanConfig: cfg,
       addressesForChain,
-      loanState,
     });
 
-    const outputCsvPath = path.join(
-      __dirname,
-      "..",
-      "data",
-      cfg.csvFile || `${cfg.key}_loans_positions.csv`
-    );
-
     console.log(
-      `Writing/Appending loan positions for ${cfg.protocol} to ${outputCsvPath}`
+      `Upserting ${rows.length} loan position(s) for ${cfg.protocol} into database`
+    );
+    upsertPositions(
+      "LOAN",
+      rows.map(({ troveId, ...rest }) => ({ ...rest, tokenId: troveId }))
     );
-    appendLoansCsv(outputCsvPath, rows);
   }
 
-  saveLoanState(loanState);
   console.log("\nLoan discovery complete.");
 }
 
@@ -0,0 +1,23 @@
+const path = require("path");
+
+// Always load .env from project root, even when script is inside /dev/
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+require("log-timestamp");
+
+const { getDb } = require("../db");
+const { importLegacyFiles } = require("../db/legacyImport");
+
+// Re-import data/addresses.csv, the per-protocol position CSVs, scan state
+// JSON, lp_ignore.json and alert_state.json into the database.
+// Opening the db already runs this once (migration 2); rerun it after
+// editing any of those files by hand. Every write is an upsert.
+function main() {
+  const db = getDb();
+  importLegacyFiles(db);
+  console.log("Legacy import complete.");
+}
+
+main();
@@ -1,9 +1,18 @@
+const { isAlertButton, handleAlertButton } = require('../monitoring/alertButtons');
+
 async function onInteraction(interaction) {
     if (interaction.isChatInputCommand()) {
         const command = interaction.client.commands.get(interaction.commandName);
         await command.execute(interaction);
     } else if (interaction.isButton()) {
-        //console.log(interaction);
+        // Acknowledge / Snooze / Mute on alert DMs
+        if (isAlertButton(interaction.customId)) {
+            try {
+                await handleAlertButton(interaction);
+            } catch (err) {
+                console.error('[AlertButtons] Failed to handle button:', err);
+            }
+        }
     } else {
         return;
     }
@@ -10,6 +10,7 @@ const cron = require('node-cron');
 const { monitorLoans } = require('../monitoring/loanMonitor');
 const { monitorLPs } = require('../monitoring/lpMonitor');
 const { sendDailyHeartbeat } = require('../monitoring/dailyHeartbeat');
+const { flushQuietHourQueues } = require('../monitoring/quietHours');
 
 // Cron schedule for monitoring (from .env)
 const CRON_SCHED = process.env.CRON_SCHED;
@@ -34,85 +35,6 @@ if (!HEARTBEAT_TZ) {
   process.exit(1);
 }
 
-// -----------------------------
-// Discord DM chunking helpers
-// -----------------------------
-
-const DISCORD_MSG_MAX = 2000;
-// headroom to avoid edge-case overflow
-const DISCORD_SAFE_MAX = 1900;
-
-function splitIntoDiscordMessages(text, maxLen = DISCORD_SAFE_MAX) {
-  if (!text) return [];
-
-  const lines = text.replace(/\r\n/g, '\n').split('\n');
-  const chunks = [];
-
-  let buf = '';
-
-  for (const line of lines) {
-    const addLen = (buf.length === 0 ? 0 : 1) + line.length;
-
-    // If a single line is too long, hard-split it
-    if (line.length > maxLen) {
-      if (buf.length) {
-        chunks.push(buf);
-        buf = '';
-      }
-      for (let i = 0; i < line.length; i += maxLen) {
-        chunks.push(line.slice(i, i + maxLen));
-      }
-      continue;
-    }
-
-    // If adding this line would exceed max, flush buffer
-    if (buf.length + addLen > maxLen) {
-      if (buf.length) chunks.push(buf);
-      buf = line;
-      continue;
-    }
-
-    buf = buf.length ? `${buf}\n${line}` : line;
-  }
-
-  if (buf.length) chunks.push(buf);
-
-  return chunks.map((c) =>
-    c.length > DISCORD_MSG_MAX ? c.slice(0, DISCORD_MSG_MAX) : c
-  );
-}
-
-async function sendLongDM(user, content) {
-  const chunks = splitIntoDiscordMessages(content);
-
-  for (let i = 0; i < chunks.length; i++) {
-    const prefix = chunks.length > 1 ? `(${i + 1}/${chunks.length}) ` : '';
-    await user.send({ content: prefix + chunks[i] });
-  }
-}
-
-// Wrap sendDailyHeartbeat(client) so it can return a string OR send itself.
-// If it returns a string, we chunk+send here.
-// If it already sends, we do nothing extra.
-async function sendDailyHeartbeatChunked(client) {
-  const res = await sendDailyHeartbeat(client);
-
-  // If your heartbeat module returns content, send it chunked here.
-  if (typeof res === 'string' && res.trim().length > 0) {
-    const myId = process.env.MY_DISCORD_ID;
-    if (!myId) {
-      console.error('Missing MY_DISCORD_ID in .env');
-      process.exit(1);
-    }
-
-    const user = await client.users.fetch(myId);
-    const header = `📌 Daily Heartbeat — ${new Date().toISOString()}\n`;
-    await sendLongDM(user, header + res);
-  }
-
-  // Otherwise assume sendDailyHeartbeat handled delivery (and might now internally chunk).
-}
-
 async function onReady(client) {
   console.log(`Ready! Logged in as ${client.user.tag}`);
 
@@ -225,7 +147,8 @@ async function onReady(client) {
       console.log('▶️  Daily heartbeat start');
 
       try {
-        await sendDailyHeartbeatChunked(client);
+        // Sends one DM per registered user (see monitoring/dailyHeartbeat.js)
+        await sendDailyHeartbeat(client);
       } catch (e) {
         console.error('❌ Daily heartbeat failed:', e);
       }
@@ -237,6 +160,23 @@ async function onReady(client) {
       timezone: HEARTBEAT_TZ,
     }
   );
+
+  // ===== Quiet hours: deliver queued alert DMs once a user's quiet hours end =====
+
+  let isQuietFlushRunning = false;
+
+  cron.schedule('* * * * *', async () => {
+    if (isQuietFlushRunning) return;
+    isQuietFlushRunning = true;
+
+    try {
+      await flushQuietHourQueues(client);
+    } catch (e) {
+      console.error('❌ Quiet hours flush failed:', e);
+    }
+
+    isQuietFlushRunning = false;
+  });
 }
 
 module.exports = {
@@ -0,0 +1,106 @@
+// monitoring/alertButtons.js
+// Acknowledge / snooze / mute buttons on alert DMs
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getAlertRecord, setAlertRecord, getAllAlertRecords } = require('../db/alertState');
+const { setPositionMuted } = require('./alertPreferences');
+const { parseAlertKey, alertKeyHash, isPositionAlertKey } = require('./alertKeys');
+
+// Custom IDs look like "alert:<action>:<keyHash>"
+const CUSTOM_ID_PREFIX = 'alert';
+
+const SNOOZE_MS = {
+  snooze1h: 60 * 60 * 1000,
+  snooze24h: 24 * 60 * 60 * 1000,
+};
+
+// Branch- / CDP-wide alerts get no Mute button: there is no position to mute
+function buildAlertButtons(key) {
+  const hash = alertKeyHash(key);
+  const id = (action) => `${CUSTOM_ID_PREFIX}:${action}:${hash}`;
+
+  const buttons = [
+    new ButtonBuilder().setCustomId(id('ack')).setLabel('Acknowledge').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(id('snooze1h')).setLabel('Snooze 1h').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(id('snooze24h')).setLabel('Snooze 24h').setStyle(ButtonStyle.Secondary),
+  ];
+  if (isPositionAlertKey(key)) {
+    buttons.push(new ButtonBuilder().setCustomId(id('mute')).setLabel('Mute this position').setStyle(ButtonStyle.Danger));
+  }
+
+  return [new ActionRowBuilder().addComponents(...buttons)];
+}
+
+function isAlertButton(customId) {
+  return typeof customId === 'string' && customId.startsWith(`${CUSTOM_ID_PREFIX}:`);
+}
+
+// Resolve a hash back to a key; only the clicking user's own alerts match
+function findAlertKeyForUser(userId, hash) {
+  for (const [key] of getAllAlertRecords()) {
+    if (parseAlertKey(key).userId === String(userId) && alertKeyHash(key) === hash) {
+      return key;
+    }
+  }
+  return null;
+}
+
+async function handleAlertButton(interaction) {
+  const [, action, hash] = interaction.customId.split(':');
+  const userId = interaction.user.id;
+
+  const reply = (content) => interaction.reply({ content, flags: 64 }); // EPHEMERAL
+
+  const key = findAlertKeyForUser(userId, hash);
+  const record = key ? getAlertRecord(key) : null;
+  if (!record) {
+    await reply('This alert no longer exists.');
+    return;
+  }
+
+  const { type, protocol, positionId } = parseAlertKey(key);
+  const label = `${type} alert for ${protocol} #${positionId}`;
+
+  if (action === 'mute') {
+    // Buttons on older DMs may still offer it
+    if (!isPositionAlertKey(key)) {
+      await reply(`The ${label} is not about one position and can't be muted; acknowledge or snooze it instead.`);
+      return;
+    }
+    setPositionMuted(userId, protocol, positionId, true);
+    console.log(`[AlertButtons] ${userId} muted ${protocol}:${positionId}`);
+    await reply(`🔕 Muted all alerts for ${protocol} #${positionId}. Undo with \`/alerts unmute\`.`);
+    return;
+  }
+
+  if (!record.isActive) {
+    await reply(`The ${label} has already resolved.`);
+    return;
+  }
+
+  if (action === 'ack') {
+    setAlertRecord(key, { ...record, ackedAt: new Date().toISOString() });
+    console.log(`[AlertButtons] ${userId} acknowledged ${key}`);
+    await reply(`✅ Acknowledged the ${label}. No more reminders unless it escalates.`);
+    return;
+  }
+
+  if (SNOOZE_MS[action]) {
+    const until = new Date(Date.now() + SNOOZE_MS[action]);
+    setAlertRecord(key, { ...record, snoozedUntil: until.toISOString() });
+    console.log(`[AlertButtons] ${userId} snoozed ${key} until ${until.toISOString()}`);
+    await reply(
+      `😴 Snoozed the ${label} until <t:${Math.floor(until.getTime() / 1000)}:f>. ` +
+        'An escalation will still alert.'
+    );
+    return;
+  }
+
+  await reply('Unknown alert action.');
+}
+
+module.exports = {
+  buildAlertButtons,
+  isAlertButton,
+  handleAlertButton,
+};
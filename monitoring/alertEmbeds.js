@@ -0,0 +1,259 @@
+// monitoring/alertEmbeds.js
+// Alert rendering: Discord embeds (tier colors / emoji match /my-lp) and the
+// plain-text version used by non-Discord notifiers and the quiet-hours queue
+
+const { EmbedBuilder } = require('discord.js');
+const {
+  createDecimalFormatter,
+  createPercentFormatter,
+} = require('../utils/intlNumberFormats');
+const { addressUrl, txUrl, nftUrl } = require('../utils/explorers');
+
+const TIER_EMOJI = {
+  LOW: '🟩',
+  NEUTRAL: '🟩',
+  MEDIUM: '🟨',
+  HIGH: '🟧',
+  CRITICAL: '🟥',
+  UNKNOWN: '⬜',
+};
+
+const TIER_COLORS = {
+  LOW: 0x57f287, // green
+  NEUTRAL: 0x57f287,
+  MEDIUM: 0xfee75c, // yellow
+  HIGH: 0xe67e22, // orange
+  CRITICAL: 0xed4245, // red
+  UNKNOWN: 0x95a5a6, // grey
+};
+
+// Resolutions are green whatever the tier they resolve
+const RESOLVED_COLOR = 0x57f287;
+
+// -----------------------------
+// Field formatting
+// -----------------------------
+
+const fmtPp = createDecimalFormatter(2, 2);
+const fmtFracPct = createPercentFormatter(2, 2);
+const fmtDefault = createDecimalFormatter(0, 4);
+const fmtAmount = createDecimalFormatter(2, 4);
+
+const fmtPriceLarge = createDecimalFormatter(2, 2);
+const fmtPrice = createDecimalFormatter(2, 4);
+const fmtPriceSmall = createDecimalFormatter(4, 6);
+
+function formatPrice(v) {
+  const abs = Math.abs(v);
+  if (abs >= 1000) return fmtPriceLarge.format(v);
+  if (abs >= 1) return fmtPrice.format(v);
+  return fmtPriceSmall.format(v);
+}
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// meta key → { label, format }; keys not listed keep their name and a generic format
+const FIELD_FORMATS = {
+  ltvPct: { label: 'LTV', format: (v) => `${fmtPp.format(v)}%` },
+  liquidationBufferFrac: { label: 'Liquidation buffer', format: (v) => fmtFracPct.format(v) },
+  liquidationPrice: { label: 'Liquidation price', format: formatPrice },
+  currentPrice: { label: 'Current price', format: formatPrice },
+  cdpIR: { label: 'Trove interest rate', format: (v) => `${fmtPp.format(v)}%` },
+  globalIR: { label: 'Global interest rate', format: (v) => `${fmtPp.format(v)}%` },
+  debtAhead: { label: 'Debt ahead in redemption queue', format: (v) => fmtAmount.format(v) },
+  isCDPActive: { label: 'CDP active', format: (v) => (v ? 'Yes' : 'No') },
+  prevStatus: { label: 'Previous status' },
+  currentStatus: { label: 'Status' },
+  // Ticks stay raw (no grouping) so they match the pool / explorer
+  tickLower: { label: 'Lower tick', format: String },
+  tickUpper: { label: 'Upper tick', format: String },
+  currentTick: { label: 'Current tick', format: String },
+  status: { label: 'Trove status' },
+  finalDebt: { label: 'Final debt', format: (v) => fmtAmount.format(v) },
+  finalColl: { label: 'Final collateral', format: (v) => fmtAmount.format(v) },
+  collSymbol: { label: 'Collateral' },
+  lastInterestPct: { label: 'Last interest rate', format: (v) => `${fmtPp.format(v)}%` },
+  snapshotAt: { label: 'Last snapshot' },
+  debtRedeemed: { label: 'Debt redeemed', format: (v) => fmtAmount.format(v) },
+  collRedeemed: { label: 'Collateral taken', format: (v) => fmtAmount.format(v) },
+  redemptionFee: { label: 'Fee kept by trove', format: (v) => fmtAmount.format(v) },
+  debtAfter: { label: 'Debt after', format: (v) => fmtAmount.format(v) },
+  collAfter: { label: 'Collateral after', format: (v) => fmtAmount.format(v) },
+  redemptionPrice: { label: 'Redemption price', format: formatPrice },
+  liquidatedDebt1h: { label: 'Debt liquidated (1h)', format: (v) => fmtAmount.format(v) },
+  liquidatedColl1h: { label: 'Collateral liquidated (1h)', format: (v) => fmtAmount.format(v) },
+  liquidations1h: { label: 'Liquidations (1h)' },
+  thresholdHigh: { label: 'HIGH at', format: (v) => fmtAmount.format(v) },
+  thresholdCrit: { label: 'CRITICAL at', format: (v) => fmtAmount.format(v) },
+  branchState: { label: 'Branch state' },
+  tcrPct: { label: 'Branch TCR', format: (v) => `${fmtPp.format(v)}%` },
+  ccrPct: { label: 'CCR', format: (v) => `${fmtPp.format(v)}%` },
+  scrPct: { label: 'SCR', format: (v) => `${fmtPp.format(v)}%` },
+  isPaused: { label: 'Paused', format: (v) => (v ? 'Yes' : 'No') },
+  shutdownAt: { label: 'Shut down at' },
+  branchColl: { label: 'Branch collateral', format: (v) => fmtAmount.format(v) },
+  branchDebt: { label: 'Branch debt', format: (v) => fmtAmount.format(v) },
+  oraclePrice: { label: 'Oracle price', format: formatPrice },
+  priceSource: { label: 'Price source' },
+  priceChangedAt: { label: 'Price last changed' },
+  priceUnchangedMin: { label: 'Unchanged for (min)', format: (v) => fmtDefault.format(Math.floor(v)) },
+  staleAfterMin: { label: 'Stale after (min)' },
+  poolPrice: { label: 'DEX pool price', format: formatPrice },
+  divergenceFrac: { label: 'Divergence', format: (v) => fmtFracPct.format(v) },
+  divergenceMaxFrac: { label: 'Max divergence', format: (v) => fmtFracPct.format(v) },
+  batchManager: { label: 'Batch manager' },
+  prevBatchRatePct: { label: 'Previous batch rate', format: (v) => `${fmtPp.format(v)}%` },
+  batchRatePct: { label: 'Batch rate', format: (v) => `${fmtPp.format(v)}%` },
+  prevBatchFeePct: { label: 'Previous management fee', format: (v) => `${fmtPp.format(v)}%` },
+  batchFeePct: { label: 'Management fee', format: (v) => `${fmtPp.format(v)}%` },
+  peakPrice: { label: 'Highest price in window', format: formatPrice },
+  dropFrac: { label: 'Drop from high', format: (v) => fmtFracPct.format(v) },
+  velocityWindowMin: { label: 'Window (min)' },
+  redemptionTrigger: { label: 'Redemption trigger', format: formatPrice },
+  timeToTarget: { label: 'Reached at this pace in' },
+  pegState: { label: 'Peg state' },
+  cdpPrice: { label: 'CDP price', format: (v) => `${formatPrice(v)} USD` },
+  inState: { label: 'In this state for' },
+  pegStateSince: { label: 'Since' },
+  triggerDiff: { label: 'Distance to trigger', format: (v) => `${v >= 0 ? '+' : ''}${formatPrice(v)}` },
+  activeFor: { label: 'Active for' },
+  reminder: { label: 'Reminder #' },
+};
+
+// The tier has its own prev → current field
+const TIER_META_KEYS = ['tier', 'lpRangeTier'];
+
+/**
+ * Meta as display fields: [{ name, value }] with labels and sensible precision.
+ * Missing values show as "n/a".
+ */
+function formatAlertFields(meta) {
+  return Object.entries(meta || {})
+    .filter(([key]) => !TIER_META_KEYS.includes(key))
+    .map(([key, value]) => {
+      const def = FIELD_FORMATS[key] || {};
+      let text;
+      if (value === null || value === undefined) text = 'n/a';
+      else if (def.format && (isNum(value) || typeof value === 'boolean')) text = def.format(value);
+      else if (isNum(value)) text = fmtDefault.format(value);
+      else text = String(value);
+      return { name: def.label || key, value: text };
+    });
+}
+
+// "🟨 MEDIUM → 🟥 CRITICAL", or just the current tier when unchanged / new
+function formatTierChange(previousTier, tier) {
+  const show = (t) => `${TIER_EMOJI[t] || TIER_EMOJI.UNKNOWN} ${t || 'UNKNOWN'}`;
+  if (previousTier && previousTier !== tier) return `${show(previousTier)} → ${show(tier)}`;
+  return show(tier);
+}
+
+// -----------------------------
+// Hints + links
+// -----------------------------
+
+const ALERT_HINTS = {
+  LIQUIDATION: 'Add collateral or repay debt to widen the liquidation buffer.',
+  REDEMPTION: 'Raise the trove interest rate above the global average to move back in the redemption queue.',
+  LP_RANGE: 'Re-center the range around the current price, or wait if you expect the price to come back.',
+  REDEMPTION_HIT: 'Your debt was repaid with your collateral. Raise the interest rate to move back in the redemption queue.',
+  BRANCH_LIQUIDATIONS: 'Liquidations cluster when prices drop: check your liquidation buffer and consider adding collateral.',
+  BRANCH_HEALTH: 'Below CCR the branch blocks actions that lower its TCR; below SCR, or once paused / shut down, borrowing stops. Keep your own trove well collateralized and watch the protocol announcements.',
+  ORACLE: 'A degraded oracle can trigger liquidations at a wrong price: keep a wider liquidation buffer until it recovers.',
+  BATCH_CHANGE: 'Your trove follows its batch manager: if the new rate or fee no longer suits you, leave the batch and set your own rate.',
+  VELOCITY: 'A fast fall can skip tiers between two runs: add collateral or repay before the trend reaches your liquidation price; for CDP, consider raising your interest rate before redemptions start.',
+  CDP_PEG: 'Below the peg, redemptions get profitable: lower-rate troves are redeemed first, so check your redemption tier and interest rate.',
+  TROVE_STATUS: 'Check the trove in the protocol app: leftover collateral after a liquidation can be claimed there.',
+};
+
+// A zombie trove is still open: it is still liquidable and accrues interest
+const UNREDEEMABLE_HINT =
+  'Your trove is still open and can still be liquidated: borrow back above the minimum debt in the protocol app to make it ACTIVE again, or close it.';
+
+// Nothing to do once an alert has cleared, or after closing your own trove
+function getAlertHint(alert) {
+  if (alert.phase === 'RESOLVED') return null;
+  if (alert.alertType === 'TROVE_STATUS' && (alert.meta || {}).status === 'CLOSED_BY_OWNER') return null;
+  if (alert.alertType === 'TROVE_STATUS' && (alert.meta || {}).status === 'UNREDEEMABLE') return UNREDEEMABLE_HINT;
+  return ALERT_HINTS[alert.alertType] || null;
+}
+
+// [{ label, url }] for the wallet, the position NFT and (event alerts) the
+// transaction, when the chain has an explorer
+function getAlertLinks(alert) {
+  const p = alert.position || {};
+  return [
+    { label: 'Wallet', url: addressUrl(p.chainId, p.wallet) },
+    { label: 'Position NFT', url: nftUrl(p.chainId, p.contract, p.positionId) },
+    { label: 'Transaction', url: txUrl(p.chainId, p.txHash) },
+  ].filter((l) => l.url);
+}
+
+// -----------------------------
+// Renderers
+// -----------------------------
+
+/**
+ * Embed for one alert: tier-colored sidebar, prev → current tier, formatted
+ * fields, explorer links and a "what to do" hint.
+ * `alert` is the object sendAlert builds ({ phase, alertType, tier, previousTier, message, meta, position, ... }).
+ */
+function buildAlertEmbed(alert, { footer = null } = {}) {
+  const tier = alert.tier || 'UNKNOWN';
+  const emoji = alert.phase === 'RESOLVED' ? '✅' : TIER_EMOJI[tier] || TIER_EMOJI.UNKNOWN;
+
+  const embed = new EmbedBuilder()
+    .setColor(alert.phase === 'RESOLVED' ? RESOLVED_COLOR : TIER_COLORS[tier] || TIER_COLORS.UNKNOWN)
+    .setTitle(`${emoji} ${alert.phase} ${alert.alertType} ALERT`)
+    .setDescription(alert.message)
+    .setTimestamp();
+
+  const fields = [
+    { name: 'Tier', value: formatTierChange(alert.previousTier, tier), inline: false },
+    ...formatAlertFields(alert.meta).map((f) => ({ ...f, inline: true })),
+  ];
+
+  const links = getAlertLinks(alert);
+  if (links.length) {
+    fields.push({ name: 'Links', value: links.map((l) => `[${l.label}](${l.url})`).join(' · '), inline: false });
+  }
+
+  const hint = getAlertHint(alert);
+  if (hint) fields.push({ name: 'What to do', value: hint, inline: false });
+
+  // Discord caps embeds at 25 fields
+  embed.addFields(fields.slice(0, 25));
+
+  if (footer) embed.setFooter({ text: footer });
+  return embed;
+}
+
+// Same content as the embed, as plain text (webhook / email / Telegram / quiet-hours batch)
+function buildAlertText(alert) {
+  const lines = [];
+  lines.push(`${alert.logPrefix} ${alert.phase} ${alert.alertType} ALERT`);
+  lines.push(alert.message);
+  lines.push('');
+  lines.push(`Tier: ${formatTierChange(alert.previousTier, alert.tier || 'UNKNOWN')}`);
+
+  for (const f of formatAlertFields(alert.meta)) {
+    lines.push(`• ${f.name}: ${f.value}`);
+  }
+
+  for (const l of getAlertLinks(alert)) {
+    lines.push(`${l.label}: ${l.url}`);
+  }
+
+  const hint = getAlertHint(alert);
+  if (hint) lines.push('', `What to do: ${hint}`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  TIER_EMOJI,
+  TIER_COLORS,
+  formatAlertFields,
+  buildAlertEmbed,
+  buildAlertText,
+};
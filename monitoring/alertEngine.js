@@ -1,31 +1,91 @@
 // monitoring/alertEngine.js
-// In-memory alert state + logging + Discord DM alerts
+// Persistent alert state + logging + alert notifications (see notifiers/)
 
 const crypto = require('crypto');
+const {
+  getAlertRecord,
+  setAlertRecord,
+  getAllAlertRecords,
+} = require('../db/alertState');
+const { LIQ_TIER_ORDER, REDEMP_TIER_ORDER, LP_TIER_ORDER } = require('./alertThresholds');
+const { isNotificationEnabled, isPositionMuted } = require('./alertPreferences');
+const {
+  BRANCH_POSITION_ID,
+  CDP_PEG_POSITION_ID,
+  buildAlertKey,
+  parseAlertKey,
+  isSharedRecipient,
+  isPositionAlertKey,
+} = require('./alertKeys');
+const { dispatchAlert } = require('./notifiers');
+const { sendSharedAlert } = require('./sharedAlerts');
+const { buildAlertText } = require('./alertEmbeds');
 
-// Your personal Discord user ID (string)
-const DM_USER_ID = process.env.MY_DISCORD_ID;
-if (!DM_USER_ID) {
-  console.error("Missing MY_DISCORD_ID in .env");
-  process.exit(1);
+/* ---------------------------
+ * Reminder policy (strict, from .env)
+ * -------------------------- */
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
 }
 
-/**
- * Load bot client from the main index.js file.
- * This matches what your slash commands already do.
- */
-function getDiscordClient() {
-  try {
-    return require('../index');
-  } catch {
-    return null;
+// "CRITICAL=30,HIGH=240,MEDIUM=0" → { CRITICAL: 1800000, HIGH: 14400000 } (ms; 0 = never)
+function parseRemindPolicy(name, raw) {
+  const out = {};
+  for (const part of raw.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const [tier, minutesRaw] = part.split('=').map((x) => (x || '').trim());
+    const minutes = Number(minutesRaw);
+    if (!tier || !Number.isFinite(minutes) || minutes < 0) {
+      console.error(`[Config] ${name} entries must look like TIER=minutes, got "${part}"`);
+      process.exit(1);
+    }
+    if (minutes > 0) out[tier.toUpperCase()] = minutes * 60 * 1000;
   }
+  return out;
 }
 
-const alertState = new Map();
+const REMIND_INTERVAL_MS = parseRemindPolicy(
+  'ALERT_REMIND_MINUTES',
+  requireEnv('ALERT_REMIND_MINUTES')
+);
+
+// Severity order per alert type, to tell escalation from de-escalation
+const TIER_ORDER_BY_TYPE = {
+  LIQUIDATION: LIQ_TIER_ORDER,
+  REDEMPTION: REDEMP_TIER_ORDER,
+  LP_RANGE: LP_TIER_ORDER,
+  TROVE_STATUS: LIQ_TIER_ORDER,
+  BRANCH_LIQUIDATIONS: LIQ_TIER_ORDER,
+  BRANCH_HEALTH: LIQ_TIER_ORDER,
+  ORACLE: LIQ_TIER_ORDER,
+  VELOCITY: LIQ_TIER_ORDER,
+  CDP_PEG: LIQ_TIER_ORDER,
+};
+
+// True when both tiers are known and `tier` ranks below `prevTier`
+function isTierDrop(alertType, prevTier, tier) {
+  const order = TIER_ORDER_BY_TYPE[alertType];
+  if (!order || !prevTier || !tier || prevTier === 'UNKNOWN' || tier === 'UNKNOWN') return false;
+  const prevIdx = order.indexOf(prevTier);
+  const idx = order.indexOf(tier);
+  return prevIdx !== -1 && idx !== -1 && idx < prevIdx;
+}
 
-function buildAlertKey({ type, protocol, wallet, positionId }) {
-  return `${type}:${protocol}:${wallet}:${positionId}`;
+// "2d 3h", "3h 12m", "12m", "<1m"
+function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 60 * 1000) return '<1m';
+  const totalMin = Math.floor(ms / 60000);
+  const d = Math.floor(totalMin / 1440);
+  const h = Math.floor((totalMin % 1440) / 60);
+  const m = totalMin % 60;
+  if (d > 0) return `${d}d ${h}h`;
+  if (h > 0) return `${h}h ${m}m`;
+  return `${m}m`;
 }
 
 function makeSignature(payload) {
@@ -36,140 +96,306 @@ function makeSignature(payload) {
 }
 
 /**
- * Send a Discord DM for an alert.
+ * Render an alert for the user that owns the position and hand it to their
+ * notifiers (Discord DM by default; see notifiers/index.js). Discord sinks show
+ * it as an embed, the others get the same content as text (see alertEmbeds.js).
+ * `severity` picks which notifiers get it and defaults to `tier`.
+ * Shared positions go to the shared alert channel instead (see sharedAlerts.js).
+ *
+ * Never rejects: callers fire and forget, and an unhandled rejection would end
+ * the monitor process.
  */
-async function sendDm({ phase, alertType, logPrefix, message, meta }) {
-  if (!DM_USER_ID) return;
+async function sendAlert({
+  userId,
+  phase,
+  alertType,
+  tier = null,
+  previousTier = null,
+  severity = null,
+  logPrefix,
+  message,
+  meta,
+  position = null,
+  key = null,
+}) {
+  if (!userId) return;
 
-  const client = getDiscordClient();
-  if (!client || !client.users) return;
+  const alert = {
+    userId,
+    phase,
+    alertType,
+    tier,
+    previousTier,
+    severity: severity || tier,
+    logPrefix,
+    message,
+    meta,
+    position,
+    key,
+  };
 
-  let user;
   try {
-    user = await client.users.fetch(DM_USER_ID);
-  } catch (err) {
-    console.error(`${logPrefix} [DM] Cannot fetch user:`, err.message);
-    return;
-  }
-
-  if (!user) return;
-
-  const lines = [];
-  lines.push(`${logPrefix} ${phase} ${alertType} ALERT`);
-  lines.push(message);
+    alert.text = buildAlertText(alert);
 
-  if (meta && Object.keys(meta).length > 0) {
-    lines.push('');
-    lines.push('Details:');
-    for (const [k, v] of Object.entries(meta)) {
-      lines.push(`• ${k}: ${v}`);
-    }
-  }
-
-  try {
-    await user.send(lines.join('\n'));
+    if (isSharedRecipient(userId)) await sendSharedAlert(alert);
+    else await dispatchAlert(alert);
   } catch (err) {
-    console.error(`${logPrefix} [DM] Failed to send DM:`, err.message);
+    console.error(`${logPrefix} Failed to send ${phase} ${alertType} to ${userId}:`, err.message);
   }
 }
 
+function isSnoozed(record, nowIso) {
+  return !!record.snoozedUntil && Date.parse(record.snoozedUntil) > Date.parse(nowIso);
+}
+
 /**
  * Core dedupe + alert engine
+ *
+ * State per key is persisted (see db/alertState.js) so a restart with an
+ * unchanged condition is a NOOP instead of a fresh NEW alert.
+ *
+ * Escalations always notify. De-escalations ("UPDATED ↓") and resolutions only notify
+ * when the user opted in for that alert type (see alertPreferences.js).
+ * An alert that stays active at the same tier is re-sent as a REMINDER
+ * following ALERT_REMIND_MINUTES for its tier (unless `remind` is false,
+ * for one-off events).
+ *
+ * DM buttons feed back into the record: an acknowledged alert stops reminding,
+ * a snoozed alert stays quiet until snoozedUntil, and both are cleared by an
+ * escalation. A muted position never notifies, but its state is still tracked.
  */
 function processAlert({
   key,
+  userId,
   isActive,
+  tier = null,
   signaturePayload,
   logPrefix,
   message,
+  resolvedMessage = null,
   meta = {},
+  position = null,
   logResolved = true,
+  remind = true,
   alertType = 'GENERIC'
 }) {
   const signature = makeSignature(signaturePayload);
+  const nowIso = new Date().toISOString();
 
-  const prev = alertState.get(key) || {
+  const prev = getAlertRecord(key) || {
     isActive: false,
-    signature: null
+    tier: null,
+    signature: null,
+    firstSeenAt: null,
+    lastSeenAt: null,
+    lastNotifiedAt: null,
+    remindCount: 0,
+    ackedAt: null,
+    snoozedUntil: null,
   };
 
-  // NEW ALERT: DM + log
+  const { protocol, positionId } = parseAlertKey(key);
+  const muted = isPositionAlertKey(key) && isPositionMuted(userId, protocol, positionId);
+
+  // NEW ALERT: notify + log
   if (isActive && !prev.isActive) {
     console.warn(`${logPrefix} NEW ALERT: ${message}`, { ...meta });
 
-    // ✅ DM ONLY ON NEW
-    sendDm({
-      phase: 'NEW',
-      alertType,
-      logPrefix,
-      message,
-      meta
-    });
+    // ✅ NOTIFY ON NEW
+    if (!muted) {
+      sendAlert({
+        userId,
+        phase: 'NEW',
+        alertType,
+        tier,
+        logPrefix,
+        message,
+        meta,
+        position,
+        key,
+      });
+    }
 
-    alertState.set(key, { isActive: true, signature });
+    setAlertRecord(key, {
+      isActive: true,
+      tier,
+      signature,
+      firstSeenAt: nowIso,
+      lastSeenAt: nowIso,
+      lastNotifiedAt: nowIso,
+      remindCount: 0,
+      ackedAt: null,
+      snoozedUntil: null,
+    });
     return;
   }
 
-  // UPDATED ALERT: tier changed (e.g. MEDIUM → HIGH → CRITICAL)
+  // UPDATED ALERT: tier changed (e.g. MEDIUM → HIGH → CRITICAL, or back down)
   if (isActive && prev.isActive && prev.signature !== signature) {
-    console.warn(`${logPrefix} ALERT UPDATED: ${message}`, { ...meta });
+    const deescalated = isTierDrop(alertType, prev.tier, tier);
+    const phase = deescalated ? 'UPDATED ↓' : 'UPDATED';
+    console.warn(`${logPrefix} ALERT ${phase}: ${message}`, { ...meta });
+
+    // ✅ Notify on escalation (breaks ack / snooze); de-escalation only if opted in and not snoozed
+    const notify =
+      !muted &&
+      (!deescalated ||
+        (isNotificationEnabled(userId, alertType, 'DEESCALATED') && !isSnoozed(prev, nowIso)));
+    if (notify) {
+      sendAlert({
+        userId,
+        phase,
+        alertType,
+        tier,
+        previousTier: prev.tier,
+        logPrefix,
+        message,
+        meta,
+        position,
+        key,
+      });
+    }
 
-    // ✅ DM on tier change
-    sendDm({
-      phase: 'UPDATED',
-      alertType,
-      logPrefix,
-      message,
-      meta,
+    setAlertRecord(key, {
+      isActive: true,
+      tier,
+      signature,
+      firstSeenAt: prev.firstSeenAt || nowIso,
+      lastSeenAt: nowIso,
+      lastNotifiedAt: notify ? nowIso : prev.lastNotifiedAt,
+      remindCount: notify ? 0 : prev.remindCount,
+      ackedAt: deescalated ? prev.ackedAt : null,
+      snoozedUntil: deescalated ? prev.snoozedUntil : null,
     });
-
-    alertState.set(key, { isActive: true, signature });
     return;
   }
 
-  // NOOP on unchanged active → active
+  // Unchanged active → active: REMINDER when the tier's interval has passed, else NOOP
   if (isActive && prev.isActive && prev.signature === signature) {
+    const intervalMs = REMIND_INTERVAL_MS[tier];
+    const lastNotified = prev.lastNotifiedAt || prev.firstSeenAt;
+    const due =
+      remind &&
+      intervalMs &&
+      lastNotified &&
+      Date.parse(nowIso) - Date.parse(lastNotified) >= intervalMs &&
+      !prev.ackedAt &&
+      !isSnoozed(prev, nowIso) &&
+      !muted;
+
+    if (!due) {
+      setAlertRecord(key, { ...prev, lastSeenAt: nowIso });
+      return;
+    }
+
+    const remindCount = prev.remindCount + 1;
+    const activeFor = prev.firstSeenAt
+      ? formatDuration(Date.parse(nowIso) - Date.parse(prev.firstSeenAt))
+      : 'unknown';
+    console.warn(`${logPrefix} ALERT REMINDER #${remindCount} (active ${activeFor}): ${message}`);
+
+    sendAlert({
+      userId,
+      phase: 'REMINDER',
+      alertType,
+      tier,
+      logPrefix,
+      message,
+      meta: { activeFor, reminder: remindCount, ...meta },
+      position,
+      key,
+    });
+
+    setAlertRecord(key, {
+      ...prev,
+      lastSeenAt: nowIso,
+      lastNotifiedAt: nowIso,
+      remindCount,
+    });
     return;
   }
 
-  // RESOLVED: log only, NO DM (for now)
+  // RESOLVED: log, and notify only if the user opted in for this alert type
   if (!isActive && prev.isActive) {
-    console.log(`${logPrefix} RESOLVED: ${message}`, { ...meta });
-
-    // If you ever want resolution DMs, uncomment:
-    // if (logResolved) {
-    //   sendDm({
-    //     phase: 'RESOLVED',
-    //     alertType,
-    //     logPrefix,
-    //     message,
-    //     meta
-    //   });
-    // }
-
-    alertState.set(key, { isActive: false, signature: null });
+    const activeFor = prev.firstSeenAt
+      ? formatDuration(Date.parse(nowIso) - Date.parse(prev.firstSeenAt))
+      : 'unknown';
+    const text = resolvedMessage || message;
+    console.log(`${logPrefix} RESOLVED after ${activeFor}: ${text}`, { ...meta });
+
+    const notify =
+      logResolved &&
+      !muted &&
+      !isSnoozed(prev, nowIso) &&
+      isNotificationEnabled(userId, alertType, 'RESOLVED');
+    if (notify) {
+      sendAlert({
+        userId,
+        phase: 'RESOLVED',
+        alertType,
+        tier,
+        previousTier: prev.tier,
+        // Route like the alert being resolved, not its (low) new tier
+        severity: prev.tier,
+        logPrefix,
+        message: text,
+        // Values at resolution time
+        meta: { activeFor, ...meta },
+        position,
+      });
+    }
+
+    setAlertRecord(key, {
+      isActive: false,
+      tier,
+      signature: null,
+      firstSeenAt: prev.firstSeenAt,
+      lastSeenAt: nowIso,
+      lastNotifiedAt: notify ? nowIso : prev.lastNotifiedAt,
+      remindCount: 0,
+      ackedAt: null,
+      snoozedUntil: null,
+    });
   }
 }
 
+// Deactivate an alert without notifying (its condition no longer applies, e.g. the trove is closed)
+function retireAlert(key) {
+  const prev = getAlertRecord(key);
+  if (!prev || !prev.isActive) return;
+
+  setAlertRecord(key, {
+    ...prev,
+    isActive: false,
+    signature: null,
+    lastSeenAt: new Date().toISOString(),
+    remindCount: 0,
+    ackedAt: null,
+    snoozedUntil: null,
+  });
+}
+
 /* ---------------------------
  * Public alert handlers
  * -------------------------- */
 
 function handleLiquidationAlert(data) {
   const {
-    protocol, wallet, positionId,
+    userId, chainId, contract, protocol, wallet, positionId,
     isActive, tier, ltvPct,
     liquidationPrice, currentPrice, liquidationBufferFrac
   } = data;
 
   const key = buildAlertKey({
     type: 'LIQUIDATION',
+    userId,
     protocol,
     wallet,
     positionId
   });
 
   const message = `Loan at risk of liquidation (${protocol}, wallet=${wallet}, position=${positionId}, tier=${tier})`;
+  const resolvedMessage = `Loan no longer at liquidation risk (${protocol}, wallet=${wallet}, position=${positionId}, tier=${tier})`;
 
   // 🚨 Only tier matters for change detection now
   const signaturePayload = {
@@ -186,17 +412,24 @@ function handleLiquidationAlert(data) {
 
   processAlert({
     key,
+    userId,
     isActive,
+    tier,
     signaturePayload,
     logPrefix: '[LIQ]',
     message,
+    resolvedMessage,
     meta,
+    position: { chainId, contract, wallet, positionId },
     alertType: 'LIQUIDATION'
   });
 }
 
 function handleRedemptionAlert(data) {
   const {
+    userId,
+    chainId,
+    contract,
     protocol,
     wallet,
     positionId,
@@ -204,17 +437,20 @@ function handleRedemptionAlert(data) {
     tier,
     cdpIR,
     globalIR,
+    debtAhead = null,
     isCDPActive,
   } = data;
 
   const key = buildAlertKey({
     type: 'REDEMPTION',
+    userId,
     protocol,
     wallet,
     positionId,
   });
 
   const message = `CDP redemption candidate (${protocol}, wallet=${wallet}, position=${positionId}, tier=${tier}, CDP_ACTIVE=${isCDPActive})`;
+  const resolvedMessage = `No longer a CDP redemption candidate (${protocol}, wallet=${wallet}, position=${positionId}, tier=${tier}, CDP_ACTIVE=${isCDPActive})`;
 
   // 🚨 Only tier matters for dedupe (just like liquidation)
   const signaturePayload = {
@@ -225,16 +461,21 @@ function handleRedemptionAlert(data) {
     tier,
     cdpIR,
     globalIR,
+    debtAhead,
     isCDPActive,
   };
 
   processAlert({
     key,
+    userId,
     isActive,
+    tier,
     signaturePayload,
     logPrefix: '[REDEMP]',
     message,
+    resolvedMessage,
     meta,
+    position: { chainId, contract, wallet, positionId },
     alertType: 'REDEMPTION',
   });
 }
@@ -242,7 +483,7 @@ function handleRedemptionAlert(data) {
 
 function handleLpRangeAlert(data) {
   const {
-    protocol, wallet, positionId,
+    userId, chainId, contract, protocol, wallet, positionId,
     prevStatus, currentStatus,
     isActive, lpRangeTier,
     tickLower, tickUpper, currentTick
@@ -250,6 +491,7 @@ function handleLpRangeAlert(data) {
 
   const key = buildAlertKey({
     type: 'LP_RANGE',
+    userId,
     protocol,
     wallet,
     positionId
@@ -257,6 +499,8 @@ function handleLpRangeAlert(data) {
 
   const message =
     `LP range change (${protocol}, wallet=${wallet}, position=${positionId}): ${prevStatus} → ${currentStatus} (tier=${lpRangeTier})`;
+  const resolvedMessage =
+    `LP range alert cleared (${protocol}, wallet=${wallet}, position=${positionId}): now ${currentStatus} (tier=${lpRangeTier})`;
 
   const signaturePayload = {
     currentStatus,
@@ -274,22 +518,506 @@ function handleLpRangeAlert(data) {
 
   processAlert({
     key,
+    userId,
     isActive,
+    tier: lpRangeTier,
     signaturePayload,
     logPrefix: '[LP]',
     message,
+    resolvedMessage,
     meta,
+    position: { chainId, contract, wallet, positionId },
     alertType: 'LP_RANGE'
   });
 }
 
+// Closing a trove is final, so it is CRITICAL only when the owner did not choose it;
+// an UNREDEEMABLE (zombie) trove is still open and can be brought back above min debt
+const TROVE_STATUS_TIERS = {
+  CLOSED_BY_LIQUIDATION: 'CRITICAL',
+  UNREDEEMABLE: 'MEDIUM',
+  CLOSED_BY_OWNER: 'LOW',
+};
+
+const TROVE_STATUS_TEXT = {
+  CLOSED_BY_LIQUIDATION: 'was liquidated',
+  UNREDEEMABLE: 'fell below the minimum debt after a redemption (UNREDEEMABLE)',
+  CLOSED_BY_OWNER: 'was closed by its owner',
+};
+
+/**
+ * A trove left ACTIVE (isActive) or is ACTIVE again. One alert per change,
+ * without reminders. A closed trove's liquidation / redemption alerts are
+ * retired silently; an UNREDEEMABLE trove keeps them (it is still liquidable),
+ * with its current debt / collateral instead of the last snapshot.
+ */
+function handleTroveStatusAlert(data) {
+  const {
+    userId, chainId, contract, protocol, wallet, positionId,
+    isActive, status,
+    finalDebt, finalColl, collSymbol, lastInterestPct, snapshotAt,
+    debt, coll, interestPct
+  } = data;
+  const isZombie = status === 'UNREDEEMABLE';
+
+  const keyOf = (type) => buildAlertKey({ type, userId, protocol, wallet, positionId });
+  const tier = isActive ? TROVE_STATUS_TIERS[status] || 'UNKNOWN' : 'LOW';
+
+  const message = `Trove ${TROVE_STATUS_TEXT[status] || `is ${status}`} (${protocol}, wallet=${wallet}, position=${positionId})`;
+  const resolvedMessage = `Trove is ACTIVE again (${protocol}, wallet=${wallet}, position=${positionId})`;
+
+  let meta = { status };
+  if (isActive && isZombie) {
+    meta = {
+      status,
+      debtAfter: debt,
+      collAfter: coll,
+      collSymbol,
+      cdpIR: interestPct,
+    };
+  } else if (isActive) {
+    meta = {
+      status,
+      finalDebt,
+      finalColl,
+      collSymbol,
+      lastInterestPct,
+      snapshotAt,
+    };
+  }
+
+  processAlert({
+    key: keyOf('TROVE_STATUS'),
+    userId,
+    isActive,
+    tier,
+    signaturePayload: { status },
+    logPrefix: '[TROVE]',
+    message,
+    resolvedMessage,
+    meta,
+    position: { chainId, contract, wallet, positionId },
+    remind: false,
+    alertType: 'TROVE_STATUS',
+  });
+
+  if (isActive && !isZombie) {
+    retireAlert(keyOf('LIQUIDATION'));
+    retireAlert(keyOf('REDEMPTION'));
+  }
+}
+
+/**
+ * A redemption hit a monitored trove (see redemptionEvents.js). This is an
+ * event, not a condition, so it is sent once as-is: no dedupe state, no
+ * reminders or buttons. Muted positions stay quiet.
+ */
+function handleRedemptionHitAlert(data) {
+  const {
+    userId, chainId, contract, protocol, wallet, positionId,
+    txHash, blockNumber,
+    debtRedeemed, collRedeemed, collSymbol, redemptionFee,
+    debtAfter, collAfter, redemptionPrice
+  } = data;
+
+  const message = `Trove was redeemed against (${protocol}, wallet=${wallet}, position=${positionId}, block=${blockNumber})`;
+  console.warn(`[REDEEMED] ${message}`, { txHash, debtRedeemed, collRedeemed });
+
+  if (isPositionMuted(userId, protocol, positionId)) return;
+
+  sendAlert({
+    userId,
+    phase: 'EVENT',
+    alertType: 'REDEMPTION_HIT',
+    tier: 'HIGH',
+    logPrefix: '[REDEEMED]',
+    message,
+    meta: {
+      debtRedeemed,
+      collRedeemed,
+      collSymbol,
+      redemptionFee,
+      debtAfter,
+      collAfter,
+      redemptionPrice,
+    },
+    position: { chainId, contract, wallet, positionId, txHash },
+  });
+}
+
+/**
+ * The batch manager of a monitored trove changed the batch rate or fee (see
+ * batchManagers.js). An event like REDEMPTION_HIT: sent once, muted positions
+ * stay quiet. A lower rate (more redemption exposure) or a higher fee is MEDIUM.
+ */
+function handleBatchChangeAlert(data) {
+  const {
+    userId, chainId, contract, protocol, wallet, positionId,
+    batchManager, prevBatchRatePct, batchRatePct, prevBatchFeePct, batchFeePct,
+    rateChanged, feeChanged
+  } = data;
+
+  const changes = [];
+  if (rateChanged) {
+    changes.push(`rate ${prevBatchRatePct.toFixed(2)}% → ${batchRatePct.toFixed(2)}%`);
+  }
+  if (feeChanged) {
+    changes.push(`fee ${prevBatchFeePct.toFixed(2)}% → ${batchFeePct.toFixed(2)}%`);
+  }
+
+  const tier =
+    (rateChanged && batchRatePct < prevBatchRatePct) || (feeChanged && batchFeePct > prevBatchFeePct)
+      ? 'MEDIUM'
+      : 'LOW';
+  const message = `Batch manager changed ${changes.join(', ')} (${protocol}, wallet=${wallet}, position=${positionId})`;
+  console.warn(`[BATCH] ${message}`, { batchManager });
+
+  if (isPositionMuted(userId, protocol, positionId)) return;
+
+  sendAlert({
+    userId,
+    phase: 'EVENT',
+    alertType: 'BATCH_CHANGE',
+    tier,
+    logPrefix: '[BATCH]',
+    message,
+    meta: {
+      batchManager,
+      prevBatchRatePct,
+      batchRatePct,
+      prevBatchFeePct,
+      batchFeePct,
+    },
+    position: { chainId, contract, wallet, positionId },
+  });
+}
+
+/**
+ * Liquidations of any trove in a branch where the user has a trove: the debt
+ * liquidated in the last hour crossed a threshold (see liquidationEvents.js).
+ * One stream per user and branch; the position part of the key is "BRANCH",
+ * so "Mute this position" mutes the branch alert.
+ */
+function handleBranchLiquidationAlert(data) {
+  const {
+    userId, chainId, protocol,
+    isActive, tier,
+    liquidatedDebt1h, liquidatedColl1h, collSymbol, liquidations1h,
+    thresholdHigh, thresholdCrit
+  } = data;
+
+  const key = buildAlertKey({
+    type: 'BRANCH_LIQUIDATIONS',
+    userId,
+    protocol,
+    wallet: chainId,
+    positionId: BRANCH_POSITION_ID,
+  });
+
+  const message = `Liquidations on ${protocol}: ${liquidatedDebt1h.toFixed(2)} debt liquidated in the last hour across ${liquidations1h} trove(s) (tier=${tier})`;
+  const resolvedMessage = `Liquidations on ${protocol} back below threshold: ${liquidatedDebt1h.toFixed(2)} debt in the last hour`;
+
+  const signaturePayload = {
+    tier,
+  };
+
+  const meta = {
+    tier,
+    liquidatedDebt1h,
+    liquidatedColl1h,
+    collSymbol,
+    liquidations1h,
+    thresholdHigh,
+    thresholdCrit,
+  };
+
+  processAlert({
+    key,
+    userId,
+    isActive,
+    tier,
+    signaturePayload,
+    logPrefix: '[BRANCH-LIQ]',
+    message,
+    resolvedMessage,
+    meta,
+    position: { chainId },
+    alertType: 'BRANCH_LIQUIDATIONS',
+  });
+}
+
+const BRANCH_STATE_LABELS = {
+  SHUTDOWN: 'branch is shut down',
+  PAUSED: 'branch is paused',
+  BELOW_SCR: 'TCR below SCR (shutdown threshold)',
+  BELOW_CCR: 'TCR below CCR (borrowing restricted)',
+  NEAR_CCR: 'TCR approaching CCR',
+  OK: 'TCR healthy',
+};
+
+/**
+ * Branch TCR near / below CCR or SCR, or the branch paused / shut down (see
+ * branchHealth.js). Keyed per user and branch like BRANCH_LIQUIDATIONS.
+ */
+function handleBranchHealthAlert(data) {
+  const {
+    userId, chainId, protocol,
+    isActive, state, tier,
+    tcrPct, ccrPct, scrPct, isPaused, shutdownAt,
+    branchColl, branchDebt, collSymbol, price
+  } = data;
+
+  const key = buildAlertKey({
+    type: 'BRANCH_HEALTH',
+    userId,
+    protocol,
+    wallet: chainId,
+    positionId: BRANCH_POSITION_ID,
+  });
+
+  const tcrText = tcrPct != null ? `TCR ${tcrPct.toFixed(2)}%` : 'TCR n/a';
+  const message = `Branch ${protocol}: ${BRANCH_STATE_LABELS[state] || state} (${tcrText}, CCR ${ccrPct.toFixed(2)}%, SCR ${scrPct.toFixed(2)}%, tier=${tier})`;
+  const resolvedMessage = `Branch ${protocol} healthy again (${tcrText}, CCR ${ccrPct.toFixed(2)}%)`;
+
+  // A state change at the same tier (e.g. BELOW_SCR → PAUSED) is news too
+  const signaturePayload = {
+    tier,
+    state,
+  };
+
+  const meta = {
+    tier,
+    branchState: state,
+    tcrPct,
+    ccrPct,
+    scrPct,
+    isPaused,
+    shutdownAt,
+    branchColl,
+    collSymbol,
+    branchDebt,
+    currentPrice: price,
+  };
+
+  processAlert({
+    key,
+    userId,
+    isActive,
+    tier,
+    signaturePayload,
+    logPrefix: '[BRANCH-HEALTH]',
+    message,
+    resolvedMessage,
+    meta,
+    position: { chainId },
+    // A shutdown is final: one alert, no reminders
+    remind: state !== 'SHUTDOWN',
+    alertType: 'BRANCH_HEALTH',
+  });
+}
+
+const ORACLE_ISSUE_LABELS = {
+  NO_PRICE: 'no valid price',
+  FALLBACK: 'primary feed invalid, using fallback',
+  STALE: 'price not updating',
+  DIVERGENCE: 'diverges from DEX pool',
+};
+
+/**
+ * The branch oracle is degraded: fallback price, stale price or divergence from
+ * the DEX pool (see oracleHealth.js). Keyed per user and branch like BRANCH_LIQUIDATIONS.
+ */
+function handleOracleAlert(data) {
+  const {
+    userId, chainId, protocol,
+    isActive, tier, issues,
+    oraclePrice, priceSource, priceChangedAt, priceUnchangedMin,
+    poolPrice, divergenceFrac, staleAfterMin, divergenceMaxFrac
+  } = data;
+
+  const key = buildAlertKey({
+    type: 'ORACLE',
+    userId,
+    protocol,
+    wallet: chainId,
+    positionId: BRANCH_POSITION_ID,
+  });
+
+  const issueText = issues.map((i) => ORACLE_ISSUE_LABELS[i] || i).join('; ');
+  const message = `Oracle degraded on ${protocol}: ${issueText} (tier=${tier})`;
+  const resolvedMessage = `Oracle on ${protocol} healthy again (source ${priceSource || 'n/a'})`;
+
+  // A change of issues at the same tier (e.g. FALLBACK → DIVERGENCE, both HIGH) is news too
+  const signaturePayload = {
+    tier,
+    issues: issues.join(','),
+  };
+
+  const meta = {
+    tier,
+    oraclePrice,
+    priceSource,
+    priceChangedAt,
+    priceUnchangedMin,
+    staleAfterMin,
+    poolPrice,
+    divergenceFrac,
+    divergenceMaxFrac,
+  };
+
+  processAlert({
+    key,
+    userId,
+    isActive,
+    tier,
+    signaturePayload,
+    logPrefix: '[ORACLE]',
+    message,
+    resolvedMessage,
+    meta,
+    position: { chainId },
+    alertType: 'ORACLE',
+  });
+}
+
+/**
+ * A price falling fast within the velocity window (see priceVelocity.js): a
+ * collateral's oracle price per trove (target: its liquidation price), or the
+ * CDP price (target: the redemption trigger). `targetKey` names the target in meta.
+ */
+function handleVelocityAlert(data) {
+  const {
+    userId, chainId, contract = null, protocol, wallet, positionId,
+    isActive, asset, velocity, targetKey, targetLabel, targetPrice, hoursToTarget
+  } = data;
+  const { tier } = velocity;
+
+  const key = buildAlertKey({
+    type: 'VELOCITY',
+    userId,
+    protocol,
+    wallet,
+    positionId,
+  });
+
+  const where = contract ? `${protocol}, wallet=${wallet}, position=${positionId}, ` : '';
+  let timeToTarget = null;
+  let projection = '';
+  if (hoursToTarget === 0) {
+    timeToTarget = 'already reached';
+    projection = `; already below ${targetLabel}`;
+  } else if (hoursToTarget != null) {
+    timeToTarget = formatDuration(hoursToTarget * 60 * 60 * 1000);
+    projection = `; reaches ${targetLabel} in ~${timeToTarget} at this pace`;
+  }
+
+  const dropText = `${(velocity.dropFrac * 100).toFixed(2)}%`;
+  const message = `${asset} price fell ${dropText} within ${velocity.windowMin}m (${where}tier=${tier})${projection}`;
+  const resolvedMessage = `${asset} price no longer falling fast (${where}drop ${dropText} within ${velocity.windowMin}m)`;
+
+  const signaturePayload = {
+    tier,
+  };
+
+  const meta = {
+    tier,
+    currentPrice: velocity.price,
+    peakPrice: velocity.peakPrice,
+    dropFrac: velocity.dropFrac,
+    velocityWindowMin: velocity.windowMin,
+    [targetKey]: targetPrice,
+    timeToTarget,
+  };
+
+  processAlert({
+    key,
+    userId,
+    isActive,
+    tier,
+    signaturePayload,
+    logPrefix: '[VELOCITY]',
+    message,
+    resolvedMessage,
+    meta,
+    position: contract ? { chainId, contract, wallet, positionId } : { chainId },
+    alertType: 'VELOCITY',
+  });
+}
+
+const CDP_PEG_LABELS = {
+  SOFT_DEPEG: 'slightly below peg',
+  DEPEG: 'below peg',
+  SEVERE_DEPEG: 'far below peg',
+  PREMIUM: 'above peg',
+};
+
+/**
+ * CDP off its peg (see cdpPeg.js). One stream per user; moving between states
+ * at the same tier (SOFT_DEPEG ↔ PREMIUM) is news too.
+ */
+function handleCdpPegAlert(data) {
+  const {
+    userId, isActive, tier, pegState,
+    cdpPrice, sinceAt, inStateMs, redemptionTrigger
+  } = data;
+
+  const key = buildAlertKey({
+    type: 'CDP_PEG',
+    userId,
+    protocol: 'CDP',
+    wallet: 'FLR',
+    positionId: CDP_PEG_POSITION_ID,
+  });
+
+  const message = `CDP ${CDP_PEG_LABELS[pegState] || pegState} at ${cdpPrice.toFixed(4)} USD for ${formatDuration(inStateMs)} (tier=${tier})`;
+  const resolvedMessage = `CDP back on peg at ${cdpPrice.toFixed(4)} USD`;
+
+  const signaturePayload = {
+    tier,
+    pegState,
+  };
+
+  const meta = {
+    tier,
+    pegState,
+    cdpPrice,
+    inState: formatDuration(inStateMs),
+    pegStateSince: sinceAt,
+    redemptionTrigger,
+    triggerDiff: cdpPrice - redemptionTrigger,
+  };
+
+  processAlert({
+    key,
+    userId,
+    isActive,
+    tier,
+    signaturePayload,
+    logPrefix: '[CDP_PEG]',
+    message,
+    resolvedMessage,
+    meta,
+    position: { chainId: 'FLR' },
+    alertType: 'CDP_PEG',
+  });
+}
+
 function _getAlertStateSnapshot() {
-  return Array.from(alertState.entries());
+  return getAllAlertRecords();
 }
 
 module.exports = {
   handleLiquidationAlert,
   handleRedemptionAlert,
   handleLpRangeAlert,
+  handleTroveStatusAlert,
+  handleRedemptionHitAlert,
+  handleBatchChangeAlert,
+  handleBranchLiquidationAlert,
+  handleBranchHealthAlert,
+  handleOracleAlert,
+  handleVelocityAlert,
+  handleCdpPegAlert,
+  formatDuration,
   _getAlertStateSnapshot,
 };
@@ -0,0 +1,50 @@
+// monitoring/alertKeys.js
+// Alert key format shared by the alert engine and the alert DM buttons
+
+const crypto = require('crypto');
+
+// Recipient of shared (team treasury) positions: one stream, posted to the shared alert channel
+const SHARED_RECIPIENT = 'shared';
+
+function isSharedRecipient(userId) {
+  return userId === SHARED_RECIPIENT;
+}
+
+// Position IDs of branch- and CDP-wide alerts. They name no position, so these
+// alerts can't be muted (/alerts unmute only resolves real positions)
+const BRANCH_POSITION_ID = 'BRANCH';
+const CDP_PEG_POSITION_ID = 'PEG';
+const CDP_PRICE_POSITION_ID = 'PRICE';
+const NON_POSITION_IDS = [BRANCH_POSITION_ID, CDP_PEG_POSITION_ID, CDP_PRICE_POSITION_ID];
+
+// One alert stream per recipient, so each watcher of a wallet dedupes independently
+function buildAlertKey({ type, userId, protocol, wallet, positionId }) {
+  return `${type}:${userId}:${protocol}:${wallet}:${positionId}`;
+}
+
+function parseAlertKey(key) {
+  const [type, userId, protocol, wallet, positionId] = String(key).split(':');
+  return { type, userId, protocol, wallet, positionId };
+}
+
+// False for branch- / CDP-wide alert keys
+function isPositionAlertKey(key) {
+  return !NON_POSITION_IDS.includes(parseAlertKey(key).positionId);
+}
+
+// Short stable handle for a key; Discord custom IDs are capped at 100 chars
+function alertKeyHash(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  SHARED_RECIPIENT,
+  BRANCH_POSITION_ID,
+  CDP_PEG_POSITION_ID,
+  CDP_PRICE_POSITION_ID,
+  isSharedRecipient,
+  buildAlertKey,
+  parseAlertKey,
+  isPositionAlertKey,
+  alertKeyHash,
+};
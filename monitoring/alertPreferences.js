@@ -0,0 +1,52 @@
+// monitoring/alertPreferences.js
+// Per-user notification preferences: per-alert-type opt-ins (/alerts notify)
+// and muted positions ("Mute this position" button, /alerts unmute)
+
+const { getAlertSetting, setAlertSetting, clearAlertSetting } = require('../db/alertSettings');
+const { positionScope } = require('./alertThresholds');
+const { isSharedRecipient } = require('./alertKeys');
+
+// Alert types a user can tune notifications for
+const ALERT_TYPES = ['LIQUIDATION', 'REDEMPTION', 'LP_RANGE', 'TROVE_STATUS', 'BRANCH_LIQUIDATIONS', 'BRANCH_HEALTH', 'ORACLE', 'BATCH_CHANGE', 'VELOCITY', 'CDP_PEG'];
+
+// Optional notification kinds; all are off until the user opts in
+const NOTIFY_KINDS = {
+  RESOLVED: 'NOTIFY_RESOLVED', // alert condition cleared
+  DEESCALATED: 'NOTIFY_DEESCALATED', // still active, but tier dropped (UPDATED ↓)
+};
+
+function settingName(kind, alertType) {
+  return `${NOTIFY_KINDS[kind]}:${alertType}`;
+}
+
+function isNotificationEnabled(discordId, alertType, kind) {
+  if (!discordId || !NOTIFY_KINDS[kind]) return false;
+  // The shared channel is watched by a team, so it always sees the all-clear
+  if (isSharedRecipient(discordId)) return true;
+  return getAlertSetting(discordId, '', settingName(kind, alertType)) === '1';
+}
+
+function setNotificationEnabled(discordId, alertType, kind, enabled) {
+  setAlertSetting(discordId, '', settingName(kind, alertType), enabled ? '1' : '0');
+}
+
+// A muted position keeps its alert state up to date but never DMs
+function isPositionMuted(discordId, protocol, positionId) {
+  if (!discordId) return false;
+  return getAlertSetting(discordId, positionScope(protocol, positionId), 'MUTED') === '1';
+}
+
+function setPositionMuted(discordId, protocol, positionId, muted) {
+  const scope = positionScope(protocol, positionId);
+  if (muted) setAlertSetting(discordId, scope, 'MUTED', '1');
+  else clearAlertSetting(discordId, scope, 'MUTED');
+}
+
+module.exports = {
+  ALERT_TYPES,
+  NOTIFY_KINDS,
+  isNotificationEnabled,
+  setNotificationEnabled,
+  isPositionMuted,
+  setPositionMuted,
+};
@@ -0,0 +1,191 @@
+// monitoring/alertThresholds.js
+// Alert thresholds: env defaults, overridden per user and per position (/alerts config)
+
+const { listAlertSettings } = require('../db/alertSettings');
+
+// -----------------------------
+// Env helpers (strict)
+// -----------------------------
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function requireNumberEnv(name) {
+  const raw = requireEnv(name);
+  const v = Number(raw);
+  if (!Number.isFinite(v)) {
+    console.error(`[Config] Env var ${name} must be a finite number, got "${raw}"`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function requireTierEnv(name, order) {
+  const raw = requireEnv(name);
+  if (!order.includes(raw)) {
+    console.error(`[Config] ${name} must be one of ${order.join(', ')}, got "${raw}"`);
+    process.exit(1);
+  }
+  return raw;
+}
+
+// -----------------------------
+// Tier orders
+// -----------------------------
+
+const LIQ_TIER_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'UNKNOWN'];
+const REDEMP_TIER_ORDER = ['LOW', 'NEUTRAL', 'MEDIUM', 'HIGH', 'UNKNOWN'];
+const LP_TIER_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'UNKNOWN'];
+
+function isTierAtLeast(tier, minTier, order) {
+  const idx = order.indexOf(tier || 'UNKNOWN');
+  const minIdx = order.indexOf(minTier || 'UNKNOWN');
+  if (idx === -1 || minIdx === -1) return false;
+  return idx >= minIdx;
+}
+
+// -----------------------------
+// Overridable settings
+// -----------------------------
+
+// Setting names are the env var names, so /alerts config reads like .env
+const SETTINGS = {
+  // Liquidation buffer thresholds (fractions)
+  LIQ_BUFFER_WARN: { kind: 'number', description: 'Liquidation buffer for MEDIUM (fraction, e.g. 0.30)' },
+  LIQ_BUFFER_HIGH: { kind: 'number', description: 'Liquidation buffer for HIGH (fraction)' },
+  LIQ_BUFFER_CRIT: { kind: 'number', description: 'Liquidation buffer for CRITICAL (fraction)' },
+  LIQ_ALERT_MIN_TIER: { kind: 'tier', order: LIQ_TIER_ORDER, description: 'Lowest liquidation tier that alerts' },
+
+  // Redemption IR thresholds (percentage points vs global IR)
+  REDEMP_BELOW_HIGH: { kind: 'number', description: 'IR delta (pp) at or below which redemption tier is HIGH' },
+  REDEMP_BELOW_MED: { kind: 'number', description: 'IR delta (pp) at or below which redemption tier is MEDIUM' },
+  REDEMP_NEUTRAL_ABS: { kind: 'number', description: 'Absolute IR delta (pp) treated as NEUTRAL' },
+  // Redemption queue thresholds (debt ahead, loan token units); used over the IR delta when available
+  REDEMP_DEBT_AHEAD_HIGH: { kind: 'number', description: 'Debt ahead in the redemption queue at or below which tier is HIGH' },
+  REDEMP_DEBT_AHEAD_MED: { kind: 'number', description: 'Debt ahead in the redemption queue at or below which tier is MEDIUM' },
+  REDEMP_ALERT_MIN_TIER: { kind: 'tier', order: REDEMP_TIER_ORDER, description: 'Lowest redemption tier that alerts' },
+
+  // LP range thresholds (fractions of the tick width)
+  LP_EDGE_WARN_FRAC: { kind: 'number', description: 'In range, distance to edge for MEDIUM (fraction of width)' },
+  LP_EDGE_HIGH_FRAC: { kind: 'number', description: 'In range, distance to edge for HIGH (fraction of width)' },
+  LP_OUT_WARN_FRAC: { kind: 'number', description: 'Out of range, distance for MEDIUM (fraction of width)' },
+  LP_OUT_HIGH_FRAC: { kind: 'number', description: 'Out of range, distance for HIGH (fraction of width)' },
+  LP_ALERT_MIN_TIER: { kind: 'tier', order: LP_TIER_ORDER, description: 'Lowest LP range tier that alerts' },
+};
+
+const SETTING_NAMES = Object.keys(SETTINGS);
+
+// Env values are the global defaults (read once, strict)
+const DEFAULT_THRESHOLDS = Object.freeze(
+  Object.fromEntries(
+    SETTING_NAMES.map((name) => {
+      const def = SETTINGS[name];
+      return [name, def.kind === 'tier' ? requireTierEnv(name, def.order) : requireNumberEnv(name)];
+    })
+  )
+);
+
+// Pairs that must stay ordered: [lower, higher] means lower <= higher
+const ORDERED_PAIRS = [
+  ['LIQ_BUFFER_CRIT', 'LIQ_BUFFER_HIGH'],
+  ['LIQ_BUFFER_HIGH', 'LIQ_BUFFER_WARN'],
+  ['REDEMP_BELOW_HIGH', 'REDEMP_BELOW_MED'],
+  ['REDEMP_DEBT_AHEAD_HIGH', 'REDEMP_DEBT_AHEAD_MED'],
+  ['LP_EDGE_HIGH_FRAC', 'LP_EDGE_WARN_FRAC'],
+  ['LP_OUT_WARN_FRAC', 'LP_OUT_HIGH_FRAC'],
+];
+
+// -----------------------------
+// Parsing / validation
+// -----------------------------
+
+/**
+ * Parse a user-supplied value for a setting.
+ * Returns { value } or { error } (a human-readable reason).
+ */
+function parseSettingValue(setting, raw) {
+  const def = SETTINGS[setting];
+  if (!def) return { error: `Unknown setting ${setting}.` };
+
+  const text = String(raw).trim();
+
+  if (def.kind === 'tier') {
+    const tier = text.toUpperCase();
+    if (!def.order.includes(tier)) {
+      return { error: `${setting} must be one of ${def.order.join(', ')}.` };
+    }
+    return { value: tier };
+  }
+
+  const v = Number(text);
+  if (text === '' || !Number.isFinite(v)) {
+    return { error: `${setting} must be a finite number, got "${text}".` };
+  }
+  return { value: v };
+}
+
+// Returns a list of violated orderings (empty when consistent)
+function checkThresholdOrdering(thresholds) {
+  return ORDERED_PAIRS.filter(([lo, hi]) => thresholds[lo] > thresholds[hi]).map(
+    ([lo, hi]) => `${lo} (${thresholds[lo]}) must be ≤ ${hi} (${thresholds[hi]})`
+  );
+}
+
+// -----------------------------
+// Effective thresholds
+// -----------------------------
+
+function positionScope(protocol, positionId) {
+  return `${protocol}:${positionId}`;
+}
+
+/**
+ * Thresholds for one user, optionally for one position:
+ * env defaults ← user-wide overrides ← position overrides.
+ * Without a discordId the env defaults are returned.
+ */
+function getEffectiveThresholds(discordId, { protocol = null, positionId = null } = {}) {
+  if (!discordId) return DEFAULT_THRESHOLDS;
+
+  const rows = listAlertSettings(discordId);
+  if (rows.length === 0) return DEFAULT_THRESHOLDS;
+
+  const scope = protocol && positionId != null ? positionScope(protocol, positionId) : null;
+  const out = { ...DEFAULT_THRESHOLDS };
+
+  const apply = (row) => {
+    const parsed = parseSettingValue(row.setting, row.value);
+    if (parsed.error) {
+      console.warn(`[AlertSettings] Ignoring stored override for ${discordId}: ${parsed.error}`);
+      return;
+    }
+    out[row.setting] = parsed.value;
+  };
+
+  // alert_settings also holds non-threshold preferences; only thresholds apply here
+  const relevant = rows.filter((r) => SETTINGS[r.setting]);
+  relevant.filter((r) => r.scope === '').forEach(apply);
+  if (scope) relevant.filter((r) => r.scope === scope).forEach(apply);
+
+  return out;
+}
+
+module.exports = {
+  LIQ_TIER_ORDER,
+  REDEMP_TIER_ORDER,
+  LP_TIER_ORDER,
+  SETTINGS,
+  SETTING_NAMES,
+  DEFAULT_THRESHOLDS,
+  isTierAtLeast,
+  parseSettingValue,
+  checkThresholdOrdering,
+  positionScope,
+  getEffectiveThresholds,
+};
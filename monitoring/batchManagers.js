@@ -0,0 +1,56 @@
+// monitoring/batchManagers.js
+// Interest batches: a trove delegated to a batch manager follows the batch's
+// interest rate (set by the manager) and pays the batch's annual management fee
+
+const { ethers } = require('ethers');
+
+const pct = (v) => Number(ethers.formatUnits(v, 18)) * 100;
+
+// Rates / fees are compared after a round trip through REAL columns
+const SAME_PCT_EPSILON = 1e-9;
+
+/**
+ * The batch a trove is delegated to, or null for an individually managed trove.
+ * `troveManager` is an ethers Contract on the branch TroveManager.
+ * Returns { manager, ratePct, feePct, lastRateAdjAt }.
+ */
+async function getTroveBatch(troveManager, troveId) {
+  const trove = await troveManager.Troves(troveId);
+  const manager = trove.interestBatchManager;
+  if (!manager || manager === ethers.ZeroAddress) return null;
+
+  const batch = await troveManager.getLatestBatchData(manager);
+  const lastAdj = Number(batch.lastInterestRateAdjTime);
+
+  return {
+    manager,
+    ratePct: pct(batch.annualInterestRate),
+    feePct: pct(batch.annualManagementFee),
+    lastRateAdjAt: lastAdj > 0 ? new Date(lastAdj * 1000).toISOString() : null,
+  };
+}
+
+/**
+ * Rate / fee change made by the same batch manager since the last snapshot, or
+ * null (no change, or the trove joined / left / switched batch itself).
+ * Returns { prevRatePct, prevFeePct, rateChanged, feeChanged }.
+ */
+function diffBatch(snapshot, batch) {
+  if (!snapshot || !batch || snapshot.batchManager !== batch.manager) return null;
+
+  const rateChanged = Math.abs(snapshot.batchRatePct - batch.ratePct) > SAME_PCT_EPSILON;
+  const feeChanged = Math.abs(snapshot.batchFeePct - batch.feePct) > SAME_PCT_EPSILON;
+  if (!rateChanged && !feeChanged) return null;
+
+  return {
+    prevRatePct: snapshot.batchRatePct,
+    prevFeePct: snapshot.batchFeePct,
+    rateChanged,
+    feeChanged,
+  };
+}
+
+module.exports = {
+  getTroveBatch,
+  diffBatch,
+};
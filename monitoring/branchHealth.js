@@ -0,0 +1,121 @@
+// monitoring/branchHealth.js
+// Branch health: total collateral ratio (TCR) at the oracle price vs the branch's
+// CCR (borrowing restrictions below it) and SCR (shutdown below it), plus the
+// pause / shutdown flags. Alerts everyone with a monitored trove in the branch.
+
+const { ethers } = require('ethers');
+
+const troveManagerAbi = require('../abi/troveManager.json');
+const priceFeedAbi = require('../abi/priceFeed.json');
+
+const { handleBranchHealthAlert } = require('./alertEngine');
+const { getBranchInfo, getOraclePrice, getBranchRecipients } = require('./loanBranches');
+
+// -----------------------------
+// Env helpers (strict)
+// -----------------------------
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function requireNumberEnv(name) {
+  const raw = requireEnv(name);
+  const v = Number(raw);
+  if (!Number.isFinite(v)) {
+    console.error(`[Config] Env var ${name} must be a finite number, got "${raw}"`);
+    process.exit(1);
+  }
+  return v;
+}
+
+// TCR within this many percentage points above CCR → MEDIUM
+const BRANCH_TCR_WARN_PP = requireNumberEnv('BRANCH_TCR_WARN_PP');
+
+const toNum = (v, decimals = 18) => Number(ethers.formatUnits(v, decimals));
+
+/**
+ * Branch state and tier from the raw numbers (ratios in %).
+ * Shutdown and pause are CRITICAL whatever the TCR.
+ */
+function classifyBranchHealth({ tcrPct, ccrPct, scrPct, isPaused, shutdownAt, price }) {
+  if (shutdownAt) return { state: 'SHUTDOWN', tier: 'CRITICAL' };
+  if (isPaused) return { state: 'PAUSED', tier: 'CRITICAL' };
+  if (price == null) return { state: 'NO_PRICE', tier: 'UNKNOWN' };
+  // An empty branch has no debt to be under-collateralized
+  if (tcrPct == null) return { state: 'OK', tier: 'LOW' };
+  if (tcrPct < scrPct) return { state: 'BELOW_SCR', tier: 'CRITICAL' };
+  if (tcrPct < ccrPct) return { state: 'BELOW_CCR', tier: 'HIGH' };
+  if (tcrPct < ccrPct + BRANCH_TCR_WARN_PP) return { state: 'NEAR_CCR', tier: 'MEDIUM' };
+  return { state: 'OK', tier: 'LOW' };
+}
+
+/**
+ * Read one branch's TCR / CCR / SCR / pause / shutdown and alert the watchers
+ * of `rows` (the monitored troves of that branch).
+ * Returns { protocol, state, tier, tcrPct, ccrPct, scrPct, ... } for the CDP context log.
+ */
+async function checkBranchHealth(provider, chainId, protocol, nftAddress, rows) {
+  const branch = await getBranchInfo(provider, nftAddress);
+  const troveManager = new ethers.Contract(branch.troveManager, troveManagerAbi, provider);
+
+  const [ccr, scr, collRaw, debtRaw, isPaused, shutdownTime, priceFeedAddr] = await Promise.all([
+    troveManager.CCR(),
+    troveManager.SCR(),
+    troveManager.getEntireBranchColl(),
+    troveManager.getEntireBranchDebt(),
+    troveManager.isPaused(),
+    troveManager.shutdownTime(),
+    troveManager.priceFeed(),
+  ]);
+
+  const { rawPrice } = await getOraclePrice(new ethers.Contract(priceFeedAddr, priceFeedAbi, provider));
+
+  const branchColl = toNum(collRaw, branch.collDecimals);
+  const branchDebt = toNum(debtRaw);
+  const price = rawPrice ? toNum(rawPrice) : null;
+
+  const health = {
+    protocol,
+    tcrPct: price != null && branchDebt > 0 ? ((branchColl * price) / branchDebt) * 100 : null,
+    ccrPct: toNum(ccr) * 100,
+    scrPct: toNum(scr) * 100,
+    isPaused,
+    shutdownAt: shutdownTime > 0n ? new Date(Number(shutdownTime) * 1000).toISOString() : null,
+    branchColl,
+    branchDebt,
+    collSymbol: branch.collSymbol,
+    price,
+  };
+  const { state, tier } = classifyBranchHealth(health);
+
+  // Without a price the TCR is unknown: keep the alert state as it is
+  if (tier === 'UNKNOWN') {
+    console.log(`[BranchHealth] ${protocol}: no oracle price; TCR not evaluated.`);
+    return { ...health, state, tier };
+  }
+
+  for (const userId of getBranchRecipients(chainId, rows)) {
+    handleBranchHealthAlert({
+      userId,
+      chainId,
+      isActive: tier !== 'LOW',
+      state,
+      tier,
+      ...health,
+    });
+  }
+
+  return { ...health, state, tier };
+}
+
+module.exports = {
+  BRANCH_TCR_WARN_PP,
+  classifyBranchHealth,
+  checkBranchHealth,
+};
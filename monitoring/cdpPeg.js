@@ -0,0 +1,104 @@
+// monitoring/cdpPeg.js
+// CDP peg monitor: grades the CDP price against CDP_PEG_* (below the peg:
+// MEDIUM / HIGH / CRITICAL, above CDP_PEG_PREMIUM: MEDIUM) and tracks how long
+// it has been in its current state
+
+const { recordCdpPegState, getCdpPegState } = require('../db/cdpPeg');
+const { getPriceRange } = require('../db/priceHistory');
+const { handleCdpPegAlert } = require('./alertEngine');
+const { CDP_SERIES } = require('./priceVelocity');
+
+// -----------------------------
+// Env helpers (strict)
+// -----------------------------
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function requireNumberEnv(name) {
+  const raw = requireEnv(name);
+  const v = Number(raw);
+  if (!Number.isFinite(v)) {
+    console.error(`[Config] Env var ${name} must be a finite number, got "${raw}"`);
+    process.exit(1);
+  }
+  return v;
+}
+
+const CDP_PEG_MEDIUM = requireNumberEnv('CDP_PEG_MEDIUM');
+const CDP_PEG_HIGH = requireNumberEnv('CDP_PEG_HIGH');
+const CDP_PEG_CRIT = requireNumberEnv('CDP_PEG_CRIT');
+const CDP_PEG_PREMIUM = requireNumberEnv('CDP_PEG_PREMIUM');
+
+if (!(CDP_PEG_CRIT < CDP_PEG_HIGH && CDP_PEG_HIGH < CDP_PEG_MEDIUM && CDP_PEG_MEDIUM < CDP_PEG_PREMIUM)) {
+  console.error('[Config] CDP peg levels must satisfy CDP_PEG_CRIT < CDP_PEG_HIGH < CDP_PEG_MEDIUM < CDP_PEG_PREMIUM');
+  process.exit(1);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function classifyCdpPeg(price) {
+  if (price == null) return { state: 'UNKNOWN', tier: 'UNKNOWN' };
+  if (price < CDP_PEG_CRIT) return { state: 'SEVERE_DEPEG', tier: 'CRITICAL' };
+  if (price < CDP_PEG_HIGH) return { state: 'DEPEG', tier: 'HIGH' };
+  if (price < CDP_PEG_MEDIUM) return { state: 'SOFT_DEPEG', tier: 'MEDIUM' };
+  if (price > CDP_PEG_PREMIUM) return { state: 'PREMIUM', tier: 'MEDIUM' };
+  return { state: 'PEGGED', tier: 'LOW' };
+}
+
+/**
+ * Grade this run's CDP price, record the state and alert `recipients`
+ * (everyone with a monitored trove). `cdpState` is classifyCdpRedemptionState().
+ * Returns { price, state, tier, sinceAt, inStateMs } for the context log, or
+ * null without a price (the last state is kept).
+ */
+function checkCdpPeg(cdpPrice, cdpState, recipients) {
+  if (cdpPrice == null) return null;
+
+  const { state, tier } = classifyCdpPeg(cdpPrice);
+  const record = recordCdpPegState(state, cdpPrice);
+  const inStateMs = Date.now() - Date.parse(record.sinceAt);
+
+  for (const userId of recipients) {
+    handleCdpPegAlert({
+      userId,
+      isActive: tier !== 'LOW',
+      tier,
+      pegState: state,
+      cdpPrice,
+      sinceAt: record.sinceAt,
+      inStateMs,
+      redemptionTrigger: cdpState.trigger,
+    });
+  }
+
+  return { price: cdpPrice, state, tier, sinceAt: record.sinceAt, inStateMs };
+}
+
+/**
+ * Everything /cdp shows besides the live price: the recorded peg state and the
+ * last 24h range of the prices recorded by the monitor.
+ * Returns { pegState, range: { min, max, count } }.
+ */
+function getCdpPegContext() {
+  return {
+    pegState: getCdpPegState(),
+    range: getPriceRange(CDP_SERIES, new Date(Date.now() - DAY_MS).toISOString()),
+  };
+}
+
+module.exports = {
+  CDP_PEG_MEDIUM,
+  CDP_PEG_HIGH,
+  CDP_PEG_CRIT,
+  CDP_PEG_PREMIUM,
+  classifyCdpPeg,
+  checkCdpPeg,
+  getCdpPegContext,
+};
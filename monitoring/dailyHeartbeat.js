@@ -1,81 +1,16 @@
-const { getLoanSummaries } = require('./loanMonitor');
+const { getLoanSummaries, getCdpPrice, isTroveOpen } = require('./loanMonitor');
+const { computeInterestCosts, costRatePct } = require('./loanCosts');
 const { getLpSummaries } = require('./lpMonitor');
-
-// -----------------------------
-// Env helpers (strict)
-// -----------------------------
-function requireEnv(name) {
-  const v = process.env[name];
-  if (v === undefined || v === null || v === '') {
-    console.error(`[Config] Missing required env var ${name}`);
-    process.exit(1);
-  }
-  return v;
-}
-
-// -----------------------------
-// Discord message chunking
-// -----------------------------
-const DISCORD_MSG_MAX = 2000;
-// keep headroom for safety (markdown, odd unicode, etc.)
-const DISCORD_SAFE_MAX = 1900;
-
-function splitIntoDiscordMessages(text, maxLen = DISCORD_SAFE_MAX) {
-  if (!text) return [];
-
-  const lines = text.replace(/\r\n/g, '\n').split('\n');
-  const chunks = [];
-
-  let buf = '';
-
-  for (const line of lines) {
-    // If a single line is too long, hard-split it
-    if (line.length > maxLen) {
-      if (buf.length) {
-        chunks.push(buf);
-        buf = '';
-      }
-      for (let i = 0; i < line.length; i += maxLen) {
-        chunks.push(line.slice(i, i + maxLen));
-      }
-      continue;
-    }
-
-    const addLen = (buf.length === 0 ? 0 : 1) + line.length;
-
-    // If adding this line would exceed max, flush buffer
-    if (buf.length + addLen > maxLen) {
-      if (buf.length) chunks.push(buf);
-      buf = line;
-      continue;
-    }
-
-    buf = buf.length ? `${buf}\n${line}` : line;
-  }
-
-  if (buf.length) chunks.push(buf);
-
-  // absolute safety clamp
-  return chunks.map((c) =>
-    c.length > DISCORD_MSG_MAX ? c.slice(0, DISCORD_MSG_MAX) : c
-  );
-}
-
-async function sendLongDM(user, content) {
-  const chunks = splitIntoDiscordMessages(content);
-
-  for (let i = 0; i < chunks.length; i++) {
-    const prefix = chunks.length > 1 ? `(${i + 1}/${chunks.length}) ` : '';
-    await user.send({ content: prefix + chunks[i] });
-  }
-}
+const { listUsersWithWallets } = require('../db/users');
+const { sendLongDM } = require('../utils/discordMessages');
 
 // -----------------------------
 // Formatting helpers
 // -----------------------------
 
 // Build a concise human-readable summary line for a single loan
-function formatLoanLine(s) {
+// (`cdpPrice` converts interest costs to USD; null leaves them in CDP)
+function formatLoanLine(s, cdpPrice) {
   const parts = [];
 
   parts.push(`• **${s.protocol}** (${s.chainId}) — status **${s.status}**`);
@@ -108,12 +43,27 @@ function formatLoanLine(s) {
     if (typeof s.globalIrPct === 'number') {
       irLine += ` vs global **${s.globalIrPct.toFixed(2)}%**`;
     }
+    if (typeof s.debtAhead === 'number') {
+      irLine += `, debt ahead **${s.debtAhead.toFixed(2)}**`;
+    }
     if (s.redemptionTier) {
       irLine += `, redemption tier **${s.redemptionTier}**`;
     }
     parts.push(irLine);
   }
 
+  if (isTroveOpen(s.status) && typeof s.interestPct === 'number' && typeof s.debtAmount === 'number') {
+    const costs = computeInterestCosts(s.debtAmount, costRatePct(s), cdpPrice);
+    const usd = (v) => (typeof v === 'number' ? ` (≈ $${v.toFixed(2)})` : '');
+    let costLine = `   Interest **${costs.daily.toFixed(4)}/day**${usd(costs.dailyUsd)}, **${costs.monthly.toFixed(
+      2
+    )}/month**${usd(costs.monthlyUsd)}`;
+    if (typeof s.interestCharged === 'number') {
+      costLine += `, **${s.interestCharged.toFixed(2)}** so far`;
+    }
+    parts.push(costLine);
+  }
+
   return parts.join('\n');
 }
 
@@ -152,32 +102,7 @@ function formatLpLine(s) {
   return parts.join('\n');
 }
 
-async function sendDailyHeartbeat(client) {
-  // strict: must exist
-  const userId = requireEnv('MY_DISCORD_ID');
-
-  let user;
-  try {
-    user = await client.users.fetch(userId);
-  } catch (err) {
-    console.error('[Heartbeat] Failed to fetch user for heartbeat:', err.message);
-    return;
-  }
-
-  // Fetch current state
-  let loanSummaries = [];
-  let lpSummaries = [];
-
-  try {
-    [loanSummaries, lpSummaries] = await Promise.all([
-      getLoanSummaries(),
-      getLpSummaries(),
-    ]);
-  } catch (err) {
-    console.error('[Heartbeat] Failed to fetch summaries:', err.message);
-    return;
-  }
-
+function buildHeartbeatMessage(loanSummaries, lpSummaries, cdpPrice = null) {
   const nowIso = new Date().toISOString();
 
   const lines = [];
@@ -195,7 +120,7 @@ async function sendDailyHeartbeat(client) {
       .slice()
       .sort((a, b) => (b.ltvPct || 0) - (a.ltvPct || 0))
       .forEach((s) => {
-        lines.push(formatLoanLine(s));
+        lines.push(formatLoanLine(s, cdpPrice));
       });
   }
 
@@ -220,13 +145,55 @@ async function sendDailyHeartbeat(client) {
       });
   }
 
-  const msg = lines.join('\n');
+  return lines.join('\n');
+}
+
+async function sendHeartbeatToUser(client, discordId, cdpPrice) {
+  let user;
+  try {
+    user = await client.users.fetch(discordId);
+  } catch (err) {
+    console.error(`[Heartbeat] Failed to fetch user ${discordId} for heartbeat:`, err.message);
+    return;
+  }
+
+  // Fetch current state (only this user's wallets)
+  let loanSummaries = [];
+  let lpSummaries = [];
+
+  try {
+    [loanSummaries, lpSummaries] = await Promise.all([
+      getLoanSummaries({ discordId }),
+      getLpSummaries({ discordId }),
+    ]);
+  } catch (err) {
+    console.error(`[Heartbeat] Failed to fetch summaries for ${discordId}:`, err.message);
+    return;
+  }
+
+  const msg = buildHeartbeatMessage(loanSummaries, lpSummaries, cdpPrice);
 
   try {
     await sendLongDM(user, msg);
-    console.log('[Heartbeat] Sent daily heartbeat DM.');
+    console.log(`[Heartbeat] Sent daily heartbeat DM to ${discordId}.`);
   } catch (err) {
-    console.error('[Heartbeat] Failed to send daily heartbeat DM:', err.message);
+    console.error(`[Heartbeat] Failed to send daily heartbeat DM to ${discordId}:`, err.message);
+  }
+}
+
+// One heartbeat DM per registered user, covering only their own positions
+async function sendDailyHeartbeat(client) {
+  const recipients = listUsersWithWallets();
+  if (recipients.length === 0) {
+    console.log('[Heartbeat] No users with wallets; nothing to send.');
+    return;
+  }
+
+  // One CDP price for every DM (interest costs in USD)
+  const cdpPrice = await getCdpPrice();
+
+  for (const discordId of recipients) {
+    await sendHeartbeatToUser(client, discordId, cdpPrice);
   }
 }
 
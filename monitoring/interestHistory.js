@@ -0,0 +1,151 @@
+// monitoring/interestHistory.js
+// Interest since a trove was opened: rebuilt from its TroveOperation history.
+// Each operation applies the interest accrued since the previous one, so the
+// recorded debt after an operation minus the debt before it, minus what the
+// operation itself changed (borrow / repay, upfront fee, redistribution), is
+// the interest it applied. Batched troves also pay the batch management fee
+// this way, as /loan-costs counts it.
+//
+// The scan pages eth_getLogs from the contract's start block and is resumable:
+// each monitor run advances it by at most HISTORY_WINDOWS_PER_RUN windows.
+
+const { ethers } = require('ethers');
+
+const troveManagerAbi = require('../abi/troveManager.json');
+
+const { getTroveInterest, saveTroveInterestHistory, completeTroveInterestHistory } = require('../db/troveInterest');
+const { getBranchInfo } = require('./loanBranches');
+const { MAX_LOG_RANGE_BLOCKS } = require('./positionDiscovery');
+
+// Bounds the time one trove adds to a monitor run
+const HISTORY_WINDOWS_PER_RUN = 200;
+
+// ITroveEvents.Operation
+const OP_OPEN_TROVE = 0;
+const OP_OPEN_TROVE_AND_JOIN_BATCH = 7;
+
+const troveManagerIface = new ethers.Interface(troveManagerAbi);
+const TROVE_OPERATION_TOPIC = troveManagerIface.getEvent('TroveOperation').topicHash;
+
+const toDebt = (v) => Number(ethers.formatUnits(v, 18));
+
+// The trove's recorded debt after the operation in `receipt`: TroveUpdated, or
+// for a batched trove its share of the batch debt; null when neither is there
+function debtAfterOperation(receipt, troveManagerAddr, troveId) {
+  const parsed = receipt.logs
+    .filter((l) => l.address.toLowerCase() === troveManagerAddr.toLowerCase())
+    .map((l) => {
+      try {
+        return troveManagerIface.parseLog(l);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const ofTrove = (name) =>
+    parsed.filter((p) => p.name === name && p.args._troveId.toString() === troveId).pop() || null;
+
+  const updated = ofTrove('TroveUpdated');
+  if (updated) return toDebt(updated.args._debt);
+
+  const batched = ofTrove('BatchedTroveUpdated');
+  if (!batched) return null;
+
+  const manager = batched.args._interestBatchManager.toLowerCase();
+  const batch = parsed
+    .filter((p) => p.name === 'BatchUpdated' && p.args._interestBatchManager.toLowerCase() === manager)
+    .pop();
+  if (!batch || batch.args._totalDebtShares === 0n) return null;
+
+  return toDebt((batched.args._batchDebtShares * batch.args._debt) / batch.args._totalDebtShares);
+}
+
+/**
+ * Advance the history scan of one trove (its trove_interest row must exist) and
+ * complete it once it reaches the latest block. `startBlock` is the contract's
+ * envStartKey block. Failures are logged; the next run resumes from the last
+ * window saved.
+ */
+async function advanceInterestHistory(provider, { chainId, protocol, nftAddress, troveId, startBlock = 0, verbose = false }) {
+  const id = String(troveId);
+  const row = getTroveInterest(chainId, nftAddress, id);
+  if (!row || row.historyDoneAt) return;
+
+  const branch = await getBranchInfo(provider, nftAddress);
+  const troveIdTopic = ethers.zeroPadValue(ethers.toBeHex(BigInt(id)), 32);
+
+  let { historyInterest, historyDebt, openedAt } = row;
+  let fromBlock = row.historyBlock != null ? row.historyBlock + 1 : startBlock;
+
+  try {
+    const latestBlock = await provider.getBlockNumber();
+
+    for (let w = 0; w < HISTORY_WINDOWS_PER_RUN && fromBlock <= latestBlock; w++) {
+      const toBlock = Math.min(fromBlock + MAX_LOG_RANGE_BLOCKS, latestBlock);
+      const logs = await provider.getLogs({
+        address: branch.troveManager,
+        fromBlock,
+        toBlock,
+        topics: [TROVE_OPERATION_TOPIC, troveIdTopic],
+      });
+
+      for (const log of logs) {
+        const op = troveManagerIface.parseLog(log).args;
+        const operation = Number(op._operation);
+        const isOpen = operation === OP_OPEN_TROVE || operation === OP_OPEN_TROVE_AND_JOIN_BATCH;
+
+        const receipt = await provider.getTransactionReceipt(log.transactionHash);
+        const debtAfter = debtAfterOperation(receipt, branch.troveManager, id);
+
+        // Before the opening (trove opened before startBlock) the debt before is unknown
+        if (debtAfter != null && (historyDebt != null || isOpen)) {
+          const applied =
+            debtAfter -
+            (isOpen ? 0 : historyDebt) -
+            toDebt(op._debtChangeFromOperation) -
+            toDebt(op._debtIncreaseFromUpfrontFee) -
+            toDebt(op._debtIncreaseFromRedist);
+          historyInterest += Math.max(0, applied);
+        }
+        if (isOpen) {
+          const block = await provider.getBlock(log.blockNumber);
+          openedAt = new Date(block.timestamp * 1000).toISOString();
+        }
+        historyDebt = debtAfter;
+      }
+
+      saveTroveInterestHistory(chainId, nftAddress, id, { historyBlock: toBlock, historyInterest, historyDebt, openedAt });
+      fromBlock = toBlock + 1;
+    }
+
+    if (fromBlock <= latestBlock) {
+      if (verbose) console.log(`  Interest history:  scanned to block ${fromBlock - 1} of ${latestBlock}`);
+      return;
+    }
+
+    // Interest accrued since the last operation completes the total
+    if (openedAt) {
+      const troveManager = new ethers.Contract(branch.troveManager, troveManagerAbi, provider);
+      const latest = await troveManager.getLatestTroveData(id);
+      const accrued = toDebt(latest.accruedInterest);
+      completeTroveInterestHistory(chainId, nftAddress, id, {
+        interestTotal: historyInterest + accrued,
+        accrued,
+        openedAt,
+      });
+    } else {
+      completeTroveInterestHistory(chainId, nftAddress, id, {});
+    }
+    console.log(
+      `[Interest] ${protocol} trove ${id}: history scan complete` +
+        (openedAt ? ` (opened ${openedAt}).` : ' (opened before the start block; tracked total kept).')
+    );
+  } catch (err) {
+    console.error(`[Interest] History scan failed for ${protocol} trove ${id} at block ${fromBlock}:`, err.message);
+  }
+}
+
+module.exports = {
+  advanceInterestHistory,
+};
@@ -0,0 +1,143 @@
+// monitoring/liquidationEvents.js
+// Branch liquidation watcher: records every Liquidation event of a loan branch
+// (any trove) and alerts watchers of that branch when the liquidated debt of the
+// last hour crosses BRANCH_LIQ_DEBT_HIGH / BRANCH_LIQ_DEBT_CRIT
+
+const { ethers } = require('ethers');
+
+const troveManagerAbi = require('../abi/troveManager.json');
+
+const {
+  insertBranchLiquidations,
+  sumBranchLiquidationsSince,
+  pruneBranchLiquidations,
+} = require('../db/branchLiquidations');
+const { handleBranchLiquidationAlert } = require('./alertEngine');
+const { getBranchInfo, getBranchRecipients, scanBranchEvents } = require('./loanBranches');
+
+// -----------------------------
+// Env helpers (strict)
+// -----------------------------
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function requireNumberEnv(name) {
+  const raw = requireEnv(name);
+  const v = Number(raw);
+  if (!Number.isFinite(v)) {
+    console.error(`[Config] Env var ${name} must be a finite number, got "${raw}"`);
+    process.exit(1);
+  }
+  return v;
+}
+
+// Liquidated debt (loan token units) per branch in the last hour
+const BRANCH_LIQ_DEBT_HIGH = requireNumberEnv('BRANCH_LIQ_DEBT_HIGH');
+const BRANCH_LIQ_DEBT_CRIT = requireNumberEnv('BRANCH_LIQ_DEBT_CRIT');
+
+const WINDOW_MS = 60 * 60 * 1000;
+// Only the last hour is read; a day of history is plenty for inspection
+const RETAIN_MS = 24 * 60 * 60 * 1000;
+
+// scan_cursors kind for this scanner
+const CURSOR_KIND = 'LIQUIDATION_EVENTS';
+
+const troveManagerIface = new ethers.Interface(troveManagerAbi);
+const LIQUIDATION_TOPIC = troveManagerIface.getEvent('Liquidation').topicHash;
+
+function classifyBranchLiquidations(debt) {
+  if (debt >= BRANCH_LIQ_DEBT_CRIT) return 'CRITICAL';
+  if (debt >= BRANCH_LIQ_DEBT_HIGH) return 'HIGH';
+  return 'LOW';
+}
+
+// Liquidation logs → rows for branch_liquidations (block timestamps fetched once per block)
+async function toLiquidationRows(provider, logs, { collDecimals }) {
+  const blockTimes = new Map();
+  const rows = [];
+
+  for (const log of logs) {
+    const parsed = troveManagerIface.parseLog(log);
+    if (!parsed || parsed.name !== 'Liquidation') continue;
+
+    if (!blockTimes.has(log.blockNumber)) {
+      const block = await provider.getBlock(log.blockNumber);
+      blockTimes.set(log.blockNumber, new Date(Number(block.timestamp) * 1000).toISOString());
+    }
+
+    const a = parsed.args;
+    rows.push({
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      debt: Number(ethers.formatUnits(a._debtOffsetBySP + a._debtRedistributed, 18)),
+      coll: Number(
+        ethers.formatUnits(
+          a._collSentToSP + a._collRedistributed + a._collSurplus + a._collGasCompensation,
+          collDecimals
+        )
+      ),
+      occurredAt: blockTimes.get(log.blockNumber),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Record new Liquidation events of one branch, then alert everyone with a
+ * monitored trove in it (`rows`) based on the last hour's liquidated debt.
+ * Returns { protocol, debt, coll, count, collSymbol, tier } for the CDP context log.
+ */
+async function watchBranchLiquidations(provider, chainId, protocol, nftAddress, rows, { verbose = false } = {}) {
+  const branch = await getBranchInfo(provider, nftAddress);
+
+  await scanBranchEvents({
+    provider,
+    chainId,
+    protocol,
+    cursorKind: CURSOR_KIND,
+    address: branch.troveManager,
+    topics: [LIQUIDATION_TOPIC],
+    verbose,
+    onLogs: async (logs) => {
+      insertBranchLiquidations(chainId, protocol, await toLiquidationRows(provider, logs, branch));
+    },
+  });
+
+  const now = Date.now();
+  pruneBranchLiquidations(new Date(now - RETAIN_MS).toISOString());
+  const totals = sumBranchLiquidationsSince(chainId, protocol, new Date(now - WINDOW_MS).toISOString());
+  const tier = classifyBranchLiquidations(totals.debt);
+
+  for (const userId of getBranchRecipients(chainId, rows)) {
+    handleBranchLiquidationAlert({
+      userId,
+      chainId,
+      protocol,
+      isActive: tier !== 'LOW',
+      tier,
+      liquidatedDebt1h: totals.debt,
+      liquidatedColl1h: totals.coll,
+      collSymbol: branch.collSymbol,
+      liquidations1h: totals.count,
+      thresholdHigh: BRANCH_LIQ_DEBT_HIGH,
+      thresholdCrit: BRANCH_LIQ_DEBT_CRIT,
+    });
+  }
+
+  return { protocol, ...totals, collSymbol: branch.collSymbol, tier };
+}
+
+module.exports = {
+  BRANCH_LIQ_DEBT_HIGH,
+  BRANCH_LIQ_DEBT_CRIT,
+  classifyBranchLiquidations,
+  watchBranchLiquidations,
+};
@@ -0,0 +1,124 @@
+// monitoring/loanBranches.js
+// Per-branch helpers shared by the TroveManager event scanners
+// (redemptionEvents.js, liquidationEvents.js), the redemption queue (redemptionQueue.js)
+// and the branch health check (branchHealth.js)
+
+const { ethers } = require('ethers');
+
+const troveNftAbi = require('../abi/troveNFT.json');
+const troveManagerAbi = require('../abi/troveManager.json');
+const erc20MetadataAbi = require('../abi/erc20Metadata.json');
+
+const { getLastScannedBlock, setLastScannedBlock } = require('../db/scanCursors');
+const { listDiscordIdsForWallet } = require('../db/users');
+const { SHARED_RECIPIENT } = require('./alertKeys');
+
+// Max block window for eth_getLogs (Ankr limit, as in positionDiscovery.js)
+const MAX_LOG_RANGE_BLOCKS = 1000;
+
+// TroveManager, SortedTroves + collateral metadata per trove NFT contract (constant per deployment)
+const branchCache = new Map();
+
+async function getBranchInfo(provider, nftAddress) {
+  if (branchCache.has(nftAddress)) return branchCache.get(nftAddress);
+
+  const troveNFT = new ethers.Contract(nftAddress, troveNftAbi, provider);
+  const troveManager = await troveNFT.troveManager();
+  const sortedTroves = await new ethers.Contract(troveManager, troveManagerAbi, provider).sortedTroves();
+  const collTokenAddr = await troveNFT.collToken();
+  const collToken = new ethers.Contract(collTokenAddr, erc20MetadataAbi, provider);
+
+  const info = {
+    troveManager,
+    sortedTroves,
+    collToken: collTokenAddr,
+    collDecimals: Number(await collToken.decimals()),
+    collSymbol: await collToken.symbol(),
+  };
+  branchCache.set(nftAddress, info);
+  return info;
+}
+
+// Branch oracle price: fetchPrice(), then lastGoodPrice(), then fetchRedemptionPrice()
+async function getOraclePrice(priceFeedContract) {
+  try {
+    const [price, isValid] = await priceFeedContract.fetchPrice();
+    if (isValid && price && price.toString() !== '0') {
+      return { rawPrice: price, source: 'fetchPrice()' };
+    }
+  } catch (_) {}
+
+  try {
+    const last = await priceFeedContract.lastGoodPrice();
+    if (last && last.toString() !== '0') {
+      return { rawPrice: last, source: 'lastGoodPrice()' };
+    }
+  } catch (_) {}
+
+  try {
+    const [redPrice, isValidRed] = await priceFeedContract.fetchRedemptionPrice();
+    if (isValidRed && redPrice && redPrice.toString() !== '0') {
+      return { rawPrice: redPrice, source: 'fetchRedemptionPrice()' };
+    }
+  } catch (_) {}
+
+  return { rawPrice: null, source: null };
+}
+
+// Everyone with a monitored trove in the branch (`rows`): the wallets' watchers,
+// plus the shared channel once if any trove is shared
+function getBranchRecipients(chainId, rows) {
+  const recipients = new Set();
+  for (const row of rows) {
+    if (row.shared) recipients.add(SHARED_RECIPIENT);
+    else listDiscordIdsForWallet(chainId, row.owner).forEach((id) => recipients.add(id));
+  }
+  return [...recipients];
+}
+
+/**
+ * Page TroveManager logs matching `topics` from the scanner's cursor (scan_cursors
+ * kind `cursorKind`) to the latest block, calling `onLogs(logs, { fromBlock, toBlock })`
+ * per window and advancing the cursor after each one.
+ *
+ * The first run only sets the cursor, so history is never replayed. A failed
+ * window stops the scan; the next run retries it from the cursor.
+ */
+async function scanBranchEvents({ provider, chainId, protocol, cursorKind, address, topics, onLogs, verbose = false }) {
+  const latestBlock = await provider.getBlockNumber();
+  const lastBlock = getLastScannedBlock(cursorKind, chainId, protocol);
+
+  if (lastBlock == null) {
+    setLastScannedBlock(cursorKind, chainId, protocol, latestBlock);
+    console.log(`[Events] ${protocol}: starting ${cursorKind} scan at block ${latestBlock}.`);
+    return;
+  }
+
+  for (let fromBlock = lastBlock + 1; fromBlock <= latestBlock; fromBlock += MAX_LOG_RANGE_BLOCKS + 1) {
+    const toBlock = Math.min(fromBlock + MAX_LOG_RANGE_BLOCKS, latestBlock);
+
+    if (verbose) {
+      console.log(`  [Events] ${protocol} ${cursorKind}: scanning blocks ${fromBlock} -> ${toBlock}`);
+    }
+
+    let logs;
+    try {
+      logs = await provider.getLogs({ address, fromBlock, toBlock, topics });
+    } catch (err) {
+      console.error(
+        `[Events] getLogs error for ${protocol} ${cursorKind} [${fromBlock}–${toBlock}]: ${err.message}`
+      );
+      return;
+    }
+
+    await onLogs(logs, { fromBlock, toBlock });
+    setLastScannedBlock(cursorKind, chainId, protocol, toBlock);
+  }
+}
+
+module.exports = {
+  getBranchInfo,
+  getOraclePrice,
+  getBranchRecipients,
+  scanBranchEvents,
+};
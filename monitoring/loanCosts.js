@@ -0,0 +1,70 @@
+// monitoring/loanCosts.js
+// Cost of debt per trove: interest accrued each monitor cycle (running total per
+// trove) and the daily / monthly / projected cost at the current rate
+
+const { getTroveInterest, saveTroveInterest } = require('../db/troveInterest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+// Horizons for the projected cost at the current rate
+const PROJECTION_DAYS = [30, 90, 365];
+
+/**
+ * Add this cycle's interest to the trove's running total.
+ * `accrued` is getLatestTroveData().accruedInterest: it grows until interest is
+ * applied to the debt (any trove operation) and then restarts from zero. While it
+ * grows the difference is exact; after a reset the interval is estimated from the
+ * previous debt and rate. The first sighting starts the total at 0, so it
+ * covers the same span as `trackedSince`, until interestHistory.js restarts it
+ * from the trove's opening.
+ * Returns the saved row.
+ */
+function recordInterestCycle(chain, contract, troveId, { debt, accrued, interestPct }) {
+  const prev = getTroveInterest(chain, contract, troveId);
+
+  let interestTotal;
+  if (!prev) {
+    interestTotal = 0;
+  } else if (accrued >= prev.lastAccrued) {
+    interestTotal = prev.interestTotal + (accrued - prev.lastAccrued);
+  } else {
+    const elapsedDays = (Date.now() - Date.parse(prev.updatedAt)) / DAY_MS;
+    interestTotal = prev.interestTotal + (prev.lastDebt * prev.lastInterestPct) / 100 * (elapsedDays / YEAR_DAYS);
+  }
+
+  saveTroveInterest(chain, contract, troveId, { interestTotal, debt, accrued, interestPct });
+  return getTroveInterest(chain, contract, troveId);
+}
+
+// What a trove pays per year (%): its interest rate, plus the batch management
+// fee for a batched trove (a getLoanSummaries() summary)
+function costRatePct(summary) {
+  return summary.interestPct + (summary.batchFeePct || 0);
+}
+
+/**
+ * Interest cost of `debt` at `interestPct` p.a. (simple interest, as troves accrue it),
+ * in the loan token and, when `cdpPrice` is known, in USD.
+ * Returns { daily, monthly, projected: [{ days, cost }], ...Usd } (USD values null without a price).
+ */
+function computeInterestCosts(debt, interestPct, cdpPrice = null) {
+  const daily = (debt * interestPct) / 100 / YEAR_DAYS;
+  const monthly = (debt * interestPct) / 100 / 12;
+  const toUsd = (v) => (cdpPrice != null ? v * cdpPrice : null);
+
+  return {
+    daily,
+    monthly,
+    dailyUsd: toUsd(daily),
+    monthlyUsd: toUsd(monthly),
+    projected: PROJECTION_DAYS.map((days) => ({ days, cost: daily * days, costUsd: toUsd(daily * days) })),
+  };
+}
+
+module.exports = {
+  PROJECTION_DAYS,
+  recordInterestCycle,
+  costRatePct,
+  computeInterestCosts,
+};
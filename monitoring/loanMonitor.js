@@ -1,4 +1,3 @@
-const path = require('path');
 const { ethers } = require('ethers');
 
 const troveNftAbi = require('../abi/troveNFT.json');
@@ -10,8 +9,41 @@ const uniswapV3PoolAbi = require('../abi/uniswapV3Pool.json');
 const loanConfig = require('../data/loan_contracts.json');
 
 const { getProviderForChain } = require('../utils/providers');
-const { readCsvRows } = require('../utils/csv');
-const { handleLiquidationAlert, handleRedemptionAlert } = require('./alertEngine');
+const { listLoanPositions } = require('../db/positions');
+const { listDiscordIdsForWallet } = require('../db/users');
+const {
+  getTroveSnapshot,
+  saveTroveSnapshot,
+  setTroveSnapshotStatus,
+} = require('../db/troveSnapshots');
+const {
+  handleLiquidationAlert,
+  handleRedemptionAlert,
+  handleTroveStatusAlert,
+  handleBatchChangeAlert,
+  handleVelocityAlert,
+  formatDuration,
+} = require('./alertEngine');
+const { SHARED_RECIPIENT } = require('./alertKeys');
+const { scanRedemptionHits } = require('./redemptionEvents');
+const { watchBranchLiquidations } = require('./liquidationEvents');
+const { getRedemptionQueue } = require('./redemptionQueue');
+const { getOraclePrice, getBranchRecipients } = require('./loanBranches');
+const { checkBranchHealth } = require('./branchHealth');
+const { checkOracle } = require('./oracleHealth');
+const { oracleSeries, trackPriceVelocity, projectHoursTo, checkCdpVelocity } = require('./priceVelocity');
+const { checkCdpPeg } = require('./cdpPeg');
+const { recordInterestCycle } = require('./loanCosts');
+const { advanceInterestHistory } = require('./interestHistory');
+const { getTroveInterest } = require('../db/troveInterest');
+const { getTroveBatch, diffBatch } = require('./batchManagers');
+const {
+  LIQ_TIER_ORDER,
+  REDEMP_TIER_ORDER,
+  DEFAULT_THRESHOLDS,
+  isTierAtLeast,
+  getEffectiveThresholds,
+} = require('./alertThresholds');
 
 // -----------------------------
 // Env helpers (strict)
@@ -44,15 +76,8 @@ function requireNumberEnv(name) {
 const MONITOR_VERBOSE_ENV = requireEnv('MONITOR_VERBOSE'); // '1' or '0'
 const MONITOR_VERBOSE_DEFAULT = MONITOR_VERBOSE_ENV === '1';
 
-// Liquidation buffer thresholds (fractions)
-const LIQ_BUFFER_WARN = requireNumberEnv('LIQ_BUFFER_WARN');
-const LIQ_BUFFER_HIGH = requireNumberEnv('LIQ_BUFFER_HIGH');
-const LIQ_BUFFER_CRIT = requireNumberEnv('LIQ_BUFFER_CRIT');
-
-// Redemption IR thresholds (percentage points)
-const REDEMP_BELOW_HIGH = requireNumberEnv('REDEMP_BELOW_HIGH');
-const REDEMP_BELOW_MED = requireNumberEnv('REDEMP_BELOW_MED');
-const REDEMP_NEUTRAL_ABS = requireNumberEnv('REDEMP_NEUTRAL_ABS');
+// Liquidation / redemption thresholds and *_ALERT_MIN_TIER live in alertThresholds.js
+// (env defaults with per-user / per-position overrides)
 
 // CDP redemption trigger (USD)
 const CDP_REDEMPTION_TRIGGER = requireNumberEnv('CDP_REDEMPTION_TRIGGER');
@@ -87,39 +112,10 @@ if (GLOBAL_IR_BRANCHES.length === 0) {
   process.exit(1);
 }
 
-// Alert tier thresholds (strict)
-const LIQ_TIER_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'UNKNOWN'];
-const REDEMP_TIER_ORDER = ['LOW', 'NEUTRAL', 'MEDIUM', 'HIGH', 'UNKNOWN'];
-
-const LIQ_ALERT_MIN_TIER_RAW = requireEnv('LIQ_ALERT_MIN_TIER');
-if (!LIQ_TIER_ORDER.includes(LIQ_ALERT_MIN_TIER_RAW)) {
-  console.error(
-    `[Config] LIQ_ALERT_MIN_TIER must be one of ${LIQ_TIER_ORDER.join(', ')}, got "${LIQ_ALERT_MIN_TIER_RAW}"`
-  );
-  process.exit(1);
-}
-const LIQ_ALERT_MIN_TIER = LIQ_ALERT_MIN_TIER_RAW;
-
-const REDEMP_ALERT_MIN_TIER_RAW = requireEnv('REDEMP_ALERT_MIN_TIER');
-if (!REDEMP_TIER_ORDER.includes(REDEMP_ALERT_MIN_TIER_RAW)) {
-  console.error(
-    `[Config] REDEMP_ALERT_MIN_TIER must be one of ${REDEMP_TIER_ORDER.join(', ')}, got "${REDEMP_ALERT_MIN_TIER_RAW}"`
-  );
-  process.exit(1);
-}
-const REDEMP_ALERT_MIN_TIER = REDEMP_ALERT_MIN_TIER_RAW;
-
 // -----------------------------
 // Helpers
 // -----------------------------
 
-function isTierAtLeast(tier, minTier, order) {
-  const idx = order.indexOf(tier || 'UNKNOWN');
-  const minIdx = order.indexOf(minTier || 'UNKNOWN');
-  if (idx === -1 || minIdx === -1) return false;
-  return idx >= minIdx;
-}
-
 function troveStatusToString(code) {
   const n = Number(code);
   switch (n) {
@@ -129,37 +125,17 @@ function troveStatusToString(code) {
       return 'CLOSED_BY_OWNER';
     case 3:
       return 'CLOSED_BY_LIQUIDATION';
+    // A "zombie": redeemed below MIN_DEBT, still holding debt and collateral
     case 4:
-      return 'CLOSED_BY_REDEMPTION';
+      return 'UNREDEEMABLE';
     default:
       return `UNKNOWN(${n})`;
   }
 }
 
-// price helper for loans
-async function getOraclePrice(priceFeedContract) {
-  try {
-    const [price, isValid] = await priceFeedContract.fetchPrice();
-    if (isValid && price && price.toString() !== '0') {
-      return { rawPrice: price, source: 'fetchPrice()' };
-    }
-  } catch (_) {}
-
-  try {
-    const last = await priceFeedContract.lastGoodPrice();
-    if (last && last.toString() !== '0') {
-      return { rawPrice: last, source: 'lastGoodPrice()' };
-    }
-  } catch (_) {}
-
-  try {
-    const [redPrice, isValidRed] = await priceFeedContract.fetchRedemptionPrice();
-    if (isValidRed && redPrice && redPrice.toString() !== '0') {
-      return { rawPrice: redPrice, source: 'fetchRedemptionPrice()' };
-    }
-  } catch (_) {}
-
-  return { rawPrice: null, source: null };
+// Still open: a zombie trove is still liquidable and can be adjusted back to ACTIVE
+function isTroveOpen(status) {
+  return status === 'ACTIVE' || status === 'UNREDEEMABLE';
 }
 
 // -----------------------------
@@ -241,16 +217,34 @@ function getGlobalInterestRatePctFromMap(protocol, globalIrMap) {
 // Tier classifiers
 // -----------------------------
 
-function classifyRedemptionTier(interestPct, globalPct) {
-  if (globalPct == null) {
+// `thresholds` is the effective set from getEffectiveThresholds().
+// `debtAhead` (debt redeemed before this trove, from the SortedTroves walk) sets the
+// tier when known; otherwise the IR delta vs the global average is the proxy.
+function classifyRedemptionTier(interestPct, globalPct, thresholds, debtAhead = null) {
+  const { REDEMP_BELOW_HIGH, REDEMP_BELOW_MED, REDEMP_NEUTRAL_ABS } = thresholds;
+
+  const diff = globalPct == null ? null : interestPct - globalPct;
+  const diffLabel =
+    diff == null ? 'no global IR available' : (diff >= 0 ? '+' : '') + diff.toFixed(2) + ' pp vs global';
+
+  if (debtAhead != null) {
+    let tier;
+    if (debtAhead <= thresholds.REDEMP_DEBT_AHEAD_HIGH) tier = 'HIGH';
+    else if (debtAhead <= thresholds.REDEMP_DEBT_AHEAD_MED) tier = 'MEDIUM';
+    else tier = 'LOW';
+
+    return { tier, basis: 'DEBT_AHEAD', diffPct: diff, diffLabel };
+  }
+
+  if (diff == null) {
     return {
       tier: 'UNKNOWN',
+      basis: 'IR',
       diffPct: null,
-      diffLabel: 'no global IR available',
+      diffLabel,
     };
   }
 
-  const diff = interestPct - globalPct;
   const absDiff = Math.abs(diff);
 
   let tier;
@@ -266,12 +260,65 @@ function classifyRedemptionTier(interestPct, globalPct) {
 
   return {
     tier,
+    basis: 'IR',
     diffPct: diff,
-    diffLabel: (diff >= 0 ? '+' : '') + diff.toFixed(2) + ' pp vs global',
+    diffLabel,
   };
 }
 
-function classifyLiquidationRisk(bufferFrac) {
+// Debt ahead of one trove from a getRedemptionQueue() result (null when unknown)
+function debtAheadFor(queue, troveId) {
+  if (!queue) return null;
+  const v = queue.ahead.get(String(troveId));
+  return v === undefined ? null : v;
+}
+
+// Last walk per branch ("chain:protocol" → { queue, troveIds, at }). The monitor
+// walks for every monitored trove, so /my-loans & co. and the heartbeat reuse its
+// result instead of walking SortedTroves again on each call
+const redemptionQueueCache = new Map();
+// One default CRON_SCHED interval
+const REDEMPTION_QUEUE_TTL_MS = 15 * 60 * 1000;
+
+// One SortedTroves walk per branch covering all of `rows`; null if it fails.
+// Pass { useCache: true } to reuse a recent walk that covered every trove in `rows`
+async function loadRedemptionQueue(provider, chainId, protocol, nftAddress, rows, { useCache = false } = {}) {
+  if (!nftAddress || rows.length === 0) return null;
+
+  const cacheKey = `${chainId}:${protocol}`;
+  const troveIds = rows.map((r) => String(r.troveId));
+  const cached = redemptionQueueCache.get(cacheKey);
+  if (
+    useCache &&
+    cached &&
+    Date.now() - cached.at < REDEMPTION_QUEUE_TTL_MS &&
+    troveIds.every((id) => cached.troveIds.has(id))
+  ) {
+    return cached.queue;
+  }
+
+  try {
+    const queue = await getRedemptionQueue(provider, nftAddress, troveIds);
+    redemptionQueueCache.set(cacheKey, { queue, troveIds: new Set(troveIds), at: Date.now() });
+    return queue;
+  } catch (err) {
+    console.error(`[RedemptionQueue] Failed to walk ${protocol} on ${chainId}; using IR tiers:`, err.message);
+    return null;
+  }
+}
+
+// LTV, liquidation price (the price at which ICR = MCR) and buffer above it
+function computeLiquidationMetrics(collNorm, debtNorm, priceNorm, mcrNorm) {
+  const collValue = collNorm * priceNorm;
+  const ltv = collValue > 0 ? debtNorm / collValue : 0;
+  const liquidationPrice = collNorm > 0 ? (debtNorm * mcrNorm) / collNorm : 0;
+  const bufferFrac = priceNorm > 0 ? (priceNorm - liquidationPrice) / priceNorm : null;
+  return { ltv, liquidationPrice, bufferFrac };
+}
+
+function classifyLiquidationRisk(bufferFrac, thresholds) {
+  const { LIQ_BUFFER_WARN, LIQ_BUFFER_HIGH, LIQ_BUFFER_CRIT } = thresholds;
+
   if (bufferFrac == null || !Number.isFinite(bufferFrac)) {
     return {
       tier: 'UNKNOWN',
@@ -401,7 +448,7 @@ function classifyCdpRedemptionState(cdpPrice) {
 // Build a single loan summary object (no logging)
 // -----------------------------
 
-async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrMap) {
+async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrMap, thresholds, queue = null) {
   const { contract, owner, troveId } = row;
 
   const troveNFT = new ethers.Contract(contract, troveNftAbi, provider);
@@ -429,7 +476,10 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
   const statusStr = troveStatusToString(statusCode);
 
   const globalIrPct = getGlobalInterestRatePctFromMap(protocol, globalIrMap);
-  const redClass = classifyRedemptionTier(interestPct, globalIrPct);
+  const debtAhead = debtAheadFor(queue, troveId);
+  const redClass = classifyRedemptionTier(interestPct, globalIrPct, thresholds, debtAhead);
+  const interest = getTroveInterest(chainId, contract, troveId);
+  const batch = await getTroveBatch(troveManager, troveId);
 
   const priceFeedAddr = await troveManager.priceFeed();
   const priceFeed = new ethers.Contract(priceFeedAddr, priceFeedAbi, provider);
@@ -447,11 +497,23 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
     collAmount: collNorm,
     debtAmount: debtNorm,
     accruedInterest: accruedInterestNorm,
+    // Running total from the monitor cycles (null until the monitor has seen the trove)
+    interestCharged: interest ? interest.interestTotal : null,
+    interestTrackedSince: interest ? interest.trackedSince : null,
+    // The total counts from the trove's opening once its history scan completed
+    interestSinceOpened: interest ? interest.historyDoneAt != null && interest.openedAt != null : false,
 
     interestPct,
+    // Set when the trove is delegated to an interest batch manager
+    batchManager: batch ? batch.manager : null,
+    batchRatePct: batch ? batch.ratePct : null,
+    batchFeePct: batch ? batch.feePct : null,
     globalIrPct,
     redemptionTier: redClass.tier,
+    redemptionBasis: redClass.basis,
     redemptionDiffPct: redClass.diffPct,
+    debtAhead,
+    branchDebt: queue ? queue.branchDebt : null,
 
     status: statusStr,
     priceSource: source || null,
@@ -470,9 +532,7 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
   const MCR = await troveManager.MCR();
   const mcrNorm = Number(ethers.formatUnits(MCR, 18));
 
-  const collValue = collNorm * priceNorm;
-  const ltv = collValue > 0 ? debtNorm / collValue : 0;
-  const liquidationPrice = collNorm > 0 ? (debtNorm * mcrNorm) / collNorm : 0;
+  const { ltv, liquidationPrice, bufferFrac } = computeLiquidationMetrics(collNorm, debtNorm, priceNorm, mcrNorm);
 
   let icrRaw;
   try {
@@ -482,8 +542,7 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
   }
   const icrNorm = icrRaw != null ? Number(ethers.formatUnits(icrRaw, 18)) : null;
 
-  const bufferFrac = priceNorm > 0 ? (priceNorm - liquidationPrice) / priceNorm : null;
-  const liqClass = classifyLiquidationRisk(bufferFrac);
+  const liqClass = classifyLiquidationRisk(bufferFrac, thresholds);
 
   return {
     ...base,
@@ -504,7 +563,14 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
 // -----------------------------
 
 async function describeLoanPosition(provider, chainId, protocol, row, options = {}) {
-  const { verbose = MONITOR_VERBOSE_DEFAULT, cdpState = null, globalIrMap = null } = options;
+  const {
+    verbose = MONITOR_VERBOSE_DEFAULT,
+    cdpState = null,
+    globalIrMap = null,
+    queue = null,
+    velocities = null,
+    startBlock = 0,
+  } = options;
   const { contract, owner, troveId } = row;
 
   const troveNFT = new ethers.Contract(contract, troveNftAbi, provider);
@@ -526,8 +592,10 @@ async function describeLoanPosition(provider, chainId, protocol, row, options =
   const interestPct = Number(ethers.formatUnits(latest.annualInterestRate, 18)) * 100.0;
   const statusStr = troveStatusToString(statusCode);
 
+  // Logs use the env defaults; alerts below re-classify with each recipient's thresholds
   const globalIrPct = getGlobalInterestRatePctFromMap(protocol, globalIrMap);
-  const redClass = classifyRedemptionTier(interestPct, globalIrPct);
+  const debtAhead = debtAheadFor(queue, troveId);
+  const redClass = classifyRedemptionTier(interestPct, globalIrPct, DEFAULT_THRESHOLDS, debtAhead);
 
   if (verbose) {
     console.log('========================================');
@@ -548,6 +616,100 @@ async function describeLoanPosition(provider, chainId, protocol, row, options =
     console.log(`  Status:            ${statusStr}`);
   }
 
+  // Alerts go to every Discord user watching this wallet (or once to the shared channel)
+  const recipients = row.shared ? [SHARED_RECIPIENT] : listDiscordIdsForWallet(chainId, owner);
+  const alertBase = { chainId, contract, protocol, wallet: owner, positionId: troveId };
+
+  // Lifecycle: a closed trove alerts once, then is no longer evaluated
+  const snapshot = getTroveSnapshot(chainId, contract, troveId);
+  if (!isTroveOpen(statusStr)) {
+    // Only a transition we saw alerts; troves discovered already closed stay quiet
+    if (snapshot && isTroveOpen(snapshot.status)) {
+      console.warn(`${protocol} trove ${troveId} was closed: ${statusStr}.`);
+      for (const userId of recipients) {
+        handleTroveStatusAlert({
+          ...alertBase,
+          userId,
+          isActive: true,
+          status: statusStr,
+          finalDebt: snapshot.debt,
+          finalColl: snapshot.coll,
+          collSymbol: snapshot.collSymbol,
+          lastInterestPct: snapshot.interestPct,
+          snapshotAt: snapshot.updatedAt,
+        });
+      }
+    } else if (verbose) {
+      console.log(`  (trove is ${statusStr}; liquidation / redemption are not evaluated)`);
+    }
+    setTroveSnapshotStatus(chainId, contract, troveId, statusStr);
+    return;
+  }
+
+  // Batched troves follow the batch manager's rate (already in annualInterestRate) plus a fee
+  const batch = await getTroveBatch(troveManager, troveId);
+  if (batch && verbose) {
+    console.log(`  Batch manager:     ${batch.manager} (rate ${batch.ratePct.toFixed(2)}%, fee ${batch.feePct.toFixed(2)}%)`);
+  }
+
+  const batchChange = diffBatch(snapshot, batch);
+  if (batchChange) {
+    for (const userId of recipients) {
+      handleBatchChangeAlert({
+        ...alertBase,
+        userId,
+        batchManager: batch.manager,
+        prevBatchRatePct: batchChange.prevRatePct,
+        batchRatePct: batch.ratePct,
+        prevBatchFeePct: batchChange.prevFeePct,
+        batchFeePct: batch.feePct,
+        rateChanged: batchChange.rateChanged,
+        feeChanged: batchChange.feeChanged,
+      });
+    }
+  }
+
+  saveTroveSnapshot(chainId, contract, troveId, {
+    status: statusStr,
+    debt: debtNorm,
+    coll: collNorm,
+    collSymbol,
+    interestPct,
+    batch,
+  });
+
+  // Interest accrued since the last cycle, for /loan-costs and the heartbeat
+  const interest = recordInterestCycle(chainId, contract, troveId, {
+    debt: debtNorm,
+    accrued: accruedInterestNorm,
+    interestPct,
+  });
+  if (verbose) {
+    console.log(`  Interest tracked:  ${interest.interestTotal.toFixed(6)} since ${interest.trackedSince}`);
+  }
+
+  // Rebuilds the total since the trove was opened, resuming where the last run stopped
+  await advanceInterestHistory(provider, { chainId, protocol, nftAddress: contract, troveId, startBlock, verbose });
+
+  // Falling below min debt (UNREDEEMABLE) alerts once, but the trove stays monitored;
+  // becoming ACTIVE again clears the lifecycle alert
+  if (snapshot && snapshot.status !== statusStr) {
+    const isZombie = statusStr === 'UNREDEEMABLE';
+    if (isZombie) console.warn(`${protocol} trove ${troveId} fell below the minimum debt (UNREDEEMABLE).`);
+    for (const userId of recipients) {
+      handleTroveStatusAlert({
+        ...alertBase,
+        userId,
+        isActive: isZombie,
+        status: statusStr,
+        debt: debtNorm,
+        coll: collNorm,
+        collSymbol,
+        interestPct,
+      });
+    }
+  }
+
   const priceFeedAddr = await troveManager.priceFeed();
   const priceFeed = new ethers.Contract(priceFeedAddr, priceFeedAbi, provider);
   const { rawPrice, source } = await getOraclePrice(priceFeed);
@@ -561,12 +723,9 @@ async function describeLoanPosition(provider, chainId, protocol, row, options =
   const MCR = await troveManager.MCR();
   const mcrNorm = Number(ethers.formatUnits(MCR, 18));
 
-  const collValue = collNorm * priceNorm;
-  const ltv = collValue > 0 ? debtNorm / collValue : 0;
-  const liquidationPrice = collNorm > 0 ? (debtNorm * mcrNorm) / collNorm : 0;
-  const bufferFrac = priceNorm > 0 ? (priceNorm - liquidationPrice) / priceNorm : null;
+  const { ltv, liquidationPrice, bufferFrac } = computeLiquidationMetrics(collNorm, debtNorm, priceNorm, mcrNorm);
 
-  const liqClass = classifyLiquidationRisk(bufferFrac);
+  const liqClass = classifyLiquidationRisk(bufferFrac, DEFAULT_THRESHOLDS);
 
   // Compact summary log
   const ltvPct = ltv * 100;
@@ -574,35 +733,71 @@ async function describeLoanPosition(provider, chainId, protocol, row, options =
     `${protocol} is ${statusStr} with LTV of ${ltvPct.toFixed(2)}%. Current price ${priceNorm.toFixed(5)} with liquidation price ${liquidationPrice.toFixed(5)}.`
   );
 
-  // Alerts
-  const liqAlertActive = isTierAtLeast(liqClass.tier, LIQ_ALERT_MIN_TIER, LIQ_TIER_ORDER);
+  // Alerts (one stream per Discord user watching this wallet, each with their own thresholds;
+  // a shared position has a single stream to the shared alert channel, on the env defaults)
+  const cdpIsActive = cdpState && cdpState.state === 'ACTIVE';
 
-  handleLiquidationAlert({
-    protocol,
-    wallet: owner,
-    positionId: troveId,
-    isActive: liqAlertActive,
-    tier: liqClass.tier,
-    ltvPct,
-    liquidationPrice,
-    currentPrice: priceNorm,
-    liquidationBufferFrac: bufferFrac,
-  });
+  // Branch price trend from collectBranchContext; projected to this trove's liquidation price
+  const velocity = velocities ? velocities.get(protocol) || null : null;
+  const hoursToLiq = projectHoursTo(velocity, liquidationPrice);
 
-  const cdpIsActive = cdpState && cdpState.state === 'ACTIVE';
-  const redAlertActive =
-    cdpIsActive && isTierAtLeast(redClass.tier, REDEMP_ALERT_MIN_TIER, REDEMP_TIER_ORDER);
+  if (recipients.length === 0 && verbose) {
+    console.log(`  (no Discord users watch ${owner}; alerts are not evaluated)`);
+  }
 
-  handleRedemptionAlert({
-    protocol,
-    wallet: owner,
-    positionId: troveId,
-    isActive: redAlertActive,
-    tier: redClass.tier,
-    cdpIR: interestPct,
-    globalIR: globalIrPct,
-    isCDPActive: cdpIsActive,
-  });
+  for (const userId of recipients) {
+    const thresholds = getEffectiveThresholds(userId, { protocol, positionId: troveId });
+    const userLiq = classifyLiquidationRisk(bufferFrac, thresholds);
+    const userRed = classifyRedemptionTier(interestPct, globalIrPct, thresholds, debtAhead);
+
+    const liqAlertActive = isTierAtLeast(userLiq.tier, thresholds.LIQ_ALERT_MIN_TIER, LIQ_TIER_ORDER);
+    const redAlertActive =
+      cdpIsActive && isTierAtLeast(userRed.tier, thresholds.REDEMP_ALERT_MIN_TIER, REDEMP_TIER_ORDER);
+
+    handleLiquidationAlert({
+      userId,
+      chainId,
+      contract,
+      protocol,
+      wallet: owner,
+      positionId: troveId,
+      isActive: liqAlertActive,
+      tier: userLiq.tier,
+      ltvPct,
+      liquidationPrice,
+      currentPrice: priceNorm,
+      liquidationBufferFrac: bufferFrac,
+    });
+
+    handleRedemptionAlert({
+      userId,
+      chainId,
+      contract,
+      protocol,
+      wallet: owner,
+      positionId: troveId,
+      isActive: redAlertActive,
+      tier: userRed.tier,
+      cdpIR: interestPct,
+      globalIR: globalIrPct,
+      debtAhead,
+      isCDPActive: cdpIsActive,
+    });
+
+    if (velocity) {
+      handleVelocityAlert({
+        ...alertBase,
+        userId,
+        isActive: velocity.tier !== 'LOW',
+        asset: collSymbol,
+        velocity,
+        targetKey: 'liquidationPrice',
+        targetLabel: 'the liquidation price',
+        targetPrice: liquidationPrice,
+        hoursToTarget: hoursToLiq,
+      });
+    }
+  }
 
   if (!verbose) {
     if (bufferFrac != null) {
@@ -613,24 +808,30 @@ async function describeLoanPosition(provider, chainId, protocol, row, options =
       console.log(`${protocol} liquidation buffer unknown (no price / liq data).`);
     }
 
+    const aheadText = debtAhead != null ? `, ${debtAhead.toFixed(2)} debt ahead` : '';
     if (globalIrPct != null) {
       console.log(
-        `${protocol} IR ${interestPct.toFixed(2)}% vs global ${globalIrPct.toFixed(2)}% (${redClass.diffLabel}, tier ${redClass.tier}).`
+        `${protocol} IR ${interestPct.toFixed(2)}% vs global ${globalIrPct.toFixed(2)}% (${redClass.diffLabel}${aheadText}, tier ${redClass.tier}).`
       );
     } else {
-      console.log(`${protocol} IR ${interestPct.toFixed(2)}% (global IR unavailable).`);
+      console.log(`${protocol} IR ${interestPct.toFixed(2)}% (global IR unavailable${aheadText}, tier ${redClass.tier}).`);
     }
   } else {
     console.log('');
-    console.log('  --- Redemption Profile (IR-based) ---');
+    console.log('  --- Redemption Profile ---');
     console.log(`  Interest rate:     ${interestPct.toFixed(2)} % p.a.`);
     if (globalIrPct != null) {
       console.log(`  Global IR (json):  ${globalIrPct.toFixed(2)} % p.a.`);
       console.log(`  Delta:             ${redClass.diffLabel}`);
-      console.log(`  Est. tier:         ${redClass.tier} redemption priority`);
     } else {
       console.log('  Global IR (json):  (unavailable)');
     }
+    if (debtAhead != null) {
+      console.log(`  Debt ahead:        ${debtAhead.toFixed(2)} of ${queue.branchDebt.toFixed(2)} branch debt`);
+    } else {
+      console.log('  Debt ahead:        (unavailable; tier from IR delta)');
+    }
+    console.log(`  Est. tier:         ${redClass.tier} redemption priority (${redClass.basis})`);
 
     console.log('');
     console.log('  --- Liquidation Profile ---');
@@ -643,11 +844,105 @@ async function describeLoanPosition(provider, chainId, protocol, row, options =
     } else {
       console.log('  Buffer:           (not available)');
     }
+    if (velocity) {
+      const projection = hoursToLiq != null ? `, liquidation in ~${hoursToLiq.toFixed(1)}h at this pace` : '';
+      console.log(`  Velocity:         ${formatVelocity(velocity)}${projection}`);
+    }
     console.log('========================================');
     console.log('');
   }
 }
 
+// -----------------------------
+// Branch context (all troves): liquidations, health, oracle
+// -----------------------------
+
+// Per branch: scan Liquidation events, check TCR / pause / shutdown and the oracle,
+// alerting the branch's watchers, and track the oracle price velocity.
+// Returns { liquidations, health, oracles, velocities (protocol → velocity) } for the CDP context log.
+async function collectBranchContext(verbose) {
+  const liquidations = [];
+  const health = [];
+  const oracles = [];
+  const velocities = new Map();
+
+  for (const [chainId, chainCfg] of Object.entries(loanConfig.chains || {})) {
+    let provider;
+    try {
+      provider = getProviderForChain(chainId, loanConfig.chains);
+    } catch {
+      continue; // reported by the per-loan loop
+    }
+
+    for (const c of chainCfg.contracts || []) {
+      const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
+      if (!c.address) continue;
+
+      const rows = listLoanPositions(chainId, protocol);
+
+      try {
+        liquidations.push(await watchBranchLiquidations(provider, chainId, protocol, c.address, rows, { verbose }));
+      } catch (err) {
+        console.error(`[Liquidations] Watch failed for ${protocol} on ${chainId}:`, err.message);
+      }
+
+      try {
+        health.push(await checkBranchHealth(provider, chainId, protocol, c.address, rows));
+      } catch (err) {
+        console.error(`[BranchHealth] Check failed for ${protocol} on ${chainId}:`, err.message);
+      }
+
+      try {
+        const oracle = await checkOracle(provider, chainId, protocol, c.address, rows);
+        oracles.push(oracle);
+        if (oracle.oraclePrice != null) {
+          velocities.set(protocol, trackPriceVelocity(oracleSeries(chainId, protocol), oracle.oraclePrice));
+        }
+      } catch (err) {
+        console.error(`[Oracle] Check failed for ${protocol} on ${chainId}:`, err.message);
+      }
+    }
+  }
+
+  return { liquidations, health, oracles, velocities };
+}
+
+// Everyone with a monitored trove in any branch (CDP-wide alerts)
+function getLoanRecipients() {
+  const recipients = new Set();
+  for (const [chainId, chainCfg] of Object.entries(loanConfig.chains || {})) {
+    for (const c of chainCfg.contracts || []) {
+      const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
+      getBranchRecipients(chainId, listLoanPositions(chainId, protocol)).forEach((id) => recipients.add(id));
+    }
+  }
+  return [...recipients];
+}
+
+// "PAUSED, TCR 182.40% (CCR 150.00%)" for the context log
+function formatBranchHealth(h) {
+  const tcr = h.tcrPct != null ? `TCR ${h.tcrPct.toFixed(2)}%` : 'TCR n/a';
+  return `${h.state}, ${tcr} (CCR ${h.ccrPct.toFixed(2)}%, SCR ${h.scrPct.toFixed(2)}%)`;
+}
+
+// "1.23450 via lastGoodPrice() [FALLBACK, STALE]" for the context log
+function formatOracle(o) {
+  const price = o.oraclePrice != null ? o.oraclePrice.toFixed(5) : 'n/a';
+  const pool = o.poolPrice != null ? `, pool ${o.poolPrice.toFixed(5)}` : '';
+  const issues = o.issues.length ? o.issues.join(', ') : 'OK';
+  return `${price} via ${o.priceSource || 'none'}${pool} [${issues}]`;
+}
+
+// "DEPEG for 2h 10m (HIGH)" for the context log
+function formatCdpPeg(p) {
+  return `${p.state} for ${formatDuration(p.inStateMs)} (${p.tier})`;
+}
+
+// "-6.20% from 1.04000 in 60m (HIGH)" for the context log
+function formatVelocity(v) {
+  return `-${(v.dropFrac * 100).toFixed(2)}% from ${v.peakPrice.toFixed(5)} in ${v.windowMin}m (${v.tier})`;
+}
+
 // -----------------------------
 // Public API: monitorLoans
 // -----------------------------
@@ -662,6 +957,33 @@ async function monitorLoans(options = {}) {
   // Fetch global IR map EVERY RUN
   const globalIrMap = await fetchGlobalIrPctMap();
 
+  // Liquidations in the last hour (early sign of price stress) and TCR / pause / shutdown per branch
+  const {
+    liquidations: branchLiqs,
+    health: branchHealth,
+    oracles: branchOracles,
+    velocities,
+  } = await collectBranchContext(verbose);
+
+  // CDP off its peg, or falling fast toward the redemption trigger
+  let cdpPeg = null;
+  let cdpVelocity = null;
+  if (cdpPrice != null) {
+    const loanRecipients = getLoanRecipients();
+
+    try {
+      cdpPeg = checkCdpPeg(cdpPrice, cdpState, loanRecipients);
+    } catch (err) {
+      console.error('[CdpPeg] Check failed:', err.message);
+    }
+
+    try {
+      cdpVelocity = checkCdpVelocity(cdpPrice, cdpState.trigger, loanRecipients);
+    } catch (err) {
+      console.error('[Velocity] CDP check failed:', err.message);
+    }
+  }
+
   // --- Log CDP + Global IR under it (both verbose and non-verbose) ---
   if (verbose) {
     console.log('');
@@ -675,6 +997,12 @@ async function monitorLoans(options = {}) {
       console.log(`  Trigger:          ${cdpState.trigger.toFixed(4)} USD (CDP_REDEMPTION_TRIGGER)`);
       console.log(`  State:            ${cdpState.state} (${cdpState.label})`);
     }
+    if (cdpPeg) {
+      console.log(`  Peg:              ${formatCdpPeg(cdpPeg)}`);
+    }
+    if (cdpVelocity) {
+      console.log(`  CDP velocity:     ${formatVelocity(cdpVelocity)}`);
+    }
 
     if (!globalIrMap) {
       console.log(`  Global IR (json):  (FAILED to fetch/parse: ${GLOBAL_IR_URL})`);
@@ -689,6 +1017,24 @@ async function monitorLoans(options = {}) {
       }
     }
 
+    for (const b of branchLiqs) {
+      console.log(
+        `  Liquidations 1h ${b.protocol}: ${b.debt.toFixed(2)} debt / ${b.coll.toFixed(4)} ${b.collSymbol} across ${b.count} trove(s) (${b.tier})`
+      );
+    }
+
+    for (const h of branchHealth) {
+      console.log(`  Branch ${h.protocol}: ${formatBranchHealth(h)} (${h.tier})`);
+    }
+
+    for (const o of branchOracles) {
+      console.log(`  Oracle ${o.protocol}: ${formatOracle(o)} (${o.tier})`);
+    }
+
+    for (const [protocol, v] of velocities) {
+      console.log(`  Velocity ${protocol}: ${formatVelocity(v)}`);
+    }
+
     console.log('===============================');
     console.log('');
   } else {
@@ -698,6 +1044,8 @@ async function monitorLoans(options = {}) {
         ? `CDP price unknown; redemption state UNKNOWN (trigger ${cdpState.trigger.toFixed(4)}).`
         : `CDP price ${cdpPrice.toFixed(4)} USD; redemption state ${cdpState.state} (trigger ${cdpState.trigger.toFixed(4)}, ${cdpState.label}).`;
 
+    const pegLine = cdpPeg ? ` Peg: ${formatCdpPeg(cdpPeg)}.` : '';
+
     let irLine = '';
     if (!globalIrMap) {
       irLine = ` Global IR: FAILED (${GLOBAL_IR_URL}).`;
@@ -710,7 +1058,25 @@ async function monitorLoans(options = {}) {
       irLine = ` Global IR: ${parts.join(', ')}.`;
     }
 
-    console.log(cdpLine + irLine);
+    const liqLine = branchLiqs.length
+      ? ` Liquidations 1h: ${branchLiqs.map((b) => `${b.protocol}=${b.debt.toFixed(2)} (${b.count}, ${b.tier})`).join(', ')}.`
+      : '';
+
+    const healthLine = branchHealth.length
+      ? ` Branches: ${branchHealth.map((h) => `${h.protocol}=${formatBranchHealth(h)}`).join(', ')}.`
+      : '';
+
+    const oracleLine = branchOracles.length
+      ? ` Oracles: ${branchOracles.map((o) => `${o.protocol}=${formatOracle(o)}`).join(', ')}.`
+      : '';
+
+    const velocityParts = [
+      ...(cdpVelocity ? [`CDP=${formatVelocity(cdpVelocity)}`] : []),
+      ...[...velocities].map(([protocol, v]) => `${protocol}=${formatVelocity(v)}`),
+    ];
+    const velocityLine = velocityParts.length ? ` Velocity: ${velocityParts.join(', ')}.` : '';
+
+    console.log(cdpLine + pegLine + irLine + liqLine + healthLine + oracleLine + velocityLine);
   }
 
   console.log(''); // spacer before per-loan logs
@@ -725,9 +1091,12 @@ async function monitorLoans(options = {}) {
     }
 
     for (const c of chainCfg.contracts || []) {
-      const csvPath = path.join(__dirname, '..', 'data', c.csvFile);
+      const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
+
+      const rows = listLoanPositions(chainId, protocol);
+      const queue = await loadRedemptionQueue(provider, chainId, protocol, c.address, rows);
+      const startBlock = c.envStartKey && process.env[c.envStartKey] ? Number(process.env[c.envStartKey]) : 0;
 
-      const rows = readCsvRows(csvPath);
       for (const row of rows) {
         const chain = (row.chain || '').toUpperCase();
         const owner = row.owner;
@@ -745,9 +1114,9 @@ async function monitorLoans(options = {}) {
           await describeLoanPosition(
             provider,
             chainId,
-            c.protocol || c.key || 'UNKNOWN_PROTOCOL',
+            protocol,
             row,
-            { verbose, cdpState, globalIrMap }
+            { verbose, cdpState, globalIrMap, queue, velocities, startBlock }
           );
         } catch (err) {
           console.error(
@@ -756,6 +1125,15 @@ async function monitorLoans(options = {}) {
           );
         }
       }
+
+      // Redemptions that actually hit a monitored trove since the last run
+      if (rows.length > 0 && c.address) {
+        try {
+          await scanRedemptionHits(provider, chainId, protocol, c.address, rows, { verbose });
+        } catch (err) {
+          console.error(`[Redemptions] Scan failed for ${protocol} on ${chainId}:`, err.message);
+        }
+      }
     }
   }
 }
@@ -764,7 +1142,10 @@ async function monitorLoans(options = {}) {
 // Public API: getLoanSummaries
 // -----------------------------
 
-async function getLoanSummaries() {
+// Pass { discordId } to only include troves owned by that user's wallets, and
+// { withQueue: false } to skip the redemption queue (debtAhead / branchDebt are null)
+async function getLoanSummaries(options = {}) {
+  const { discordId = null, withQueue = true } = options;
   const summaries = [];
 
   // Fetch global IR map once for the summaries call (no logging here)
@@ -780,9 +1161,13 @@ async function getLoanSummaries() {
     }
 
     for (const c of chainCfg.contracts || []) {
-      const csvPath = path.join(__dirname, '..', 'data', c.csvFile);
+      const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
+
+      const rows = listLoanPositions(chainId, protocol, { discordId });
+      const queue = withQueue
+        ? await loadRedemptionQueue(provider, chainId, protocol, c.address, rows, { useCache: true })
+        : null;
 
-      const rows = readCsvRows(csvPath);
       for (const row of rows) {
         const chain = (row.chain || '').toUpperCase();
         const owner = row.owner;
@@ -796,11 +1181,23 @@ async function getLoanSummaries() {
 
         if (chain !== chainId) continue;
 
-        const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
-
         try {
-          const summary = await summarizeLoanPosition(provider, chainId, protocol, row, globalIrMap);
-          if (summary) summaries.push(summary);
+          // Tiers in per-user views follow that user's thresholds
+          const thresholds = getEffectiveThresholds(discordId, { protocol, positionId: troveId });
+          const summary = await summarizeLoanPosition(
+            provider,
+            chainId,
+            protocol,
+            row,
+            globalIrMap,
+            thresholds,
+            queue
+          );
+          if (summary) {
+            // Per-user view: flag positions held by wallets the user hasn't proven they own
+            if (discordId) summary.walletVerified = row.verifiedAt != null;
+            summaries.push(summary);
+          }
         } catch (err) {
           console.error(`[Loans] Failed to build summary for troveId=${troveId} on ${chainId}:`, err.message);
         }
@@ -816,4 +1213,9 @@ module.exports = {
   getLoanSummaries,
   getCdpPrice,
   classifyCdpRedemptionState,
+  computeLiquidationMetrics,
+  classifyLiquidationRisk,
+  isTroveOpen,
+  fetchGlobalIrPctMap,
+  getGlobalInterestRatePctFromMap,
 };
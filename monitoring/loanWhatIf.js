@@ -0,0 +1,82 @@
+// monitoring/loanWhatIf.js
+// "What if" for one trove: the liquidation metrics / tier under a hypothetical
+// price, collateral top-up or repayment, and what it takes to cross each tier boundary
+
+const { computeLiquidationMetrics, classifyLiquidationRisk } = require('./loanMonitor');
+
+/**
+ * Buffer boundaries, lowest first: a trove leaves `from` for `to` once its
+ * buffer is strictly above `bufferFrac` (classifyLiquidationRisk uses <=).
+ */
+function tierBoundaries(thresholds) {
+  return [
+    { from: 'LIQUIDATION', to: 'CRITICAL', bufferFrac: 0 },
+    { from: 'CRITICAL', to: 'HIGH', bufferFrac: thresholds.LIQ_BUFFER_CRIT },
+    { from: 'HIGH', to: 'MEDIUM', bufferFrac: thresholds.LIQ_BUFFER_HIGH },
+    { from: 'MEDIUM', to: 'LOW', bufferFrac: thresholds.LIQ_BUFFER_WARN },
+  ];
+}
+
+function describeState(coll, debt, price, mcr, thresholds) {
+  const { ltv, liquidationPrice, bufferFrac } = computeLiquidationMetrics(coll, debt, price, mcr);
+  const liqClass = classifyLiquidationRisk(bufferFrac, thresholds);
+  return {
+    coll,
+    debt,
+    price,
+    ltvPct: ltv * 100,
+    liquidationPrice,
+    bufferFrac,
+    tier: liqClass.tier,
+  };
+}
+
+/**
+ * `loan` is { coll, debt, price, mcr } (a /my-loans summary with a price);
+ * `scenario` is { price, addColl, repayDebt }, any of them null.
+ * Returns { current, simulated, boundaries } where each boundary (for the
+ * simulated trove) has:
+ *   - crossed: already above it
+ *   - topUp / repay: collateral to add or debt to repay to reach it (0 once crossed)
+ *   - price / dropFrac: the price at the boundary and how far below the
+ *     simulated price it is (negative when the price must rise instead)
+ * Returns { error } for an impossible scenario.
+ */
+function simulateLoan(loan, scenario, thresholds) {
+  const { price = null, addColl = null, repayDebt = null } = scenario;
+  const { mcr } = loan;
+
+  if (repayDebt != null && repayDebt >= loan.debt) {
+    return { error: `Repaying ${repayDebt} would clear the whole debt (${loan.debt.toFixed(4)}); there is nothing left to liquidate.` };
+  }
+
+  const current = describeState(loan.coll, loan.debt, loan.price, mcr, thresholds);
+
+  const coll = loan.coll + (addColl || 0);
+  const debt = loan.debt - (repayDebt || 0);
+  const simPrice = price != null ? price : loan.price;
+  const simulated = describeState(coll, debt, simPrice, mcr, thresholds);
+
+  // buffer = 1 - debt * MCR / (coll * price), solved for coll, debt and price
+  const boundaries = tierBoundaries(thresholds).map((b) => {
+    const keep = 1 - b.bufferFrac;
+    const collNeeded = (debt * mcr) / (simPrice * keep);
+    const debtAllowed = (coll * simPrice * keep) / mcr;
+    const boundaryPrice = (debt * mcr) / (coll * keep);
+
+    return {
+      ...b,
+      crossed: simulated.bufferFrac > b.bufferFrac,
+      topUp: Math.max(0, collNeeded - coll),
+      repay: Math.max(0, debt - debtAllowed),
+      price: boundaryPrice,
+      dropFrac: (simPrice - boundaryPrice) / simPrice,
+    };
+  });
+
+  return { current, simulated, boundaries };
+}
+
+module.exports = {
+  simulateLoan,
+};
@@ -1,4 +1,3 @@
-const path = require('path');
 const { ethers } = require('ethers');
 
 const positionManagerAbi = require('../abi/positionManager.json');
@@ -7,14 +6,22 @@ const uniswapV3PoolAbi = require('../abi/uniswapV3Pool.json');
 const erc20MetadataAbi = require('../abi/erc20Metadata.json');
 
 const lpConfig = require('../data/lp_contracts.json');
-const lpIgnoreConfig = require('../data/lp_ignore.json');
 
 const { getProviderForChain } = require('../utils/providers');
-const { readCsvRows } = require('../utils/csv');
+const { listLpPositions } = require('../db/positions');
+const { listDiscordIdsForWallet } = require('../db/users');
 
 const {
   handleLpRangeAlert,
 } = require('./alertEngine');
+const { getLpPrevStatus, setLpPrevStatus } = require('../db/alertState');
+const {
+  LP_TIER_ORDER,
+  DEFAULT_THRESHOLDS,
+  isTierAtLeast,
+  getEffectiveThresholds,
+} = require('./alertThresholds');
+const { SHARED_RECIPIENT } = require('./alertKeys');
 
 // -----------------------------
 // Env helpers (strict)
@@ -29,56 +36,17 @@ function requireEnv(name) {
   return v;
 }
 
-function requireNumberEnv(name) {
-  const raw = requireEnv(name);
-  const v = Number(raw);
-  if (!Number.isFinite(v)) {
-    console.error(
-      `[Config] Env var ${name} must be a finite number, got "${raw}"`
-    );
-    process.exit(1);
-  }
-  return v;
-}
-
 // -----------------------------
-// LP alert thresholds & state
+// Config
 // -----------------------------
 
-const LP_TIER_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'UNKNOWN'];
-
-const LP_ALERT_MIN_TIER_RAW = requireEnv('LP_ALERT_MIN_TIER'); // e.g. MEDIUM
-if (!LP_TIER_ORDER.includes(LP_ALERT_MIN_TIER_RAW)) {
-  console.error(
-    `[Config] LP_ALERT_MIN_TIER must be one of ${LP_TIER_ORDER.join(
-      ', '
-    )}, got "${LP_ALERT_MIN_TIER_RAW}"`
-  );
-  process.exit(1);
-}
-const LP_ALERT_MIN_TIER = LP_ALERT_MIN_TIER_RAW;
-
-// Fractions for tiering (all required)
-const LP_EDGE_WARN_FRAC = requireNumberEnv('LP_EDGE_WARN_FRAC');
-const LP_EDGE_HIGH_FRAC = requireNumberEnv('LP_EDGE_HIGH_FRAC');
-const LP_OUT_WARN_FRAC = requireNumberEnv('LP_OUT_WARN_FRAC');
-const LP_OUT_HIGH_FRAC = requireNumberEnv('LP_OUT_HIGH_FRAC');
+// LP_EDGE_* / LP_OUT_* fractions and LP_ALERT_MIN_TIER live in alertThresholds.js
+// (env defaults with per-user / per-position overrides)
 
 // Verbose flag (required)
 const MONITOR_VERBOSE_ENV = requireEnv('MONITOR_VERBOSE');
 const MONITOR_VERBOSE_DEFAULT = MONITOR_VERBOSE_ENV === '1';
 
-function isLpTierAtLeast(tier, minTier) {
-  const idx = LP_TIER_ORDER.indexOf(tier || 'UNKNOWN');
-  const minIdx = LP_TIER_ORDER.indexOf(minTier || 'UNKNOWN');
-  if (idx === -1 || minIdx === -1) return false;
-  return idx >= minIdx;
-}
-
-// Track previous range status per LP position so we can see transitions
-// key = `${protocol}:${chainId}:${owner}:${tokenId}`
-const lpPrevStatus = new Map();
-
 // -----------------------------
 // Token symbol cache
 // -----------------------------
@@ -97,23 +65,6 @@ async function getTokenSymbol(provider, address) {
   return symbol;
 }
 
-// -----------------------------
-// Ignore helpers
-// -----------------------------
-
-function isIgnoredLpPosition(protocol, row) {
-  const cfg = lpIgnoreConfig[protocol];
-  if (!cfg) return false;
-
-  const tokenIdStr = String(row.tokenId);
-
-  if (Array.isArray(cfg.tokenIds) && cfg.tokenIds.includes(tokenIdStr)) {
-    return true;
-  }
-
-  return false;
-}
-
 // -----------------------------
 // LP range tier classification
 // -----------------------------
@@ -123,7 +74,7 @@ function isIgnoredLpPosition(protocol, row) {
  * - rangeStatus: IN_RANGE / OUT_OF_RANGE / UNKNOWN / etc.
  * - tickLower, tickUpper, currentTick
  *
- * Env-based knobs (all are FRACTIONS of total tick width):
+ * Threshold knobs, taken from `thresholds` (all are FRACTIONS of total tick width):
  *   LP_EDGE_WARN_FRAC  → in-range: near edge → MEDIUM
  *   LP_EDGE_HIGH_FRAC  → in-range: very near edge → HIGH
  *
@@ -131,7 +82,7 @@ function isIgnoredLpPosition(protocol, row) {
  *   LP_OUT_HIGH_FRAC   → out-of-range but <= this × width away → HIGH
  *   > LP_OUT_HIGH_FRAC → CRITICAL
  */
-function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
+function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick, thresholds) {
   const normStatus = (rangeStatus || '')
     .toString()
     .toUpperCase()
@@ -145,10 +96,10 @@ function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
     Number.isFinite(tickUpper) &&
     Number.isFinite(currentTick);
 
-  const edgeWarn = LP_EDGE_WARN_FRAC;
-  const edgeHigh = LP_EDGE_HIGH_FRAC;
-  const outWarn = LP_OUT_WARN_FRAC;
-  const outHigh = LP_OUT_HIGH_FRAC;
+  const edgeWarn = thresholds.LP_EDGE_WARN_FRAC;
+  const edgeHigh = thresholds.LP_EDGE_HIGH_FRAC;
+  const outWarn = thresholds.LP_OUT_WARN_FRAC;
+  const outHigh = thresholds.LP_OUT_HIGH_FRAC;
 
   // In-range → LOW / MEDIUM / HIGH depending how close we are to the edge
   if (normStatus === 'IN_RANGE' && hasTicks) {
@@ -249,7 +200,7 @@ function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
 // LP summary builder (no logging)
 // -----------------------------
 
-async function summarizeLpPosition(provider, chainId, protocol, row) {
+async function summarizeLpPosition(provider, chainId, protocol, row, thresholds) {
   const { contract, owner, tokenId } = row;
   const tokenIdBN = BigInt(tokenId);
 
@@ -320,7 +271,8 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
     rangeStatus,
     tickLower,
     tickUpper,
-    currentTick
+    currentTick,
+    thresholds
   );
 
   return {
@@ -355,8 +307,10 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
   };
 }
 
-// Return structured summaries for all monitored LP positions (no logging)
-async function getLpSummaries() {
+// Return structured summaries for all monitored LP positions (no logging).
+// Pass { discordId } to only include positions owned by that user's wallets.
+async function getLpSummaries(options = {}) {
+  const { discordId = null } = options;
   const summaries = [];
 
   for (const [chainId, chainCfg] of Object.entries(lpConfig.chains || {})) {
@@ -371,9 +325,10 @@ async function getLpSummaries() {
     }
 
     for (const c of chainCfg.contracts || []) {
-      const csvPath = path.join(__dirname, '..', 'data', c.csvFile);
+      const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
 
-      const rows = readCsvRows(csvPath);
+      // Ignored positions (position_ignores) are already filtered out here
+      const rows = listLpPositions(chainId, protocol, { discordId });
       for (const row of rows) {
         const chain = (row.chain || '').toUpperCase();
         const owner = row.owner;
@@ -389,21 +344,22 @@ async function getLpSummaries() {
           continue;
         }
 
-        const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
-
-        // Respect lp_ignore.json (tokenId-level)
-        if (isIgnoredLpPosition(protocol, row)) {
-          continue;
-        }
-
         try {
+          // Tiers in per-user views follow that user's thresholds
+          const thresholds = getEffectiveThresholds(discordId, {
+            protocol,
+            positionId: tokenId,
+          });
           const summary = await summarizeLpPosition(
             provider,
             chainId,
             protocol,
-            row
+            row,
+            thresholds
           );
           if (summary) {
+            // Per-user view: flag positions held by wallets the user hasn't proven they own
+            if (discordId) summary.walletVerified = row.verifiedAt != null;
             summaries.push(summary);
           }
         } catch (err) {
@@ -455,7 +411,7 @@ async function describeLpPosition(
   const tickLower = Number(pos.tickLower);
   const tickUpper = Number(pos.tickUpper);
 
-  // Optional: if your CSV has a "pairLabel" or similar, use it.
+  // Optional: if the row carries a "pairLabel" or similar, use it.
   const csvPairLabel =
     row.pairLabel || row.tokenPair || row.pair || '';
 
@@ -465,7 +421,7 @@ async function describeLpPosition(
 
   try {
     if (!pairLabel) {
-      // Resolve from chain if not provided in CSV
+      // Resolve from chain if not provided on the row
       [token0Symbol, token1Symbol] = await Promise.all([
         getTokenSymbol(provider, token0),
         getTokenSymbol(provider, token1),
@@ -559,38 +515,60 @@ async function describeLpPosition(
           .toUpperCase()
           .replace(/\s+/g, '_'); // "IN RANGE" -> "IN_RANGE"
 
-  // Range tiering based on ticks + currentTick + status
+  // Range tiering based on ticks + currentTick + status (env defaults, for logs)
   const lpClass = classifyLpRangeTier(
     normCurrentStatus,
     tickLower,
     tickUpper,
-    currentTick
+    currentTick,
+    DEFAULT_THRESHOLDS
   );
 
   // --- LP alert engine integration (range-status based) ---
   const lpKey = `${protocol}:${chainId}:${owner}:${tokenId}`;
-  const prevStatus = lpPrevStatus.get(lpKey) || 'UNKNOWN';
-
-  // LP alerts only considered "active" when OUT_OF_RANGE and tier >= LP_ALERT_MIN_TIER
-  const isActive =
-    normCurrentStatus === 'OUT_OF_RANGE' &&
-    isLpTierAtLeast(lpClass.tier, LP_ALERT_MIN_TIER);
+  // Previous range status is persisted so transitions survive restarts
+  const prevStatus = getLpPrevStatus(lpKey) || 'UNKNOWN';
+
+  // One alert stream per Discord user watching this wallet, each with their own thresholds;
+  // a shared position has a single stream to the shared alert channel, on the env defaults
+  const recipients = row.shared ? [SHARED_RECIPIENT] : listDiscordIdsForWallet(chainId, owner);
+  for (const userId of recipients) {
+    const thresholds = getEffectiveThresholds(userId, {
+      protocol,
+      positionId: tokenId,
+    });
+    const userClass = classifyLpRangeTier(
+      normCurrentStatus,
+      tickLower,
+      tickUpper,
+      currentTick,
+      thresholds
+    );
 
-  handleLpRangeAlert({
-    protocol,
-    wallet: owner,
-    positionId: tokenId,
-    prevStatus,
-    currentStatus: normCurrentStatus,
-    isActive,
-    lpRangeTier: lpClass.tier,
-    tickLower,
-    tickUpper,
-    currentTick,
-  });
+    // LP alerts only considered "active" when OUT_OF_RANGE and tier >= LP_ALERT_MIN_TIER
+    const isActive =
+      normCurrentStatus === 'OUT_OF_RANGE' &&
+      isTierAtLeast(userClass.tier, thresholds.LP_ALERT_MIN_TIER, LP_TIER_ORDER);
+
+    handleLpRangeAlert({
+      userId,
+      chainId,
+      contract,
+      protocol,
+      wallet: owner,
+      positionId: tokenId,
+      prevStatus,
+      currentStatus: normCurrentStatus,
+      isActive,
+      lpRangeTier: userClass.tier,
+      tickLower,
+      tickUpper,
+      currentTick,
+    });
+  }
 
   // Update previous status for next run
-  lpPrevStatus.set(lpKey, normCurrentStatus);
+  setLpPrevStatus(lpKey, normCurrentStatus);
 
   if (verbose) {
     console.log('');
@@ -661,7 +639,7 @@ async function monitorLPs(options = {}) {
     }
 
     for (const c of chainCfg.contracts || []) {
-      const csvPath = path.join(__dirname, '..', 'data', c.csvFile);
+      const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
 
       // Blank line between protocol groups (ENOSYS_LP vs SPARKDEX_LP, etc.)
       if (!firstGroup) {
@@ -669,7 +647,8 @@ async function monitorLPs(options = {}) {
       }
       firstGroup = false;
 
-      const rows = readCsvRows(csvPath);
+      // Ignored positions (position_ignores) are already filtered out here
+      const rows = listLpPositions(chainId, protocol);
       for (const row of rows) {
         const chain = (row.chain || '').toUpperCase();
         const owner = row.owner;
@@ -685,13 +664,6 @@ async function monitorLPs(options = {}) {
           continue;
         }
 
-        const protocol = c.protocol || c.key || 'UNKNOWN_PROTOCOL';
-
-        // Check ignore list BEFORE we do any RPC work for this row
-        if (isIgnoredLpPosition(protocol, row)) {
-          continue;
-        }
-
         try {
           await describeLpPosition(
             provider,
@@ -714,5 +686,4 @@ async function monitorLPs(options = {}) {
 module.exports = {
   monitorLPs,
   getLpSummaries,
-  getLpSummaries,
 };
\ No newline at end of file
@@ -0,0 +1,66 @@
+// monitoring/notifiers/discordChannel.js
+// Discord guild channel sink: posts the alert to a channel, mentioning the user
+
+const { PermissionsBitField } = require('discord.js');
+const { getDiscordClient } = require('./discordDm');
+const { buildAlertEmbed } = require('../alertEmbeds');
+
+async function fetchTextChannel(channelId) {
+  const client = getDiscordClient();
+  if (!client || !client.channels) throw new Error('Discord client not ready');
+
+  const channel = await client.channels.fetch(channelId);
+  if (!channel || !channel.guildId || !channel.isTextBased()) {
+    throw new Error(`Channel ${channelId} is not a server text channel`);
+  }
+  return channel;
+}
+
+// Only channels in the current server where both the user and the bot can post
+async function validateTarget(raw, { interaction }) {
+  const channelId = String(raw || '').trim().replace(/^<#(\d+)>$/, '$1');
+  if (!/^\d{17,20}$/.test(channelId)) {
+    return { error: 'Target must be a channel mention or channel ID.' };
+  }
+
+  let channel;
+  try {
+    channel = await fetchTextChannel(channelId);
+  } catch {
+    return { error: 'I cannot see that channel, or it is not a server text channel.' };
+  }
+
+  if (!interaction.guildId || channel.guildId !== interaction.guildId) {
+    return { error: 'Run this command in the server that owns the channel.' };
+  }
+
+  const canPost = (member) =>
+    channel.permissionsFor(member)?.has(PermissionsBitField.Flags.SendMessages) === true;
+  if (!canPost(interaction.user)) {
+    return { error: 'You cannot send messages in that channel.' };
+  }
+  if (!canPost(interaction.client.user)) {
+    return { error: 'I cannot send messages in that channel.' };
+  }
+
+  return { target: channelId };
+}
+
+async function send(notifier, alert) {
+  const channel = await fetchTextChannel(notifier.target);
+  await channel.send({
+    content: `<@${alert.userId}>`,
+    embeds: [buildAlertEmbed(alert)],
+    allowedMentions: { users: [alert.userId] },
+  });
+}
+
+module.exports = {
+  kind: 'DISCORD_CHANNEL',
+  label: 'Discord channel',
+  targetHint: 'channel mention or ID',
+  isAvailable: () => null,
+  validateTarget,
+  describeTarget: (notifier) => `<#${notifier.target}>`,
+  send,
+};
@@ -0,0 +1,59 @@
+// monitoring/notifiers/discordDm.js
+// Discord DM sink (the default): quiet hours apply, alert buttons are attached
+
+const { buildAlertButtons } = require('../alertButtons');
+const { buildAlertEmbed } = require('../alertEmbeds');
+const { isInQuietHours, queueQuietHoursDm } = require('../quietHours');
+
+/**
+ * Load bot client from the main index.js file.
+ * This matches what your slash commands already do.
+ */
+function getDiscordClient() {
+  try {
+    return require('../../index');
+  } catch {
+    return null;
+  }
+}
+
+// Only a CRITICAL liquidation is urgent enough to break through quiet hours
+function breaksQuietHours(alert) {
+  return alert.alertType === 'LIQUIDATION' && alert.tier === 'CRITICAL' && alert.phase !== 'RESOLVED';
+}
+
+/**
+ * During the user's quiet hours the text is queued instead and delivered
+ * in one batch afterwards (see quietHours.js).
+ */
+async function send(notifier, alert) {
+  const { userId, phase, alertType, logPrefix, text, key } = alert;
+
+  if (!breaksQuietHours(alert) && isInQuietHours(userId)) {
+    queueQuietHoursDm(userId, text);
+    console.log(`${logPrefix} [DM] Quiet hours for ${userId}; queued ${phase} ${alertType}`);
+    return;
+  }
+
+  const client = getDiscordClient();
+  if (!client || !client.users) throw new Error('Discord client not ready');
+
+  const user = await client.users.fetch(userId);
+
+  // Active alerts carry Acknowledge / Snooze / Mute buttons (see alertButtons.js)
+  await user.send({
+    embeds: [buildAlertEmbed(alert)],
+    components: key ? buildAlertButtons(key) : [],
+  });
+}
+
+module.exports = {
+  kind: 'DISCORD_DM',
+  label: 'Discord DM',
+  targetHint: null,
+  isAvailable: () => null,
+  validateTarget: async () => ({ target: '' }),
+  describeTarget: () => 'your DMs',
+  send,
+  getDiscordClient,
+};
@@ -0,0 +1,55 @@
+// monitoring/notifiers/email.js
+// SMTP email sink (optional: needs SMTP_HOST and SMTP_FROM in .env)
+
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+function isAvailable() {
+  if (!process.env.SMTP_HOST || !process.env.SMTP_FROM) {
+    return 'Email is not configured on this bot (SMTP_HOST / SMTP_FROM).';
+  }
+  return null;
+}
+
+function getTransport() {
+  if (transport) return transport;
+
+  const port = Number(process.env.SMTP_PORT || 587);
+  transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return transport;
+}
+
+async function validateTarget(raw) {
+  const address = String(raw || '').trim();
+  if (!/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(address)) {
+    return { error: 'Target must be an email address.' };
+  }
+  return { target: address };
+}
+
+async function send(notifier, alert) {
+  await getTransport().sendMail({
+    from: process.env.SMTP_FROM,
+    to: notifier.target,
+    subject: `[${alert.tier || 'ALERT'}] ${alert.phase} ${alert.alertType} alert`,
+    text: alert.text,
+  });
+}
+
+module.exports = {
+  kind: 'EMAIL',
+  label: 'Email',
+  targetHint: 'email address',
+  isAvailable,
+  validateTarget,
+  describeTarget: (notifier) => notifier.target,
+  send,
+};
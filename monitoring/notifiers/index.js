@@ -0,0 +1,89 @@
+// monitoring/notifiers/index.js
+// Notifier registry: routes each alert to the sinks a user configured (/notifiers)
+//
+// A sink module exports:
+//   kind, label, targetHint
+//   isAvailable()                        → null, or the reason it cannot be used
+//   validateTarget(raw, { interaction }) → { target, secret? } or { error }
+//   describeTarget(notifier)             → short display text
+//   send(notifier, alert)                → throws on failure
+
+const { listNotifiers } = require('../../db/notifiers');
+
+const SINKS = {
+  DISCORD_DM: require('./discordDm'),
+  DISCORD_CHANNEL: require('./discordChannel'),
+  WEBHOOK: require('./webhook'),
+  EMAIL: require('./email'),
+  TELEGRAM: require('./telegram'),
+};
+
+const NOTIFIER_KINDS = Object.keys(SINKS);
+
+// Minimum severity a notifier can be set to (one scale across alert types)
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// NEUTRAL (redemption) ranks with LOW; UNKNOWN (data failure) ranks with MEDIUM
+const SEVERITY_RANK = { LOW: 0, NEUTRAL: 0, MEDIUM: 1, HIGH: 2, CRITICAL: 3, UNKNOWN: 1 };
+
+function meetsMinSeverity(tier, minTier) {
+  const rank = SEVERITY_RANK[tier] ?? SEVERITY_RANK.UNKNOWN;
+  return rank >= (SEVERITY_RANK[minTier] ?? 0);
+}
+
+// Without its own DISCORD_DM row a user still gets every alert by DM
+const DEFAULT_DM_NOTIFIER = { id: null, kind: 'DISCORD_DM', target: '', secret: null, minTier: 'LOW' };
+
+function getUserNotifiers(discordId) {
+  const rows = listNotifiers(discordId);
+  return rows.some((n) => n.kind === 'DISCORD_DM') ? rows : [DEFAULT_DM_NOTIFIER, ...rows];
+}
+
+async function sendVia(notifier, alert) {
+  const sink = SINKS[notifier.kind];
+  if (!sink) throw new Error(`Unknown notifier kind ${notifier.kind}`);
+
+  const unavailable = sink.isAvailable();
+  if (unavailable) throw new Error(unavailable);
+
+  await sink.send(notifier, alert);
+}
+
+/**
+ * Deliver one rendered alert to every notifier of its user whose minimum
+ * severity it meets. `severity` defaults to `tier` (a resolution passes the
+ * tier that was resolved). Failures are logged per notifier and never throw.
+ */
+async function dispatchAlert(alert) {
+  const severity = alert.severity || alert.tier;
+
+  for (const notifier of getUserNotifiers(alert.userId)) {
+    if (!meetsMinSeverity(severity, notifier.minTier)) continue;
+
+    try {
+      await sendVia(notifier, alert);
+    } catch (err) {
+      console.error(
+        `${alert.logPrefix} [Notify] ${notifier.kind}${notifier.id ? ` #${notifier.id}` : ''} failed for ${alert.userId}:`,
+        err.message
+      );
+    }
+  }
+}
+
+function describeNotifier(notifier) {
+  const sink = SINKS[notifier.kind];
+  if (!sink) return notifier.kind;
+  return `${sink.label} → ${sink.describeTarget(notifier)}`;
+}
+
+module.exports = {
+  SINKS,
+  NOTIFIER_KINDS,
+  SEVERITY_LEVELS,
+  meetsMinSeverity,
+  getUserNotifiers,
+  sendVia,
+  dispatchAlert,
+  describeNotifier,
+};
@@ -0,0 +1,51 @@
+// monitoring/notifiers/telegram.js
+// Telegram bot sink (optional: needs TELEGRAM_BOT_TOKEN in .env)
+
+const TELEGRAM_TIMEOUT_MS = 10_000;
+// Telegram's sendMessage limit
+const TELEGRAM_MSG_MAX = 4096;
+
+function isAvailable() {
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    return 'Telegram is not configured on this bot (TELEGRAM_BOT_TOKEN).';
+  }
+  return null;
+}
+
+// Numeric chat ID (negative for groups) or @channelusername
+async function validateTarget(raw) {
+  const chatId = String(raw || '').trim();
+  if (!/^-?\d+$/.test(chatId) && !/^@[A-Za-z0-9_]{5,}$/.test(chatId)) {
+    return { error: 'Target must be a Telegram chat ID or @channel name.' };
+  }
+  return { target: chatId };
+}
+
+async function send(notifier, alert) {
+  const url = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`;
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      chat_id: notifier.target,
+      text: alert.text.slice(0, TELEGRAM_MSG_MAX),
+      disable_web_page_preview: true,
+    }),
+    signal: AbortSignal.timeout(TELEGRAM_TIMEOUT_MS),
+  });
+
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(`Telegram responded ${res.status}: ${body.description || 'unknown error'}`);
+  }
+}
+
+module.exports = {
+  kind: 'TELEGRAM',
+  label: 'Telegram',
+  targetHint: 'chat ID or @channel',
+  isAvailable,
+  validateTarget,
+  describeTarget: (notifier) => notifier.target,
+  send,
+};
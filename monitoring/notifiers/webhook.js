@@ -0,0 +1,144 @@
+// monitoring/notifiers/webhook.js
+// JSON webhook sink: POSTs the alert, signed with a per-notifier HMAC secret
+//
+// Receivers verify with:
+//   X-Alert-Signature = "sha256=" + hex(HMAC_SHA256(secret, `${X-Alert-Timestamp}.${rawBody}`))
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+// Any guild member can add a webhook: never let the bot POST into its own host or network
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family !== 6) return true;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * Null when `url` may be called, else the reason it may not: https only, and
+ * the host (or every address it resolves to) must be public.
+ */
+async function checkWebhookUrl(url) {
+  if (url.protocol !== 'https:') return 'Webhook URL must use https.';
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      return `Could not resolve ${host}.`;
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    return 'Webhook URL must point to a public host (no localhost, private or link-local addresses).';
+  }
+  return null;
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function validateTarget(raw) {
+  let url;
+  try {
+    url = new URL(String(raw || '').trim());
+  } catch {
+    return { error: 'Target must be a full URL, e.g. https://example.com/hooks/alerts.' };
+  }
+  const blocked = await checkWebhookUrl(url);
+  if (blocked) return { error: blocked };
+  return { target: url.toString(), secret: generateSecret() };
+}
+
+async function send(notifier, alert) {
+  const body = JSON.stringify({
+    discordId: alert.userId,
+    phase: alert.phase,
+    alertType: alert.alertType,
+    tier: alert.tier,
+    previousTier: alert.previousTier,
+    message: alert.message,
+    meta: alert.meta || {},
+    alertKey: alert.key,
+    text: alert.text,
+    sentAt: new Date().toISOString(),
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  // Re-checked on every send: the host's DNS may have changed since /notifiers add
+  const blocked = await checkWebhookUrl(new URL(notifier.target));
+  if (blocked) throw new Error(blocked);
+
+  const res = await fetch(notifier.target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Alert-Timestamp': timestamp,
+      'X-Alert-Signature': `sha256=${signPayload(notifier.secret, timestamp, body)}`,
+    },
+    body,
+    // A redirect could point anywhere, including the hosts refused above
+    redirect: 'error',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+
+  if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+}
+
+// Never show the full URL back (it may embed a token)
+function describeTarget(notifier) {
+  try {
+    return new URL(notifier.target).host;
+  } catch {
+    return 'webhook';
+  }
+}
+
+module.exports = {
+  kind: 'WEBHOOK',
+  label: 'Webhook',
+  targetHint: 'https URL',
+  isAvailable: () => null,
+  validateTarget,
+  describeTarget,
+  send,
+  signPayload,
+};
@@ -0,0 +1,161 @@
+// monitoring/oracleHealth.js
+// Oracle health per loan branch: alerts when the primary feed (fetchPrice) is
+// invalid and a fallback price is used, when the price hasn't moved for
+// ORACLE_STALE_MINUTES, or when it diverges from the collateral's DEX pool
+// (optional ORACLE_POOL_<PROTOCOL>) by more than ORACLE_DIVERGENCE_FRAC
+
+const { ethers } = require('ethers');
+
+const troveManagerAbi = require('../abi/troveManager.json');
+const priceFeedAbi = require('../abi/priceFeed.json');
+const uniswapV3PoolAbi = require('../abi/uniswapV3Pool.json');
+const erc20MetadataAbi = require('../abi/erc20Metadata.json');
+
+const { recordOraclePrice } = require('../db/oraclePrices');
+const { handleOracleAlert } = require('./alertEngine');
+const { LIQ_TIER_ORDER } = require('./alertThresholds');
+const { getBranchInfo, getOraclePrice, getBranchRecipients } = require('./loanBranches');
+
+// -----------------------------
+// Env helpers (strict)
+// -----------------------------
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function requireNumberEnv(name) {
+  const raw = requireEnv(name);
+  const v = Number(raw);
+  if (!Number.isFinite(v)) {
+    console.error(`[Config] Env var ${name} must be a finite number, got "${raw}"`);
+    process.exit(1);
+  }
+  return v;
+}
+
+// Unchanged oracle price for this long → stale (MEDIUM)
+const ORACLE_STALE_MINUTES = requireNumberEnv('ORACLE_STALE_MINUTES');
+// |oracle - pool| / pool above this → HIGH
+const ORACLE_DIVERGENCE_FRAC = requireNumberEnv('ORACLE_DIVERGENCE_FRAC');
+
+const PRIMARY_SOURCE = 'fetchPrice()';
+
+// Tier per issue; the alert takes the highest
+const ISSUE_TIERS = {
+  NO_PRICE: 'CRITICAL',
+  FALLBACK: 'HIGH',
+  DIVERGENCE: 'HIGH',
+  STALE: 'MEDIUM',
+};
+
+// Optional collateral / USD stablecoin pool per branch, e.g. ORACLE_POOL_ENOSYS_LOAN_FXRP
+function getOraclePoolAddress(protocol) {
+  return process.env[`ORACLE_POOL_${protocol.toUpperCase()}`] || null;
+}
+
+// Collateral price in the pool's other token (a USD stablecoin), from slot0's tick
+async function getPoolPrice(provider, poolAddress, collToken) {
+  const pool = new ethers.Contract(poolAddress, uniswapV3PoolAbi, provider);
+  const [token0, token1, slot0] = await Promise.all([pool.token0(), pool.token1(), pool.slot0()]);
+
+  const [dec0, dec1] = await Promise.all(
+    [token0, token1].map(async (t) => Number(await new ethers.Contract(t, erc20MetadataAbi, provider).decimals()))
+  );
+
+  const tick = Number(slot0.tick !== undefined ? slot0.tick : slot0[1]);
+  const price1Over0 = Math.pow(1.0001, tick) * Math.pow(10, dec0 - dec1);
+
+  if (token0.toLowerCase() === collToken.toLowerCase()) return price1Over0;
+  if (token1.toLowerCase() === collToken.toLowerCase()) return price1Over0 > 0 ? 1 / price1Over0 : null;
+  throw new Error(`pool ${poolAddress} does not hold the branch collateral ${collToken}`);
+}
+
+function highestTier(issues) {
+  return issues.reduce(
+    (acc, issue) => (LIQ_TIER_ORDER.indexOf(ISSUE_TIERS[issue]) > LIQ_TIER_ORDER.indexOf(acc) ? ISSUE_TIERS[issue] : acc),
+    'LOW'
+  );
+}
+
+/**
+ * Check one branch's oracle and alert the watchers of `rows` (the monitored
+ * troves of that branch).
+ * Returns { protocol, issues, tier, oraclePrice, priceSource, poolPrice, divergenceFrac, ... } for the context log.
+ */
+async function checkOracle(provider, chainId, protocol, nftAddress, rows) {
+  const branch = await getBranchInfo(provider, nftAddress);
+  const troveManager = new ethers.Contract(branch.troveManager, troveManagerAbi, provider);
+  const priceFeed = new ethers.Contract(await troveManager.priceFeed(), priceFeedAbi, provider);
+
+  const { rawPrice, source } = await getOraclePrice(priceFeed);
+  const issues = [];
+
+  let oraclePrice = null;
+  let priceChangedAt = null;
+  let priceUnchangedMin = null;
+
+  if (!rawPrice) {
+    issues.push('NO_PRICE');
+  } else {
+    oraclePrice = Number(ethers.formatUnits(rawPrice, 18));
+    if (source !== PRIMARY_SOURCE) issues.push('FALLBACK');
+
+    const record = recordOraclePrice(chainId, protocol, rawPrice.toString(), source);
+    priceChangedAt = record.changedAt;
+    priceUnchangedMin = (Date.now() - Date.parse(record.changedAt)) / 60000;
+    if (priceUnchangedMin >= ORACLE_STALE_MINUTES) issues.push('STALE');
+  }
+
+  let poolPrice = null;
+  let divergenceFrac = null;
+  const poolAddress = getOraclePoolAddress(protocol);
+  if (poolAddress && oraclePrice != null) {
+    try {
+      poolPrice = await getPoolPrice(provider, poolAddress, branch.collToken);
+    } catch (err) {
+      console.error(`[Oracle] ${protocol}: failed to read DEX pool price:`, err.message);
+    }
+    if (poolPrice) {
+      divergenceFrac = Math.abs(oraclePrice - poolPrice) / poolPrice;
+      if (divergenceFrac > ORACLE_DIVERGENCE_FRAC) issues.push('DIVERGENCE');
+    }
+  }
+
+  const tier = highestTier(issues);
+  const result = {
+    protocol,
+    issues,
+    tier,
+    oraclePrice,
+    priceSource: source,
+    priceChangedAt,
+    priceUnchangedMin,
+    poolPrice,
+    divergenceFrac,
+  };
+
+  for (const userId of getBranchRecipients(chainId, rows)) {
+    handleOracleAlert({
+      userId,
+      chainId,
+      isActive: issues.length > 0,
+      ...result,
+      staleAfterMin: ORACLE_STALE_MINUTES,
+      divergenceMaxFrac: ORACLE_DIVERGENCE_FRAC,
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  ORACLE_STALE_MINUTES,
+  ORACLE_DIVERGENCE_FRAC,
+  checkOracle,
+};
@@ -0,0 +1,257 @@
+// monitoring/positionDiscovery.js
+// Transfer-log based NFT discovery shared by dev/discover_* and /wallet add
+
+const { ethers } = require('ethers');
+
+const loanConfig = require('../data/loan_contracts.json');
+const lpConfig = require('../data/lp_contracts.json');
+
+const { getProviderForChain } = require('../utils/providers');
+const { upsertPositions } = require('../db/positions');
+
+// Max block window for eth_getLogs (Ankr limit)
+const MAX_LOG_RANGE_BLOCKS = 1000;
+
+// Minimal ABI: only need ownerOf for confirmation
+const ERC721_MIN_ABI = [
+  'function ownerOf(uint256 tokenId) view returns (address)',
+];
+
+// Transfer event topic for ERC721
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+function topicForAddress(addr) {
+  return ethers.zeroPadValue(addr, 32);
+}
+
+/**
+ * Scan ERC721 Transfer logs for tokenIds that were ever sent TO `owner`
+ * between `startBlock` and `latestBlock`, in chunks of MAX_LOG_RANGE_BLOCKS.
+ * Then confirm which ones are still owned via ownerOf().
+ *
+ * `verbose` logs every chunk (dev scripts); `onChunk({ toBlock })` is called
+ * after each chunk so callers can report progress.
+ *
+ * Returns: array of tokenId strings currently owned by `owner`.
+ */
+async function discoverTokenIdsForOwner({
+  provider,
+  nftAddress,
+  owner,
+  startBlock,
+  latestBlock,
+  verbose = true,
+  onChunk = null,
+}) {
+  const ownerTopic = topicForAddress(owner);
+  const normalizedOwner = ethers.getAddress(owner);
+  const candidateTokenIds = new Set();
+
+  const ownerOfContract = new ethers.Contract(
+    nftAddress,
+    ERC721_MIN_ABI,
+    provider
+  );
+
+  if (startBlock == null || startBlock < 0) startBlock = 0;
+  if (startBlock > latestBlock) {
+    console.log(
+      `  [${nftAddress}] startBlock ${startBlock} > latestBlock ${latestBlock}, skipping ${owner}`
+    );
+    return [];
+  }
+
+  console.log(
+    `  [${nftAddress}] discovering for owner ${owner}, blocks ${startBlock} -> ${latestBlock} (step ${MAX_LOG_RANGE_BLOCKS})`
+  );
+
+  // Page over the block range
+  for (
+    let fromBlock = startBlock;
+    fromBlock <= latestBlock;
+    fromBlock += MAX_LOG_RANGE_BLOCKS + 1
+  ) {
+    const toBlock = Math.min(fromBlock + MAX_LOG_RANGE_BLOCKS, latestBlock);
+
+    if (verbose) {
+      console.log(`    scanning blocks ${fromBlock} -> ${toBlock} for owner ${owner}`);
+    }
+
+    try {
+      const logsIn = await provider.getLogs({
+        address: nftAddress,
+        fromBlock,
+        toBlock,
+        topics: [TRANSFER_TOPIC, null, ownerTopic], // Transfer(from, to, tokenId) where to == owner
+      });
+
+      for (const log of logsIn) {
+        if (log.topics.length < 4) continue;
+        const tokenIdHex = log.topics[3];
+        const tokenId = BigInt(tokenIdHex).toString();
+
+        if (verbose && !candidateTokenIds.has(tokenId)) {
+          console.log(
+            `      ↳ Found candidate tokenId ${tokenId} in Transfer log (to ${owner})`
+          );
+        }
+
+        candidateTokenIds.add(tokenId);
+      }
+    } catch (err) {
+      console.error(
+        `      getLogs error for ${nftAddress} [${fromBlock}–${toBlock}] owner ${owner}: ${err.message}`
+      );
+    }
+
+    if (onChunk) onChunk({ toBlock });
+  }
+
+  // Confirm current ownership
+  const ownedNow = [];
+  for (const tokenId of candidateTokenIds) {
+    try {
+      const actualOwner = await ownerOfContract.ownerOf(tokenId);
+      if (ethers.getAddress(actualOwner) === normalizedOwner) {
+        ownedNow.push(tokenId);
+      } else if (verbose) {
+        console.log(
+          `      ✋ tokenId ${tokenId} now belongs to ${actualOwner}, not ${owner}`
+        );
+      }
+    } catch (err) {
+      // If ownerOf fails (burned, closed, etc.), ignore
+      console.error(
+        `      ownerOf(${tokenId}) failed on ${nftAddress} (owner ${owner}): ${err.message}`
+      );
+    }
+  }
+
+  return ownedNow;
+}
+
+// -----------------------------
+// Wallet-level discovery (bot)
+// -----------------------------
+
+// Flatten loan_contracts.json + lp_contracts.json into scan targets for a chain
+function listDiscoveryTargets(chain) {
+  const targets = [];
+
+  const loanChain = (loanConfig.chains || {})[chain];
+  for (const c of (loanChain && loanChain.contracts) || []) {
+    targets.push({
+      kind: 'LOAN',
+      protocol: c.protocol || c.key,
+      nftAddress: c.address,
+      envStartKey: c.envStartKey,
+    });
+  }
+
+  const lpChain = (lpConfig.chains || {})[chain];
+  for (const c of (lpChain && lpChain.contracts) || []) {
+    targets.push({
+      kind: 'LP',
+      protocol: c.protocol || c.key,
+      nftAddress: c.contract,
+      envStartKey: c.envStartKey,
+    });
+  }
+
+  return targets;
+}
+
+// Chains with at least one loan or LP contract configured
+function listDiscoveryChains() {
+  return Array.from(
+    new Set([
+      ...Object.keys(loanConfig.chains || {}),
+      ...Object.keys(lpConfig.chains || {}),
+    ])
+  );
+}
+
+function getChainsConfig(chain) {
+  if ((loanConfig.chains || {})[chain]) return loanConfig.chains;
+  return lpConfig.chains;
+}
+
+/**
+ * Discover every loan + LP position currently owned by one wallet on one chain,
+ * scanning each configured contract from its envStartKey block (full history,
+ * independent of the shared scan cursors), and upsert them into the db.
+ *
+ * `onProgress(text)` receives short human-readable status updates.
+ *
+ * Returns: { loans: [row], lps: [row] } with rows { chain, protocol, contract, owner, tokenId }.
+ */
+async function discoverPositionsForWallet({ chain, address, onProgress = null }) {
+  const report = async (text) => {
+    if (!onProgress) return;
+    try {
+      await onProgress(text);
+    } catch (err) {
+      console.error('[Discovery] Progress callback failed:', err.message);
+    }
+  };
+
+  const owner = ethers.getAddress(address);
+  const provider = getProviderForChain(chain, getChainsConfig(chain));
+  const latestBlock = await provider.getBlockNumber();
+
+  const result = { loans: [], lps: [] };
+  const targets = listDiscoveryTargets(chain);
+
+  for (let i = 0; i < targets.length; i++) {
+    const t = targets[i];
+    const startBlock =
+      t.envStartKey && process.env[t.envStartKey] ? Number(process.env[t.envStartKey]) : 0;
+
+    await report(
+      `🔎 (${i + 1}/${targets.length}) Scanning **${t.protocol}** from block ${startBlock} to ${latestBlock}…`
+    );
+
+    // Report roughly every quarter of the block range
+    const span = Math.max(1, latestBlock - startBlock);
+    let nextMark = 0.25;
+    const pending = [];
+
+    const tokenIds = await discoverTokenIdsForOwner({
+      provider,
+      nftAddress: t.nftAddress,
+      owner,
+      startBlock,
+      latestBlock,
+      verbose: false,
+      onChunk: ({ toBlock }) => {
+        const frac = (toBlock - startBlock) / span;
+        if (frac >= nextMark && nextMark < 1) {
+          pending.push(report(`   ${t.protocol}: ${Math.round(nextMark * 100)}% scanned`));
+          while (nextMark <= frac) nextMark += 0.25;
+        }
+      },
+    });
+    await Promise.all(pending);
+
+    const rows = tokenIds.map((tokenId) => ({
+      chain,
+      protocol: t.protocol,
+      contract: t.nftAddress,
+      owner,
+      tokenId,
+    }));
+    upsertPositions(t.kind, rows);
+
+    if (t.kind === 'LOAN') result.loans.push(...rows);
+    else result.lps.push(...rows);
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAX_LOG_RANGE_BLOCKS,
+  discoverTokenIdsForOwner,
+  discoverPositionsForWallet,
+  listDiscoveryChains,
+};
@@ -0,0 +1,134 @@
+// monitoring/priceVelocity.js
+// Price velocity: a rolling history of each branch's oracle price and of the
+// CDP price, alerting when the price falls fast within VELOCITY_WINDOW_MINUTES
+// (the static buffer tiers can jump straight to CRITICAL between two runs)
+
+const { recordPrice, getPriceHistory, prunePriceHistory } = require('../db/priceHistory');
+const { handleVelocityAlert } = require('./alertEngine');
+const { CDP_PRICE_POSITION_ID } = require('./alertKeys');
+
+// -----------------------------
+// Env helpers (strict)
+// -----------------------------
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function requireNumberEnv(name) {
+  const raw = requireEnv(name);
+  const v = Number(raw);
+  if (!Number.isFinite(v)) {
+    console.error(`[Config] Env var ${name} must be a finite number, got "${raw}"`);
+    process.exit(1);
+  }
+  return v;
+}
+
+const VELOCITY_WINDOW_MINUTES = requireNumberEnv('VELOCITY_WINDOW_MINUTES');
+// Drop from the window's highest price (fraction)
+const VELOCITY_DROP_HIGH = requireNumberEnv('VELOCITY_DROP_HIGH');
+const VELOCITY_DROP_CRIT = requireNumberEnv('VELOCITY_DROP_CRIT');
+
+const WINDOW_MS = VELOCITY_WINDOW_MINUTES * 60 * 1000;
+// Only the window is read; a day of history is plenty for inspection
+const RETAIN_MS = Math.max(WINDOW_MS, 24 * 60 * 60 * 1000);
+const HOUR_MS = 60 * 60 * 1000;
+
+// The CDP price comes from the FLR pool (see getCdpPrice)
+const CDP_SERIES = 'CDP';
+const CDP_CHAIN = 'FLR';
+
+const oracleSeries = (chainId, protocol) => `ORACLE:${chainId.toUpperCase()}:${protocol}`;
+
+function classifyVelocity(dropFrac) {
+  if (dropFrac >= VELOCITY_DROP_CRIT) return 'CRITICAL';
+  if (dropFrac >= VELOCITY_DROP_HIGH) return 'HIGH';
+  return 'LOW';
+}
+
+/**
+ * Record this run's price for `series` and measure the fall from the highest
+ * price within the window.
+ * Returns { series, price, peakPrice, peakAt, dropFrac, dropPerHour, tier, windowMin };
+ * `dropPerHour` is in price units (0 when not falling).
+ */
+function trackPriceVelocity(series, price) {
+  const now = Date.now();
+  recordPrice(series, price);
+  prunePriceHistory(new Date(now - RETAIN_MS).toISOString());
+
+  const history = getPriceHistory(series, new Date(now - WINDOW_MS).toISOString());
+
+  // Latest sample wins ties so a flat price never reads as a fall
+  let peak = { price, recordedAt: new Date(now).toISOString() };
+  for (const s of history) {
+    if (s.price > peak.price) peak = s;
+  }
+
+  const dropFrac = peak.price > 0 ? (peak.price - price) / peak.price : 0;
+  const elapsedH = (now - Date.parse(peak.recordedAt)) / HOUR_MS;
+  const dropPerHour = dropFrac > 0 && elapsedH > 0 ? (peak.price - price) / elapsedH : 0;
+
+  return {
+    series,
+    price,
+    peakPrice: peak.price,
+    peakAt: peak.recordedAt,
+    dropFrac,
+    dropPerHour,
+    tier: classifyVelocity(dropFrac),
+    windowMin: VELOCITY_WINDOW_MINUTES,
+  };
+}
+
+// Hours until the price reaches `targetPrice` if it keeps falling at the same pace;
+// 0 when already there, null when not falling
+function projectHoursTo(velocity, targetPrice) {
+  if (!velocity || targetPrice == null) return null;
+  if (velocity.price <= targetPrice) return 0;
+  if (velocity.dropPerHour <= 0) return null;
+  return (velocity.price - targetPrice) / velocity.dropPerHour;
+}
+
+/**
+ * Track the CDP price and alert `recipients` (everyone with a monitored trove)
+ * with the projected time to the redemption trigger.
+ * Returns the trackPriceVelocity() result for the context log.
+ */
+function checkCdpVelocity(cdpPrice, trigger, recipients) {
+  const velocity = trackPriceVelocity(CDP_SERIES, cdpPrice);
+
+  for (const userId of recipients) {
+    handleVelocityAlert({
+      userId,
+      chainId: CDP_CHAIN,
+      protocol: CDP_SERIES,
+      wallet: CDP_CHAIN,
+      positionId: CDP_PRICE_POSITION_ID,
+      isActive: velocity.tier !== 'LOW',
+      asset: 'CDP',
+      velocity,
+      targetKey: 'redemptionTrigger',
+      targetLabel: 'the redemption trigger',
+      targetPrice: trigger,
+      hoursToTarget: projectHoursTo(velocity, trigger),
+    });
+  }
+
+  return velocity;
+}
+
+module.exports = {
+  VELOCITY_WINDOW_MINUTES,
+  CDP_SERIES,
+  oracleSeries,
+  trackPriceVelocity,
+  projectHoursTo,
+  checkCdpVelocity,
+};
@@ -0,0 +1,171 @@
+// monitoring/quietHours.js
+// Per-user quiet hours: alert DMs are queued and delivered as one batch afterwards
+
+const { getAlertSetting, setAlertSetting, clearAlertSetting } = require('../db/alertSettings');
+const {
+  enqueueDm,
+  listQueuedDms,
+  listDiscordIdsWithQueuedDms,
+  deleteQueuedDms,
+  recordQueuedDmFailure,
+} = require('../db/dmQueue');
+const { sendLongDM } = require('../utils/discordMessages');
+
+// -----------------------------
+// Env helpers (strict)
+// -----------------------------
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === '') {
+    console.error(`[Config] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+// Users who don't pick a timezone share the heartbeat one
+const DEFAULT_TZ = requireEnv('HEARTBEAT_TZ');
+
+// The flush runs every minute: a queue that keeps failing (e.g. DMs closed) is
+// dropped after this many attempts
+const MAX_DELIVERY_ATTEMPTS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// -----------------------------
+// Time helpers
+// -----------------------------
+
+// "22:00" → 1320 (minutes after midnight), or null
+function parseClock(text) {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text || '').trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+// -----------------------------
+// Settings (alert_settings, user scope)
+// -----------------------------
+
+/**
+ * Quiet hours of a user, or null when not configured.
+ * Returns { start, end, timeZone } with start/end as "HH:MM".
+ */
+function getQuietHours(discordId) {
+  const raw = getAlertSetting(discordId, '', 'QUIET_HOURS');
+  if (!raw) return null;
+
+  const [start, end] = raw.split('-');
+  if (parseClock(start) == null || parseClock(end) == null) return null;
+
+  return {
+    start,
+    end,
+    timeZone: getAlertSetting(discordId, '', 'QUIET_TZ') || DEFAULT_TZ,
+  };
+}
+
+function setQuietHours(discordId, { start, end, timeZone = null }) {
+  setAlertSetting(discordId, '', 'QUIET_HOURS', `${start}-${end}`);
+  if (timeZone) setAlertSetting(discordId, '', 'QUIET_TZ', timeZone);
+  else clearAlertSetting(discordId, '', 'QUIET_TZ');
+}
+
+function clearQuietHours(discordId) {
+  clearAlertSetting(discordId, '', 'QUIET_HOURS');
+  clearAlertSetting(discordId, '', 'QUIET_TZ');
+}
+
+// Windows may wrap midnight, e.g. 22:00-07:00
+function isInQuietHours(discordId, now = new Date()) {
+  if (!discordId) return false;
+
+  const qh = getQuietHours(discordId);
+  if (!qh) return false;
+
+  const start = parseClock(qh.start);
+  const end = parseClock(qh.end);
+  if (start === end) return false;
+
+  const t = localMinutes(now, qh.timeZone);
+  return start < end ? t >= start && t < end : t >= start || t < end;
+}
+
+// -----------------------------
+// Queue + batched delivery
+// -----------------------------
+
+function queueQuietHoursDm(discordId, content) {
+  enqueueDm(discordId, content);
+}
+
+// Drops the queue of a user whose delivery failed too often (e.g. DMs closed); returns the rest
+function dropUndeliverableDms(discordId, queued) {
+  if (!queued.some((q) => q.attempts >= MAX_DELIVERY_ATTEMPTS)) return queued;
+
+  deleteQueuedDms(queued.map((q) => q.id));
+  console.warn(
+    `[QuietHours] Dropped ${queued.length} queued alert(s) for ${discordId} after ${MAX_DELIVERY_ATTEMPTS} failed deliveries.`
+  );
+  return [];
+}
+
+// Deliver queued DMs for every user whose quiet hours are over (run every minute).
+// The queue is removed only once the whole batch is sent; a failure retries it
+// on the next run, up to MAX_DELIVERY_ATTEMPTS
+async function flushQuietHourQueues(client) {
+  for (const discordId of listDiscordIdsWithQueuedDms()) {
+    if (isInQuietHours(discordId)) continue;
+
+    const queued = dropUndeliverableDms(discordId, listQueuedDms(discordId));
+    if (queued.length === 0) continue;
+
+    const lines = [`🌙 Quiet hours are over: **${queued.length}** alert(s) were held back.`];
+    for (const q of queued) {
+      // Alerts held over a day (e.g. a bot outage) show the date too
+      const style = Date.now() - Date.parse(q.createdAt) > DAY_MS ? 'f' : 't';
+      lines.push('', `— queued <t:${Math.floor(Date.parse(q.createdAt) / 1000)}:${style}> —`, q.content);
+    }
+
+    try {
+      const user = await client.users.fetch(discordId);
+      await sendLongDM(user, lines.join('\n'));
+      deleteQueuedDms(queued.map((q) => q.id));
+      console.log(`[QuietHours] Delivered ${queued.length} queued alert(s) to ${discordId}.`);
+    } catch (err) {
+      recordQueuedDmFailure(discordId);
+      console.error(`[QuietHours] Failed to deliver queued alerts to ${discordId}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_TZ,
+  parseClock,
+  isValidTimeZone,
+  getQuietHours,
+  setQuietHours,
+  clearQuietHours,
+  isInQuietHours,
+  queueQuietHoursDm,
+  flushQuietHourQueues,
+};
@@ -0,0 +1,96 @@
+// monitoring/rateAdvice.js
+// Interest-rate advice for redemption protection: the lowest rate that puts a
+// target debt ahead of a trove in the redemption queue (or a premium over the
+// branch average), what it costs per year, and whether an upfront fee applies
+
+const { ethers } = require('ethers');
+
+const troveNftAbi = require('../abi/troveNFT.json');
+const troveManagerAbi = require('../abi/troveManager.json');
+
+const loanConfig = require('../data/loan_contracts.json');
+
+const { getProviderForChain } = require('../utils/providers');
+const { findRateForDebtAhead } = require('./redemptionQueue');
+const { getTroveBatch } = require('./batchManagers');
+const { fetchGlobalIrPctMap, getGlobalInterestRatePctFromMap } = require('./loanMonitor');
+
+// Rates are set in 0.01pp steps in the app; advice lands one step above the last trove passed
+const RATE_STEP_PCT = 0.01;
+// Liquity v2 bounds on a trove's annual rate
+const MIN_RATE_PCT = 0.5;
+const MAX_RATE_PCT = 250;
+
+// Rate changes within this period of the last one pay an upfront fee of
+// UPFRONT_INTEREST_DAYS of interest at the branch average rate (Liquity v2)
+const INTEREST_RATE_ADJ_COOLDOWN_DAYS = 7;
+const UPFRONT_INTEREST_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clampRate = (pct) => Math.min(MAX_RATE_PCT, Math.max(MIN_RATE_PCT, pct));
+
+/**
+ * Advice for one trove (`pos` from getPositionForUser) and exactly one target:
+ * `targetDebt` (debt ahead, loan token units) or `premiumPp` (over the branch's global IR).
+ * Returns {
+ *   currentRatePct, debt, globalIrPct, targetRatePct, debtAhead, reached,
+ *   extraAnnualCost, lastAdjustedAt, cooldownEndsAt, upfrontFee, batchManager
+ * } or { error }.
+ * `batchManager` is set when the trove's rate is managed by an interest batch.
+ */
+async function getRateAdvice(pos, { targetDebt = null, premiumPp = null } = {}) {
+  const chainId = String(pos.chain).toUpperCase();
+  const provider = getProviderForChain(chainId, loanConfig.chains);
+
+  const troveNFT = new ethers.Contract(pos.contract, troveNftAbi, provider);
+  const troveManager = new ethers.Contract(await troveNFT.troveManager(), troveManagerAbi, provider);
+  const latest = await troveManager.getLatestTroveData(pos.tokenId);
+
+  const debt = Number(ethers.formatUnits(latest.entireDebt, 18));
+  if (debt === 0) return { error: `${pos.protocol} #${pos.tokenId} has no debt (closed trove?).` };
+
+  const currentRatePct = Number(ethers.formatUnits(latest.annualInterestRate, 18)) * 100;
+  const globalIrPct = getGlobalInterestRatePctFromMap(pos.protocol, await fetchGlobalIrPctMap());
+
+  let targetRatePct;
+  let debtAhead = null;
+  let reached = true;
+
+  if (targetDebt != null) {
+    const found = await findRateForDebtAhead(provider, pos.contract, targetDebt, { excludeTroveId: pos.tokenId });
+    if (found.ratePct == null) return { error: `${pos.protocol} has no other troves to queue behind.` };
+    targetRatePct = clampRate(found.ratePct + RATE_STEP_PCT);
+    debtAhead = found.debtAhead;
+    reached = found.reached;
+  } else {
+    if (globalIrPct == null) return { error: `No global IR is available for ${pos.protocol}; pass a target debt instead.` };
+    targetRatePct = clampRate(globalIrPct + premiumPp);
+  }
+
+  const batch = await getTroveBatch(troveManager, pos.tokenId);
+
+  // Upfront fee: charged when the rate changes inside the cooldown after the previous change
+  const lastAdjMs = Number(latest.lastInterestRateAdjTime) * 1000;
+  const cooldownEndsMs = lastAdjMs + INTEREST_RATE_ADJ_COOLDOWN_DAYS * DAY_MS;
+  const feeRatePct = globalIrPct != null ? globalIrPct : targetRatePct;
+  const upfrontFee = Date.now() < cooldownEndsMs ? (debt * feeRatePct) / 100 * (UPFRONT_INTEREST_DAYS / 365) : 0;
+
+  return {
+    currentRatePct,
+    debt,
+    globalIrPct,
+    targetRatePct,
+    debtAhead,
+    reached,
+    extraAnnualCost: (debt * (targetRatePct - currentRatePct)) / 100,
+    lastAdjustedAt: lastAdjMs > 0 ? new Date(lastAdjMs).toISOString() : null,
+    cooldownEndsAt: new Date(cooldownEndsMs).toISOString(),
+    upfrontFee,
+    batchManager: batch ? batch.manager : null,
+  };
+}
+
+module.exports = {
+  INTEREST_RATE_ADJ_COOLDOWN_DAYS,
+  getRateAdvice,
+};
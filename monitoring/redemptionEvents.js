@@ -0,0 +1,154 @@
+// monitoring/redemptionEvents.js
+// Redemption hit detection: scans TroveManager events since the last processed
+// block and reports redemptions against monitored troves
+
+const { ethers } = require('ethers');
+
+const troveManagerAbi = require('../abi/troveManager.json');
+
+const { listDiscordIdsForWallet } = require('../db/users');
+const { handleRedemptionHitAlert } = require('./alertEngine');
+const { SHARED_RECIPIENT } = require('./alertKeys');
+const { getBranchInfo, scanBranchEvents } = require('./loanBranches');
+
+// scan_cursors kind for this scanner
+const CURSOR_KIND = 'REDEMPTION_EVENTS';
+
+// ITroveEvents.Operation.redeemCollateral
+const OP_REDEEM_COLLATERAL = 6;
+
+const troveManagerIface = new ethers.Interface(troveManagerAbi);
+const EVENT_TOPICS = [
+  'TroveOperation',
+  'TroveUpdated',
+  'BatchedTroveUpdated',
+  'Redemption',
+  'RedemptionFeePaidToTrove',
+].map((name) => troveManagerIface.getEvent(name).topicHash);
+
+/**
+ * Group one block window's TroveManager logs by transaction and pull out the
+ * redemptions that touched a monitored trove.
+ * Returns [{ troveId, txHash, blockNumber, debtRedeemed, collRedeemed, fee, debtAfter, collAfter, redemptionPrice }].
+ * A batched trove emits BatchedTroveUpdated, which carries batch debt shares
+ * instead of its debt: `debtAfter` is null for it (see scanRedemptionHits).
+ */
+function extractRedemptionHits(logs, monitoredIds, { collDecimals }) {
+  const byTx = new Map();
+  for (const log of logs) {
+    let parsed;
+    try {
+      parsed = troveManagerIface.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (!parsed) continue;
+
+    if (!byTx.has(log.transactionHash)) byTx.set(log.transactionHash, []);
+    byTx.get(log.transactionHash).push({ log, parsed });
+  }
+
+  const coll = (v) => Number(ethers.formatUnits(v, collDecimals));
+  const debt = (v) => Number(ethers.formatUnits(v, 18));
+
+  const hits = [];
+  for (const [txHash, entries] of byTx) {
+    const redemption = entries.find((e) => e.parsed.name === 'Redemption');
+
+    for (const { log, parsed } of entries) {
+      if (parsed.name !== 'TroveOperation') continue;
+      if (Number(parsed.args._operation) !== OP_REDEEM_COLLATERAL) continue;
+
+      const troveId = parsed.args._troveId.toString();
+      if (!monitoredIds.has(troveId)) continue;
+
+      const sameTrove = (name) =>
+        entries.find((e) => e.parsed.name === name && e.parsed.args._troveId.toString() === troveId);
+      const updated = sameTrove('TroveUpdated') || sameTrove('BatchedTroveUpdated');
+      const fee = sameTrove('RedemptionFeePaidToTrove');
+
+      hits.push({
+        troveId,
+        txHash,
+        blockNumber: log.blockNumber,
+        // Operation deltas are negative for a redemption
+        debtRedeemed: -debt(parsed.args._debtChangeFromOperation),
+        collRedeemed: -coll(parsed.args._collChangeFromOperation),
+        fee: fee ? coll(fee.parsed.args._ETHFee) : null,
+        debtAfter: updated && updated.parsed.name === 'TroveUpdated' ? debt(updated.parsed.args._debt) : null,
+        collAfter: updated ? coll(updated.parsed.args._coll) : null,
+        redemptionPrice: redemption ? debt(redemption.parsed.args._redemptionPrice) : null,
+      });
+    }
+  }
+  return hits;
+}
+
+/**
+ * Scan one loan branch (trove NFT contract) since the last processed block
+ * and alert on redemptions against `rows` (the monitored troves of that contract).
+ */
+async function scanRedemptionHits(provider, chainId, protocol, nftAddress, rows, { verbose = false } = {}) {
+  const troves = new Map(rows.map((r) => [String(r.troveId), r]));
+  const branch = await getBranchInfo(provider, nftAddress);
+  const troveManager = new ethers.Contract(branch.troveManager, troveManagerAbi, provider);
+
+  // Batched troves: the current debt (a later operation in the same scan may have changed it)
+  const currentDebt = async (troveId) => {
+    try {
+      const latest = await troveManager.getLatestTroveData(troveId);
+      return Number(ethers.formatUnits(latest.entireDebt, 18));
+    } catch (err) {
+      console.warn(`[Redemptions] Cannot read the debt of ${protocol} trove ${troveId}:`, err.message);
+      return null;
+    }
+  };
+
+  let hitCount = 0;
+  await scanBranchEvents({
+    provider,
+    chainId,
+    protocol,
+    cursorKind: CURSOR_KIND,
+    address: branch.troveManager,
+    topics: [EVENT_TOPICS],
+    verbose,
+    onLogs: async (logs) => {
+      for (const hit of extractRedemptionHits(logs, troves, branch)) {
+        const row = troves.get(hit.troveId);
+        const debtAfter = hit.debtAfter != null ? hit.debtAfter : await currentDebt(hit.troveId);
+        const recipients = row.shared ? [SHARED_RECIPIENT] : listDiscordIdsForWallet(chainId, row.owner);
+
+        for (const userId of recipients) {
+          handleRedemptionHitAlert({
+            userId,
+            chainId,
+            contract: nftAddress,
+            protocol,
+            wallet: row.owner,
+            positionId: hit.troveId,
+            txHash: hit.txHash,
+            blockNumber: hit.blockNumber,
+            debtRedeemed: hit.debtRedeemed,
+            collRedeemed: hit.collRedeemed,
+            collSymbol: branch.collSymbol,
+            redemptionFee: hit.fee,
+            debtAfter,
+            collAfter: hit.collAfter,
+            redemptionPrice: hit.redemptionPrice,
+          });
+        }
+        hitCount += 1;
+      }
+    },
+  });
+
+  if (hitCount > 0) {
+    console.log(`[Redemptions] ${protocol}: ${hitCount} redemption(s) against monitored troves.`);
+  }
+}
+
+module.exports = {
+  scanRedemptionHits,
+  extractRedemptionHits,
+};
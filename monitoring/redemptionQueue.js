@@ -0,0 +1,106 @@
+// monitoring/redemptionQueue.js
+// Redemption queue position: redemptions take troves in ascending interest-rate
+// order (the SortedTroves tail first), so the debt sitting at lower rates is how
+// much has to be redeemed before a trove is touched
+
+const { ethers } = require('ethers');
+
+const troveManagerAbi = require('../abi/troveManager.json');
+const sortedTrovesAbi = require('../abi/sortedTroves.json');
+
+const { getBranchInfo } = require('./loanBranches');
+
+// Max troves read per walk (two calls each); troves further up the list are
+// reported as unknown and fall back to the IR-based tier
+const MAX_TROVES_WALKED = 1000;
+
+async function getBranchContracts(provider, nftAddress) {
+  const branch = await getBranchInfo(provider, nftAddress);
+  return {
+    troveManager: new ethers.Contract(branch.troveManager, troveManagerAbi, provider),
+    sortedTroves: new ethers.Contract(branch.sortedTroves, sortedTrovesAbi, provider),
+  };
+}
+
+/**
+ * Troves in redemption order: the zombie trove (partly redeemed below min debt,
+ * out of the list but redeemed first) if any, then the SortedTroves tail up.
+ * Yields { troveId, debt, ratePct }; stops after MAX_TROVES_WALKED list entries.
+ */
+async function* walkRedemptionOrder({ troveManager, sortedTroves }) {
+  const read = async (id) => {
+    const latest = await troveManager.getLatestTroveData(id);
+    return {
+      troveId: id.toString(),
+      debt: Number(ethers.formatUnits(latest.entireDebt, 18)),
+      ratePct: Number(ethers.formatUnits(latest.annualInterestRate, 18)) * 100,
+    };
+  };
+
+  const zombieId = await troveManager.lastZombieTroveId();
+  if (zombieId !== 0n) yield await read(zombieId);
+
+  let id = await sortedTroves.getLast();
+  let walked = 0;
+  while (id !== 0n) {
+    if (walked >= MAX_TROVES_WALKED) {
+      console.warn(`[RedemptionQueue] Stopped after ${walked} troves.`);
+      return;
+    }
+    yield await read(id);
+    id = await sortedTroves.getPrev(id);
+    walked += 1;
+  }
+}
+
+/**
+ * Walk one branch from the lowest rate up until every trove in `troveIds` is found.
+ * Returns { branchDebt, ahead } where `ahead` maps troveId → debt redeemed before it;
+ * troves not reached (closed, or past MAX_TROVES_WALKED) are not in the map.
+ */
+async function getRedemptionQueue(provider, nftAddress, troveIds) {
+  const contracts = await getBranchContracts(provider, nftAddress);
+
+  const pending = new Set(troveIds.map(String));
+  const ahead = new Map();
+  let cumulative = 0;
+
+  if (pending.size > 0) {
+    for await (const trove of walkRedemptionOrder(contracts)) {
+      if (pending.delete(trove.troveId)) {
+        ahead.set(trove.troveId, cumulative);
+        if (pending.size === 0) break;
+      }
+      cumulative += trove.debt;
+    }
+  }
+
+  const branchDebt = Number(ethers.formatUnits(await contracts.troveManager.getEntireBranchDebt(), 18));
+  return { branchDebt, ahead };
+}
+
+/**
+ * Lowest-rate troves (other than `excludeTroveId`) until their debt reaches `targetDebt`.
+ * Returns { ratePct, debtAhead, reached }: a trove priced just above `ratePct` has
+ * `debtAhead` in front of it. `reached` is false when the whole list holds less than
+ * the target; `ratePct` is then the highest rate seen.
+ */
+async function findRateForDebtAhead(provider, nftAddress, targetDebt, { excludeTroveId = null } = {}) {
+  const contracts = await getBranchContracts(provider, nftAddress);
+
+  let debtAhead = 0;
+  let ratePct = null;
+  for await (const trove of walkRedemptionOrder(contracts)) {
+    if (excludeTroveId != null && trove.troveId === String(excludeTroveId)) continue;
+    debtAhead += trove.debt;
+    ratePct = ratePct == null ? trove.ratePct : Math.max(ratePct, trove.ratePct);
+    if (debtAhead >= targetDebt) return { ratePct, debtAhead, reached: true };
+  }
+
+  return { ratePct, debtAhead, reached: false };
+}
+
+module.exports = {
+  getRedemptionQueue,
+  findRateForDebtAhead,
+};
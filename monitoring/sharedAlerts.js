@@ -0,0 +1,52 @@
+// monitoring/sharedAlerts.js
+// Alerts of shared (team treasury) positions: posted as embeds to one guild channel,
+// mentioning a role for HIGH / CRITICAL
+
+const { getDiscordClient } = require('./notifiers/discordDm');
+const { buildAlertEmbed } = require('./alertEmbeds');
+
+// Both optional: without a channel, positions cannot be tagged as shared (see /alerts share)
+const SHARED_ALERT_CHANNEL_ID = process.env.SHARED_ALERT_CHANNEL_ID || null;
+const SHARED_ALERT_ROLE_ID = process.env.SHARED_ALERT_ROLE_ID || null;
+
+const MENTION_TIERS = ['HIGH', 'CRITICAL'];
+
+function isSharedChannelConfigured() {
+  return !!SHARED_ALERT_CHANNEL_ID;
+}
+
+// Ping the role only when the post asks for attention, not for an all-clear
+function shouldMentionRole(alert) {
+  return !!SHARED_ALERT_ROLE_ID && alert.phase !== 'RESOLVED' && MENTION_TIERS.includes(alert.tier);
+}
+
+async function sendSharedAlert(alert) {
+  if (!SHARED_ALERT_CHANNEL_ID) {
+    console.error(`${alert.logPrefix} [Shared] SHARED_ALERT_CHANNEL_ID is not set; dropped ${alert.phase} ${alert.alertType}`);
+    return;
+  }
+
+  const client = getDiscordClient();
+  if (!client || !client.channels) return;
+
+  try {
+    const channel = await client.channels.fetch(SHARED_ALERT_CHANNEL_ID);
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Channel ${SHARED_ALERT_CHANNEL_ID} is not a text channel`);
+    }
+
+    const mention = shouldMentionRole(alert);
+    await channel.send({
+      content: mention ? `<@&${SHARED_ALERT_ROLE_ID}>` : undefined,
+      embeds: [buildAlertEmbed(alert, { footer: 'Shared position' })],
+      allowedMentions: { roles: mention ? [SHARED_ALERT_ROLE_ID] : [] },
+    });
+  } catch (err) {
+    console.error(`${alert.logPrefix} [Shared] Failed to post to the shared alert channel:`, err.message);
+  }
+}
+
+module.exports = {
+  isSharedChannelConfigured,
+  sendSharedAlert,
+};
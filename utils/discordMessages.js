@@ -0,0 +1,61 @@
+// utils/discordMessages.js
+// Split long text into Discord-sized messages (2000 char limit)
+
+const DISCORD_MSG_MAX = 2000;
+// keep headroom for safety (markdown, odd unicode, etc.)
+const DISCORD_SAFE_MAX = 1900;
+
+function splitIntoDiscordMessages(text, maxLen = DISCORD_SAFE_MAX) {
+  if (!text) return [];
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const chunks = [];
+
+  let buf = '';
+
+  for (const line of lines) {
+    // If a single line is too long, hard-split it
+    if (line.length > maxLen) {
+      if (buf.length) {
+        chunks.push(buf);
+        buf = '';
+      }
+      for (let i = 0; i < line.length; i += maxLen) {
+        chunks.push(line.slice(i, i + maxLen));
+      }
+      continue;
+    }
+
+    const addLen = (buf.length === 0 ? 0 : 1) + line.length;
+
+    // If adding this line would exceed max, flush buffer
+    if (buf.length + addLen > maxLen) {
+      if (buf.length) chunks.push(buf);
+      buf = line;
+      continue;
+    }
+
+    buf = buf.length ? `${buf}\n${line}` : line;
+  }
+
+  if (buf.length) chunks.push(buf);
+
+  // absolute safety clamp
+  return chunks.map((c) =>
+    c.length > DISCORD_MSG_MAX ? c.slice(0, DISCORD_MSG_MAX) : c
+  );
+}
+
+async function sendLongDM(user, content) {
+  const chunks = splitIntoDiscordMessages(content);
+
+  for (let i = 0; i < chunks.length; i++) {
+    const prefix = chunks.length > 1 ? `(${i + 1}/${chunks.length}) ` : '';
+    await user.send({ content: prefix + chunks[i] });
+  }
+}
+
+module.exports = {
+  splitIntoDiscordMessages,
+  sendLongDM,
+};
@@ -0,0 +1,35 @@
+// utils/explorers.js
+// Block explorer links per chain (chain IDs as in data/*_contracts.json)
+
+const EXPLORERS = {
+  FLR: {
+    base: 'https://flare-explorer.flare.network',
+    nftPath: (contract, tokenId) => `/token/${contract}/instance/${tokenId}`,
+  },
+  XDC: {
+    base: 'https://xdcscan.com',
+    nftPath: (contract, tokenId) => `/nft/${contract}/${tokenId}`,
+  },
+};
+
+// null when the chain has no known explorer
+function addressUrl(chainId, address) {
+  const ex = EXPLORERS[String(chainId || '').toUpperCase()];
+  return ex && address ? `${ex.base}/address/${address}` : null;
+}
+
+function txUrl(chainId, txHash) {
+  const ex = EXPLORERS[String(chainId || '').toUpperCase()];
+  return ex && txHash ? `${ex.base}/tx/${txHash}` : null;
+}
+
+function nftUrl(chainId, contract, tokenId) {
+  const ex = EXPLORERS[String(chainId || '').toUpperCase()];
+  return ex && contract && tokenId != null ? `${ex.base}${ex.nftPath(contract, tokenId)}` : null;
+}
+
+module.exports = {
+  addressUrl,
+  txUrl,
+  nftUrl,
+};